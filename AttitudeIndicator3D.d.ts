@@ -0,0 +1,36 @@
+// ============================================================================
+// TYPE DECLARATIONS: AttitudeIndicator3D.jsx
+// ============================================================================
+//
+// The 3D component takes the canvas component's props and ref handle; see
+// AttitudeIndicatorCanvas.d.ts.
+
+import type { ForwardRefExoticComponent, RefAttributes } from 'react';
+import type {
+  AttitudeIndicatorHandle,
+  AttitudeIndicatorProps,
+  EulerAttitude,
+  Layer,
+  RenderingContext2D,
+  Theme,
+} from './AttitudeIndicatorCanvas';
+
+export declare const AttitudeIndicator3D: ForwardRefExoticComponent<
+  AttitudeIndicatorProps & RefAttributes<AttitudeIndicatorHandle>
+>;
+
+export default AttitudeIndicator3D;
+
+export declare function supportsWebGL(): boolean;
+
+/** Widest `aspectRatio` the ball fills; wider ones are brought down to it */
+export declare const MAX_ASPECT_RATIO: number;
+
+/** three.js quaternion components `[x, y, z, w]` */
+export declare function sphereQuaternion(attitude: Partial<EulerAttitude>): [number, number, number, number];
+export declare function sphereRadius(dialRadius: number): number;
+export declare function drawSphereTexture(
+  ctx: RenderingContext2D & Pick<CanvasRenderingContext2D, 'scale' | 'setLineDash'>,
+  options: { width: number; height: number; theme: Theme },
+): void;
+export declare function sphereOverlay(stack: Layer[]): Layer[];
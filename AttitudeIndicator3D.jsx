@@ -0,0 +1,204 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef } from 'react';
+import { Canvas, useThree } from '@react-three/fiber';
+import { CanvasTexture, SRGBColorSpace } from 'three';
+import { AttitudeIndicatorCanvas } from './AttitudeIndicatorCanvas';
+import { drawSphereTexture, sphereOverlay, sphereQuaternion, sphereRadius, sphereTextureSize } from './attitudeSphere';
+import { renderAttitudeToSVG } from './headlessRenderer';
+import { resolveLayers } from './instrumentLayers';
+import { normalizeProps } from './propValidation';
+import { resolveTheme } from './themes';
+import { useInstrumentSize } from './useInstrumentSize';
+
+// ============================================================================
+// ATTITUDE INDICATOR 3D COMPONENT
+// ============================================================================
+//
+// The attitude ball as a textured sphere rendered by three.js, under the
+// canvas component's own layers (bank scale, aircraft symbol, readouts,
+// tapes, ...) drawn on a transparent overlay. The overlay's render loop does
+// the smoothing and reports each frame through `onFrame`, and the ball is
+// turned and rendered from that same frame, so the two never drift apart.
+// Orientation, scale and texture come from attitudeSphere.js.
+//
+// Takes the same props as AttitudeIndicatorCanvas. Without WebGL it is the
+// canvas component. `renderInWorker` is ignored: the ball needs the frames
+// on the main thread.
+//
+// The sizing props work as on the canvas component, with the wrapper taking
+// the place of the canvas for `autoSize`. In the rectangular shape the
+// aspect ratio stops at MAX_ASPECT_RATIO, the widest window the ball still
+// fills to the corners.
+
+// Sphere tessellation; the ball is big on screen, so it needs to be round
+const SEGMENTS = { width: 96, height: 48 };
+
+export const MAX_ASPECT_RATIO = 1.75;
+
+// Whether a WebGL context can be had here at all
+export function supportsWebGL() {
+  if (typeof document === 'undefined') return false;
+  try {
+    const canvas = document.createElement('canvas');
+    return Boolean(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+  } catch {
+    return false;
+  }
+}
+
+// The textured unit sphere, redrawn when the theme or the needed texture
+// resolution changes. resolveTheme gives the same palette object for the same
+// theme, so `theme` only changes identity with its colours.
+function AttitudeBall({ meshRef, theme, ballRadius, onReady }) {
+  const gl = useThree(state => state.gl);
+  const textureWidth = sphereTextureSize(ballRadius * gl.getPixelRatio());
+  const onReadyRef = useRef(onReady);
+  onReadyRef.current = onReady;
+
+  const texture = useMemo(() => {
+    const canvas = document.createElement('canvas');
+    canvas.width = textureWidth;
+    canvas.height = textureWidth / 2;
+    drawSphereTexture(canvas.getContext('2d'), { width: canvas.width, height: canvas.height, theme });
+    const map = new CanvasTexture(canvas);
+    map.colorSpace = SRGBColorSpace;
+    map.anisotropy = gl.capabilities.getMaxAnisotropy();
+    return map;
+  }, [gl, theme, textureWidth]);
+
+  useEffect(() => {
+    onReadyRef.current();
+    return () => texture.dispose();
+  }, [texture]);
+
+  return (
+    <mesh ref={meshRef}>
+      <sphereGeometry args={[1, SEGMENTS.width, SEGMENTS.height]} />
+      <meshBasicMaterial map={texture} />
+    </mesh>
+  );
+}
+
+const AttitudeIndicator3D = forwardRef((givenProps, ref) => {
+  const webGL = useMemo(supportsWebGL, []);
+
+  // Validation warnings come from the overlay, which sees the same props
+  const normalized = useMemo(() => normalizeProps(givenProps), [givenProps]);
+  const props = normalized.aspectRatio > MAX_ASPECT_RATIO
+    ? { ...normalized, aspectRatio: MAX_ASPECT_RATIO }
+    : normalized;
+  const { layers, onFrame } = props;
+  const theme = resolveTheme(props.theme, props.brightness);
+
+  // The overlay is given the measured size, so it doesn't measure again
+  const wrapperRef = useRef(null);
+  const { width, height, size, pixelRatio, borderRadius } = useInstrumentSize(wrapperRef, props);
+
+  const overlayBoxRef = useRef(null);
+  const overlayRef = useRef(null);
+  const meshRef = useRef(null);
+  const threeRef = useRef(null);
+  const lastFrameRef = useRef(null);
+  const onFrameRef = useRef(onFrame);
+  onFrameRef.current = onFrame;
+
+  // The SVG is drawn from the props as the canvas version would show them,
+  // flat ball included, at the size on screen
+  const svgPropsRef = useRef(null);
+  svgPropsRef.current = { ...givenProps, size, aspectRatio: props.aspectRatio, pixelRatio };
+
+  // The overlay draws the full instrument with a hole where the ball shows
+  // through
+  const overlayLayers = useMemo(() => () => sphereOverlay(resolveLayers(layers)), [layers]);
+
+  // Turns the ball to the latest frame's smoothed attitude and renders it
+  // straight away, so both canvases change together. Also run once three.js
+  // is ready, in case the overlay settled first.
+  const drawBall = () => {
+    const three = threeRef.current;
+    const frame = lastFrameRef.current;
+    if (!three || !meshRef.current || !frame) return;
+    meshRef.current.quaternion.set(...sphereQuaternion(frame.state));
+    // frame.radius is in canvas pixels; the camera works in CSS pixels
+    three.camera.zoom = sphereRadius(frame.radius * (width / frame.width));
+    three.camera.updateProjectionMatrix();
+    three.gl.render(three.scene, three.camera);
+  };
+  const drawBallRef = useRef(drawBall);
+  drawBallRef.current = drawBall;
+
+  const handleFrame = useMemo(() => (frame) => {
+    lastFrameRef.current = frame;
+    drawBallRef.current();
+    onFrameRef.current?.(frame);
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    // The ball with the overlay on top, at the overlay's resolution
+    toDataURL(type, quality) {
+      const three = threeRef.current;
+      const overlay = overlayBoxRef.current?.querySelector('canvas');
+      if (!three || !overlay) return overlayRef.current.toDataURL(type, quality);
+      const canvas = document.createElement('canvas');
+      canvas.width = overlay.width;
+      canvas.height = overlay.height;
+      const ctx = canvas.getContext('2d');
+      three.gl.render(three.scene, three.camera);
+      ctx.drawImage(three.gl.domElement, 0, 0, canvas.width, canvas.height);
+      ctx.drawImage(overlay, 0, 0);
+      return canvas.toDataURL(type, quality);
+    },
+
+    // There is no vector form of the ball; this is the canvas version's
+    // drawing, with its flat ball. Without WebGL the overlay is that version.
+    toSVG() {
+      if (!webGL) return overlayRef.current.toSVG();
+      return renderAttitudeToSVG(svgPropsRef.current);
+    },
+  }), [webGL]);
+
+  if (!webGL) return <AttitudeIndicatorCanvas ref={overlayRef} {...givenProps} />;
+
+  return (
+    <div ref={wrapperRef} style={{ position: 'relative', width, height, borderRadius }}>
+      <Canvas
+        orthographic
+        flat
+        frameloop="demand"
+        dpr={pixelRatio}
+        camera={{ position: [0, 0, 5], near: 0.1, far: 10, zoom: sphereRadius(size / 2) }}
+        onCreated={({ gl, scene, camera }) => {
+          threeRef.current = { gl, scene, camera };
+          drawBall();
+        }}
+        style={{ position: 'absolute', inset: 0, borderRadius, pointerEvents: 'none' }}
+      >
+        <AttitudeBall
+          meshRef={meshRef}
+          theme={theme}
+          ballRadius={sphereRadius(size / 2)}
+          onReady={() => drawBallRef.current()}
+        />
+      </Canvas>
+      {/* Positioned, so it stacks above the absolutely placed ball */}
+      <div ref={overlayBoxRef} style={{ position: 'relative', width, height }}>
+        <AttitudeIndicatorCanvas
+          ref={overlayRef}
+          {...givenProps}
+          size={size}
+          autoSize={false}
+          aspectRatio={props.aspectRatio}
+          pixelRatio={pixelRatio}
+          layers={overlayLayers}
+          renderInWorker={false}
+          onFrame={handleFrame}
+        />
+      </div>
+    </div>
+  );
+});
+
+AttitudeIndicator3D.displayName = 'AttitudeIndicator3D';
+
+export { AttitudeIndicator3D };
+export { drawSphereTexture, sphereOverlay, sphereQuaternion, sphereRadius } from './attitudeSphere';
+export default AttitudeIndicator3D;
@@ -0,0 +1,813 @@
+// ============================================================================
+// TYPE DECLARATIONS: AttitudeIndicatorCanvas.jsx
+// ============================================================================
+//
+// The props API and everything the component module exports. Numbers are in
+// `inputUnits` (knots, feet, fpm, inHg and nautical miles by default) unless
+// noted; angles are in degrees. Defaults match PROP_SPECS in
+// propValidation.js.
+
+import type { ForwardRefExoticComponent, RefAttributes, RefObject } from 'react';
+
+// ============================================================================
+// SHARED TYPES
+// ============================================================================
+
+export type UnitSystemName = 'imperial' | 'metric';
+
+export interface UnitNames {
+  speed?: 'kt' | 'km/h' | 'm/s' | 'mph';
+  altitude?: 'ft' | 'm';
+  verticalSpeed?: 'fpm' | 'm/s';
+  pressure?: 'inHg' | 'hPa';
+  distance?: 'nm' | 'km' | 'mi';
+}
+
+export type Units = UnitSystemName | UnitNames;
+
+/** A quantity's unit once resolved, as layers see it in `frame.units` */
+export interface ResolvedUnit {
+  name: string;
+  factor: number;
+  symbol: string;
+  decimals?: number;
+  range?: number;
+  tape?: { range: number; minor: number; major: number; drum?: number };
+}
+
+export interface ResolvedUnits {
+  key: string;
+  speed: ResolvedUnit;
+  altitude: ResolvedUnit;
+  verticalSpeed: ResolvedUnit;
+  pressure: ResolvedUnit;
+  distance: ResolvedUnit;
+}
+
+export type ThemeName = 'day' | 'night' | 'nvg' | 'highContrast';
+
+export interface Theme {
+  sky: string;
+  skyDark: string;
+  ground: string;
+  groundDark: string;
+  horizon: string;
+  bezel: string;
+  bezelHighlight: string;
+  panel: string;
+  statusBar: string;
+  bankArc: string;
+  slipMarks: string;
+  tape: string;
+  warning: string;
+  textGreen: string;
+  textCyan: string;
+  textMagenta: string;
+  textWhite: string;
+  textYellow: string;
+  aircraft: string;
+  slipBall: string;
+}
+
+export type ThemeColor = keyof Theme;
+
+export type SmoothedChannel =
+  | 'pitch' | 'roll' | 'heading' | 'slip' | 'airspeed' | 'altitude' | 'verticalSpeed'
+  | 'fdPitch' | 'fdRoll' | 'flightPathAngle' | 'drift' | 'angleOfAttack'
+  | 'headingBug' | 'course' | 'track' | 'courseDeviation';
+
+export type SmoothingConfig =
+  | number
+  | 'none'
+  | { type: 'none' }
+  | { type: 'exponential'; timeConstant: number }
+  | { type: 'spring'; frequency?: number; damping?: number };
+
+/** [w, x, y, z], Hamilton, scalar first */
+export type Quaternion = [number, number, number, number];
+export type Vector3 = [number, number, number];
+export type RotationMatrix = [Vector3, Vector3, Vector3];
+
+export interface EulerAttitude {
+  pitch: number;
+  roll: number;
+  heading: number;
+}
+
+export type AttitudeMode = 'flat' | 'spherical';
+export type FlightDirectorMode = 'vbar' | 'crossPointer';
+export type AoaStyle = 'chevron' | 'bar';
+export type CompassMode = 'rose' | 'hsi';
+export type Layout = 'readouts' | 'tapes';
+export type InstrumentShape = 'round' | 'rectangular';
+
+export interface ColorBand {
+  from: number;
+  to: number;
+  color: ThemeColor | string;
+}
+
+export interface VSpeeds {
+  vso?: number;
+  vs1?: number;
+  vfe?: number;
+  vno?: number;
+  vne?: number;
+}
+
+// ============================================================================
+// LAYERS AND FIELDS
+// ============================================================================
+
+/** What every layer's `draw` receives */
+export interface LayerFrame {
+  width: number;
+  height: number;
+  cx: number;
+  cy: number;
+  radius: number;
+  shape: InstrumentShape;
+  /** How far the side elements move out in the rectangular shape; 0 when round */
+  sideOffset: number;
+  theme: Theme & { key: string };
+  units: ResolvedUnits;
+  staticKey: string;
+  /** Seconds, for flashing */
+  time: number;
+  alerts: ActiveAlert[];
+  invalid: Partial<Record<MonitoredInput, true>>;
+  /** Smoothed channel values, in display units */
+  state: Record<SmoothedChannel, number>;
+  /** Rate of change per second of the trend channels */
+  trends: Record<SmoothedChannel, number>;
+  /** Normalized props, in display units */
+  props: AttitudeIndicatorProps & Record<string, unknown>;
+}
+
+export interface Layer {
+  id: string;
+  draw(ctx: CanvasRenderingContext2D, frame: LayerFrame): void;
+  /** Drawn once into a cache and reused until the size, theme or shape changes */
+  static?: boolean;
+  /** For a static layer that reads settings props: redrawn when this changes */
+  staticKey?(frame: LayerFrame): string;
+  /** Keeps the render loop running while true, e.g. while flashing */
+  isAnimating?(frame: LayerFrame): boolean;
+}
+
+export interface LayerPosition {
+  before?: string;
+  after?: string;
+}
+
+export type FieldSlot = 'topLeft' | 'topRight' | 'left' | 'right' | 'bottomLeft' | 'bottomRight';
+
+export interface DataField {
+  label?: string;
+  /** Smoothed channel or prop name, or a function of the frame */
+  value?: string | ((frame: LayerFrame) => unknown);
+  /** Only called with finite numbers; anything else shows as dashes */
+  format?: (value: number, frame: LayerFrame) => string;
+  /** The value is text, shown as a string (e.g. the waypoint) */
+  text?: boolean;
+  unit?: string | ((frame: LayerFrame) => string | undefined);
+  color?: ThemeColor | string;
+  warning?: { below?: number; above?: number; color?: ThemeColor | string };
+}
+
+// ============================================================================
+// ALERTS
+// ============================================================================
+
+export type AlertLevel = 'warning' | 'caution' | 'advisory';
+
+export type MonitoredInput =
+  | 'pitch' | 'roll' | 'heading' | 'slip' | 'airspeed' | 'altitude' | 'verticalSpeed'
+  | 'angleOfAttack' | 'distance' | 'baroSetting' | 'selectedAltitude';
+
+type AlertContext = { props: AttitudeIndicatorProps & Record<string, unknown>; units: ResolvedUnits };
+type AlertLimit = number | ((context: AlertContext) => number | undefined);
+
+export interface AlertDefinition {
+  level?: AlertLevel;
+  message?: string;
+  /** Prop name, or a function of `{ props, units }` in display units */
+  value?: string | ((context: AlertContext) => number | undefined);
+  above?: AlertLimit;
+  below?: AlertLimit;
+  abs?: boolean;
+  field?: string | string[];
+  flash?: boolean;
+}
+
+export interface ActiveAlert {
+  id: string;
+  level: AlertLevel;
+  message: string;
+  field: string[];
+  flash: boolean;
+}
+
+export interface AlertEvent extends ActiveAlert {
+  active: boolean;
+}
+
+// ============================================================================
+// PROPS
+// ============================================================================
+
+export interface AttitudeIndicatorProps {
+  // Attitude and air data
+  /** Pitch, + nose up. Clamped to ±90. Default 0. */
+  pitch?: number;
+  /** Roll, + right wing down. Wrapped to ±180. Default 0. */
+  roll?: number;
+  /** Magnetic heading. Wrapped to 0-360. Default 0. */
+  heading?: number;
+  /** Indicated airspeed. Default 0. */
+  airspeed?: number;
+  /** Default 0. */
+  altitude?: number;
+  /** Default 0. */
+  verticalSpeed?: number;
+  /** Slip/skid, -1 (left) to 1 (right). Default 0. */
+  slip?: number;
+  /** Altimeter setting. Default 29.92 inHg (1013 hPa). */
+  baroSetting?: number;
+  /** Body-to-NED attitude as [w, x, y, z] or { w, x, y, z }. Replaces pitch, roll and heading. */
+  quaternion?: Quaternion | { w: number; x: number; y: number; z: number };
+  /** Body-to-NED rotation matrix, 3x3 rows or 9 numbers row major. Replaces pitch, roll and heading. */
+  rotationMatrix?: RotationMatrix | number[];
+  /** Normalized AoA (1 = critical), or degrees with `aoaRange` */
+  angleOfAttack?: number;
+
+  // Navigation
+  selectedAltitude?: number;
+  selectedVerticalSpeed?: number;
+  /** Active waypoint ID. Default '----'. */
+  waypoint?: string;
+  /** Distance to the waypoint. Default 0. */
+  distance?: number;
+  headingBug?: number;
+  course?: number;
+  /** Ground track. Default heading + drift. */
+  track?: number;
+  /** Track minus heading, + drifting right. Wrapped to ±180. */
+  drift?: number;
+  /** CDI deflection in dots, + when the course is to the right */
+  courseDeviation?: number;
+  toFrom?: 'to' | 'from';
+  /** Default 'GPS'. */
+  navSource?: string;
+
+  // Guidance
+  /** `true` is the V-bar. */
+  flightDirector?: FlightDirectorMode | boolean;
+  fdPitch?: number;
+  fdRoll?: number;
+  /** Default false. */
+  flightPathVector?: boolean;
+  /** Default from vertical speed and airspeed. */
+  flightPathAngle?: number;
+
+  // Display
+  /** CSS pixels: the height, and the dial's diameter. Default 400. */
+  size?: number;
+  /** Fill the parent element's width. Default false. */
+  autoSize?: boolean;
+  /** Default 'round'. */
+  shape?: InstrumentShape;
+  /** Width over height of the rectangular shape, 1-3. Default 4/3. */
+  aspectRatio?: number;
+  /** Canvas pixels per CSS pixel. Default the device's. */
+  pixelRatio?: number;
+  /** Default 'flat'. */
+  attitudeMode?: AttitudeMode;
+  /** Pitch beyond which recovery chevrons appear. Default { up: 50, down: 30 }. */
+  recoveryPitch?: number | { up?: number; down?: number };
+  /** Default 'rose'. */
+  compassMode?: CompassMode;
+  /** Default true. */
+  headingReadout?: boolean;
+  /** Default 'readouts'. */
+  layout?: Layout;
+  fields?: Partial<Record<FieldSlot, DataField | null>>;
+  vSpeeds?: VSpeeds;
+  speedBands?: ColorBand[];
+  aoaRange?: { zeroLift: number; critical: number };
+  /** Default 'chevron'. */
+  aoaStyle?: AoaStyle;
+  aoaBands?: ColorBand[];
+  /** Default 0.9. */
+  aoaStallWarning?: number;
+  /** Default false. */
+  aoaReadout?: boolean;
+  /** Full-scale VSI deflection, in display units. Default 2000 fpm / 10 m/s. */
+  vsiRange?: number;
+  /** Default 'linear'. */
+  vsiScale?: 'linear' | 'nonlinear';
+  /** Default vsiRange / 20. */
+  vsiReadoutThreshold?: number;
+  /** Default 'imperial'. */
+  units?: Units;
+  /** Default 'imperial'. */
+  inputUnits?: Units;
+  /** Default 'day'. Partial palettes are merged over the day theme. */
+  theme?: ThemeName | Partial<Theme>;
+  /** 0 to 1. Default 1. */
+  brightness?: number;
+  layers?: Array<Layer | string> | ((stack: Layer[]) => Array<Layer | string>);
+  hiddenLayers?: string[];
+  smoothing?: Partial<Record<SmoothedChannel, SmoothingConfig>>;
+  /** Default false. */
+  renderInWorker?: boolean;
+
+  // Alerts
+  /** Merged over DEFAULT_ALERTS; null removes one */
+  alerts?: Record<string, AlertDefinition | null>;
+  /** Seconds without new props before every input is flagged as failed */
+  staleAfter?: number;
+  onAlert?: (alert: AlertEvent) => void;
+  /** After each painted frame, with what the layers drew from. Not in worker mode. */
+  onFrame?: (frame: LayerFrame) => void;
+
+  // Knob
+  /** Default false. */
+  interactive?: boolean;
+  onBaroSettingChange?: (baroSetting: number) => void;
+  onHeadingBugChange?: (headingBug: number) => void;
+  onSelectedAltitudeChange?: (selectedAltitude: number) => void;
+  onBrightnessChange?: (brightness: number) => void;
+
+  // Accessibility
+  /** Default 'Attitude indicator'. */
+  ariaLabel?: string;
+  /** Seconds between spoken summaries; 0 for none. Default 10. */
+  announceInterval?: number;
+  /** true for the default tone. Default false. */
+  sonification?: boolean | Partial<SonificationSettings>;
+}
+
+// ============================================================================
+// COMPONENT
+// ============================================================================
+
+/** What a `ref` on the component gives */
+export interface AttitudeIndicatorHandle {
+  /** The canvas as shown; in worker mode, the current props drawn afresh */
+  toDataURL(type?: string, quality?: number): string;
+  /** The current props as an SVG document, drawn without smoothing */
+  toSVG(): string;
+}
+
+export declare const AttitudeIndicatorCanvas: ForwardRefExoticComponent<
+  AttitudeIndicatorProps & RefAttributes<AttitudeIndicatorHandle>
+> & {
+  registerLayer(layer: Layer, position?: LayerPosition): void;
+  unregisterLayer(id: string): void;
+  getDefaultLayers(): Layer[];
+};
+
+export default function App(): JSX.Element;
+
+// ============================================================================
+// CONSTANTS AND HELPERS
+// ============================================================================
+
+export declare const DEFAULT_LAYERS: Layer[];
+export declare const DEFAULT_RECOVERY_PITCH: { up: number; down: number };
+export declare const GEOMETRY: Readonly<Record<
+  | 'ball' | 'bankArc' | 'bankTicks' | 'compassOffset' | 'compass' | 'hsiOffset' | 'hsi' | 'slipOffset'
+  | 'pitchScale' | 'margin' | 'windowCorner',
+  number
+>>;
+export declare const SHAPES: readonly InstrumentShape[];
+export declare function instrumentSize(props: {
+  size: number;
+  shape?: InstrumentShape;
+  aspectRatio?: number;
+}): { width: number; height: number };
+export declare function insertLayer(stack: Layer[], layer: Layer, position?: LayerPosition): Layer[];
+export declare function removeLayer(stack: Layer[], id: string): Layer[];
+
+export interface AttitudeProjection {
+  scale: number;
+  point(elevation: number, lateral?: number): { x: number; y: number } | null;
+  traceSky(ctx: CanvasRenderingContext2D, extent?: number): void;
+  traceHorizon(ctx: CanvasRenderingContext2D, extent?: number): void;
+}
+export declare function createProjection(
+  attitude: { pitch: number; roll: number },
+  options: { attitudeMode?: AttitudeMode },
+  radius: number,
+  pitchScale: number,
+): AttitudeProjection;
+
+export declare const DEFAULT_SMOOTHING: Record<SmoothedChannel, SmoothingConfig>;
+export declare const DEFAULT_SPRING_FREQUENCY: number;
+export declare const THEMES: Record<ThemeName, Theme>;
+export declare const DEFAULT_FIELDS: Record<FieldSlot, DataField>;
+export declare const FIELD_SLOTS: Record<FieldSlot, {
+  x: number;
+  labelY: number;
+  valueY: number;
+  align: 'left' | 'right';
+  size: number;
+}>;
+export declare const DEFAULT_ALERTS: Record<string, AlertDefinition>;
+
+export interface PropSpec {
+  type: string | string[];
+  default?: unknown | ((props: AttitudeIndicatorProps) => unknown);
+  wrap?: { min: number; period: number };
+  clamp?: [number, number];
+  min?: number;
+  values?: readonly string[];
+  finite?: boolean;
+}
+
+export interface PropProblem {
+  prop: keyof AttitudeIndicatorProps;
+  problem: 'finite' | 'range' | 'type' | 'value';
+  message: string;
+}
+
+export declare const PROP_SPECS: Partial<Record<keyof AttitudeIndicatorProps, PropSpec>>;
+export declare const DEFAULT_PROPS: Required<Pick<AttitudeIndicatorProps,
+  | 'pitch' | 'roll' | 'heading' | 'airspeed' | 'altitude' | 'verticalSpeed' | 'slip' | 'baroSetting'
+  | 'waypoint' | 'distance' | 'navSource' | 'flightPathVector' | 'size' | 'autoSize' | 'shape' | 'aspectRatio'
+  | 'attitudeMode' | 'compassMode'
+  | 'headingReadout' | 'layout' | 'aoaStyle' | 'aoaReadout' | 'aoaStallWarning' | 'vsiScale' | 'theme'
+  | 'brightness' | 'units' | 'inputUnits' | 'renderInWorker' | 'interactive' | 'ariaLabel'
+  | 'announceInterval' | 'sonification'
+>>;
+export declare function normalizeProps<P extends AttitudeIndicatorProps>(
+  props: P,
+  onWarning?: (problem: PropProblem) => void,
+): P;
+export declare function validateProps(props: AttitudeIndicatorProps): PropProblem[];
+
+export declare const TAPE_LAYOUT: 'tapes';
+export declare function speedBandsFromVSpeeds(vSpeeds?: VSpeeds): ColorBand[];
+
+export declare const UNITS: Record<keyof UnitNames, Record<string, Omit<ResolvedUnit, 'name'>>>;
+export declare const UNIT_SYSTEMS: Record<UnitSystemName, Required<UnitNames>>;
+export declare function convert(value: number, quantity: keyof UnitNames, from: string, to: string): number;
+
+// ============================================================================
+// FLIGHT DATA SOURCES
+// ============================================================================
+
+export type FlightData = AttitudeIndicatorProps & Record<string, unknown>;
+
+export type SourceStatus = 'connecting' | 'connected' | 'reconnecting' | 'disconnected' | 'error';
+
+export interface FlightDataSource {
+  subscribe(handlers: {
+    onData: (data: FlightData) => void;
+    onStatus?: (status: SourceStatus, error?: Error | null) => void;
+  }): () => void;
+}
+
+/** Prop name -> message key path ('attitude.roll'), (message) => value, or null to drop it */
+export type FieldMapping = Record<string, string | ((message: any) => unknown) | null>;
+
+export interface ReconnectOptions {
+  initialDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  retries?: number;
+}
+
+export interface SourceOptions {
+  mapping?: FieldMapping;
+  reconnect?: ReconnectOptions | false;
+}
+
+/** Bytes in, flight data messages out; a fresh decoder per connection */
+export type DecoderFactory = () => (bytes: ArrayBuffer | Uint8Array) => FlightData[];
+
+export declare function useFlightData(
+  source: FlightDataSource | null,
+  initialData?: FlightData,
+): { flightData: FlightData; status: SourceStatus; error: Error | null };
+
+export declare function createSource(
+  openTransport: (callbacks: {
+    open: () => void;
+    message: (message: unknown) => void;
+    fail: (error?: Error) => void;
+  }) => (() => void) | undefined,
+  options?: SourceOptions,
+): FlightDataSource;
+
+export declare function createWebSocketSource(url: string, options?: SourceOptions & {
+  WebSocket?: typeof WebSocket;
+  parse?: (data: string) => unknown;
+  decode?: DecoderFactory;
+}): FlightDataSource;
+
+export declare function createEventSourceSource(url: string, options?: SourceOptions & {
+  EventSource?: typeof EventSource;
+  event?: string;
+  parse?: (data: string) => unknown;
+  withCredentials?: boolean;
+}): FlightDataSource;
+
+export declare function createDeviceOrientationSource(options?: SourceOptions & {
+  target?: EventTarget;
+}): FlightDataSource;
+
+export declare function requestOrientationPermission(): Promise<boolean>;
+
+export declare function createSerialSource(options?: SourceOptions & {
+  port?: unknown;
+  getPort?: () => Promise<unknown>;
+  baudRate?: number;
+  columns?: string[];
+  parse?: (line: string) => FlightData | null;
+  decode?: DecoderFactory;
+}): FlightDataSource;
+
+export declare function mapFields(message: unknown, mapping?: FieldMapping): FlightData;
+
+// ============================================================================
+// MAVLINK
+// ============================================================================
+
+export interface MavlinkMessage {
+  name: string;
+  msgid: number;
+  version: 1 | 2;
+  seq: number;
+  sysid: number;
+  compid: number;
+  fields: Record<string, number>;
+}
+
+export interface MavlinkParser {
+  stats: { frames: number; crcErrors: number; unknown: number; skippedBytes: number };
+  push(chunk: ArrayBuffer | Uint8Array): MavlinkMessage[];
+  reset(): void;
+}
+
+export declare function createMavlinkParser(options?: { messages?: Record<number, unknown> }): MavlinkParser;
+export declare function mavlinkToFlightData(message: MavlinkMessage, units?: Units): FlightData;
+export declare function mavlinkDecoder(options?: {
+  units?: Units;
+  messages?: Record<number, unknown>;
+}): DecoderFactory;
+export declare function encodeMavlinkFrame(msgid: number, payload: Uint8Array, options?: {
+  version?: 1 | 2;
+  seq?: number;
+  sysid?: number;
+  compid?: number;
+  crcExtra?: number;
+}): Uint8Array;
+
+// ============================================================================
+// HEADLESS RENDERING
+// ============================================================================
+
+/** The part of CanvasRenderingContext2D the layers draw with */
+export type RenderingContext2D = Pick<CanvasRenderingContext2D,
+  'save' | 'restore' | 'translate' | 'rotate' | 'beginPath' | 'moveTo' | 'lineTo' | 'arc' | 'rect'
+  | 'closePath' | 'fill' | 'stroke' | 'clip' | 'fillRect' | 'strokeRect' | 'fillText' | 'measureText'
+  | 'createLinearGradient' | 'fillStyle' | 'strokeStyle' | 'lineWidth' | 'lineCap' | 'lineJoin' | 'font'
+  | 'textAlign' | 'textBaseline' | 'globalAlpha'
+> & { canvas: { width: number; height: number } };
+
+export interface RenderOptions extends AttitudeIndicatorProps {
+  /** Defaults to the whole of `ctx.canvas` */
+  width?: number;
+  height?: number;
+  /** Seconds, for flashing alerts. Default 0. */
+  time?: number;
+  /** Seconds since the data arrived, for `staleAfter`. Default 0. */
+  dataAge?: number;
+}
+
+export declare function renderAttitude(
+  ctx: RenderingContext2D,
+  state: FlightData,
+  options?: RenderOptions,
+): { alerts: ActiveAlert[]; invalid: Partial<Record<MonitoredInput, true>> };
+
+export type MeasureText = (text: string, font: string) => { width: number };
+
+export declare function renderAttitudeToSVG(
+  state: FlightData,
+  options?: RenderOptions & { measureText?: MeasureText },
+): string;
+
+export interface SvgContext extends RenderingContext2D {
+  /** The document drawn so far */
+  toSVG(): string;
+}
+
+export declare function createSvgContext(
+  width: number,
+  height: number,
+  options?: { measureText?: MeasureText },
+): SvgContext;
+
+// ============================================================================
+// ACCESSIBILITY
+// ============================================================================
+
+export type AnnouncedField = 'roll' | 'pitch' | 'heading' | 'altitude' | 'airspeed' | 'verticalSpeed';
+
+/** Key (lower case) to what it announces */
+export declare const ANNOUNCE_KEYS: Record<string, AnnouncedField | 'description' | 'alerts'>;
+
+/** Props in display units; `units` as resolved for them */
+export declare function describeField(
+  name: AnnouncedField,
+  props: FlightData,
+  units: ResolvedUnits,
+  invalid?: Partial<Record<MonitoredInput, true>>,
+): string;
+/** `dataAge` in seconds, checked against `staleAfter`. Default 0. */
+export declare function describeAttitude(
+  props: FlightData,
+  units: ResolvedUnits,
+  fields?: AnnouncedField[],
+  dataAge?: number,
+): string;
+export declare function describeAlert(alert: ActiveAlert | AlertEvent): string;
+
+export interface SonificationSettings {
+  /** 0 to 1, at full deviation */
+  volume: number;
+  /** Hz, on the reference pitch */
+  frequency: number;
+  /** Degrees of pitch for an octave */
+  pitchRange: number;
+  /** Degrees of bank for full pan */
+  bankRange: number;
+  /** Degrees either way that count as on reference */
+  deadband: number;
+  waveform: OscillatorType;
+  reference: 'level' | 'flightDirector';
+}
+
+export interface Sonifier {
+  update(props: FlightData): void;
+  /** Call from an input handler; browsers hold audio back until then */
+  resume(): void;
+  destroy(): void;
+}
+
+export declare const DEFAULT_SONIFICATION: SonificationSettings;
+export declare function sonificationTone(
+  props: FlightData,
+  settings?: SonificationSettings,
+): { frequency: number; pan: number; gain: number };
+export declare function createSonifier(
+  settings?: SonificationSettings,
+  options?: { AudioContext?: typeof AudioContext },
+): Sonifier | null;
+
+// ============================================================================
+// ATTITUDE MATH AND SENSOR FUSION
+// ============================================================================
+
+export declare function eulerToQuaternion(attitude: Partial<EulerAttitude>): Quaternion;
+export declare function quaternionToEuler(q: Quaternion): EulerAttitude;
+export declare function rotationMatrixToEuler(m: RotationMatrix): EulerAttitude;
+
+export type FusionFilterType = 'complementary' | 'madgwick' | 'mahony';
+
+export declare const FUSION_FILTERS: FusionFilterType[];
+
+export interface ImuSample {
+  /** Seconds; or give `dt` */
+  time?: number;
+  /** Seconds since the previous sample */
+  dt?: number;
+  /** Body rates, rad/s unless `gyroUnits: 'deg/s'` */
+  gyro?: Vector3;
+  /** Specific force, any unit; level and still reads [0, 0, -1 g] */
+  accel?: Vector3;
+  /** Magnetic field, any unit */
+  mag?: Vector3;
+}
+
+export interface FusionOptions {
+  gyroUnits?: 'rad/s' | 'deg/s';
+  /** Sensor axis (optionally signed) along body x, y and z, e.g. ['x', '-y', '-z'] */
+  axes?: [string, string, string];
+  /** Added to the magnetic heading, degrees */
+  declination?: number;
+  /** Apparent gravity tilt for full ball deflection, degrees. Default 10. */
+  slipRange?: number;
+  /** Complementary filter, seconds. Default 1. */
+  timeConstant?: number;
+  /** Madgwick gain, rad/s. Default 0.1. */
+  beta?: number;
+  /** Mahony proportional gain. Default 1. */
+  kp?: number;
+  /** Mahony integral gain. Default 0. */
+  ki?: number;
+}
+
+export interface AttitudeFilter {
+  readonly quaternion: Quaternion | null;
+  /** heading only once a magnetometer sample has been seen */
+  update(sample: ImuSample): { pitch: number; roll: number; heading?: number; slip?: number };
+  reset(): void;
+}
+
+export declare function createAttitudeFilter(type?: FusionFilterType, options?: FusionOptions): AttitudeFilter;
+export declare function createComplementaryFilter(options?: FusionOptions): AttitudeFilter;
+export declare function createMadgwickFilter(options?: FusionOptions): AttitudeFilter;
+export declare function createMahonyFilter(options?: FusionOptions): AttitudeFilter;
+export declare function createFusionSource(
+  source: FlightDataSource,
+  options?: FusionOptions & { filter?: FusionFilterType | AttitudeFilter },
+): FlightDataSource;
+
+export declare function synthesizeImuTrace(options: {
+  attitude: (time: number) => EulerAttitude;
+  duration?: number;
+  rate?: number;
+  lateral?: (time: number) => number;
+  dip?: number;
+  noise?: { gyro?: number; accel?: number; mag?: number };
+  gyroBias?: Vector3;
+  seed?: number;
+}): Array<Required<Pick<ImuSample, 'time' | 'gyro' | 'accel' | 'mag'>> & { truth: EulerAttitude }>;
+
+// ============================================================================
+// RECORDING AND REPLAY
+// ============================================================================
+
+export interface FlightRecording {
+  version: number;
+  startedAt: string | null;
+  samples: Array<FlightData & { time: number }>;
+}
+
+export declare const REPLAY_SPEEDS: number[];
+
+export interface FlightRecorder {
+  readonly sampleCount: number;
+  readonly duration: number;
+  record(data: FlightData): void;
+  recording(): FlightRecording;
+  clear(): void;
+}
+
+export declare function createFlightRecorder(options?: { clock?: () => number }): FlightRecorder;
+/** The props `time` seconds after the first sample */
+export declare function sampleAt(recording: FlightRecording, time: number): FlightData;
+export declare function recordingToJSON(recording: FlightRecording): string;
+export declare function recordingToCSV(recording: FlightRecording): string;
+export declare function recordingFromJSON(text: string): FlightRecording;
+export declare function recordingFromCSV(text: string): FlightRecording;
+export declare function parseRecording(text: string): FlightRecording;
+
+export declare function useFlightRecorder(flightData: FlightData): {
+  recording: boolean;
+  sampleCount: number;
+  duration: number;
+  start(): void;
+  stop(): FlightRecording | null;
+};
+
+export declare function useFlightReplay(recording: FlightRecording | null): {
+  active: boolean;
+  flightData: FlightData | null;
+  time: number;
+  duration: number;
+  playing: boolean;
+  speed: number;
+  play(): void;
+  pause(): void;
+  seek(time: number): void;
+  setSpeed(speed: number): void;
+};
+
+// ============================================================================
+// SIZING
+// ============================================================================
+
+export interface InstrumentSize {
+  /** CSS pixels */
+  width: number;
+  height: number;
+  /** The height, as the `size` prop would give it */
+  size: number;
+  pixelRatio: number;
+  /** Canvas pixels */
+  backingWidth: number;
+  backingHeight: number;
+  borderRadius: number | string;
+}
+
+export declare function useDevicePixelRatio(): number;
+export declare function useInstrumentSize(
+  targetRef: RefObject<Element>,
+  props: AttitudeIndicatorProps,
+  options?: { key?: unknown },
+): InstrumentSize;
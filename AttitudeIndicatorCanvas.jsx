@@ -1,493 +1,332 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { forwardRef, useCallback, useState, useEffect, useId, useImperativeHandle, useMemo, useRef, useSyncExternalStore } from 'react';
+import {
+  registerLayer,
+  unregisterLayer,
+  getDefaultLayers,
+  subscribeToLayers,
+} from './instrumentLayers';
+import { KEYBOARD_HELP, KNOB_HELP } from './announcements';
+import { SHAPES } from './geometry';
+import { renderAttitude, renderAttitudeToSVG } from './headlessRenderer';
+import { createPropValidator } from './propValidation';
+import { createRenderLoop } from './renderLoop';
+import { createWorkerRenderer, findWorkerProblems, supportsWorkerRendering } from './workerRenderer';
+import { DEFAULT_UNITS, UNIT_SYSTEMS, convert, resolveUnits } from './units';
+import { REPLAY_SPEEDS, parseRecording, recordingToCSV, recordingToJSON } from './flightRecording';
+import { useFlightRecorder, useFlightReplay } from './useFlightRecording';
+import { useAnnouncements } from './useAnnouncements';
+import { useInstrumentSize } from './useInstrumentSize';
+import { useKnobControl } from './useKnobControl';
 
 // ============================================================================
-// CONSTANTS
+// ATTITUDE INDICATOR CANVAS COMPONENT
 // ============================================================================
 
-const COLORS = {
-  sky: '#1a6eb5',
-  skyDark: '#0d4a7a',
-  ground: '#6b4423',
-  groundDark: '#3d2615',
-  horizon: '#ffffff',
-  bezel: '#1a1a1a',
-  bezelHighlight: '#2a2a2a',
-  textGreen: '#00ff00',
-  textCyan: '#00ffff',
-  textMagenta: '#ff00ff',
-  textWhite: '#ffffff',
-  textYellow: '#ffff00',
-  aircraft: '#ffff00',
-  slipBall: '#ffffff',
+// Out of sight but still read by screen readers
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  border: 0,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
 };
 
-// ============================================================================
-// ATTITUDE INDICATOR CANVAS COMPONENT
-// ============================================================================
+const AttitudeIndicatorCanvas = forwardRef((givenProps, ref) => {
+  const validatorRef = useRef(null);
+  if (!validatorRef.current) validatorRef.current = createPropValidator();
 
-function AttitudeIndicatorCanvas({ pitch, roll, heading, airspeed, altitude, verticalSpeed, slip, baroSetting, waypoint, distance, size }) {
+  // Documented defaults filled in and values normalized (see
+  // propValidation.js). Redone only when the props change, so the knob's own
+  // re-renders don't look like fresh data to the render loop.
+  const props = useMemo(() => validatorRef.current.normalize(givenProps), [givenProps]);
+  const { renderInWorker, interactive, ariaLabel } = props;
   const canvasRef = useRef(null);
-  const animatedPitch = useRef(pitch);
-  const animatedRoll = useRef(roll);
-  const animatedHeading = useRef(heading);
-  const animatedSlip = useRef(slip);
-
-  const lerp = (a, b, t) => a + (b - a) * t;
-
-  const draw = useCallback(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    
-    const ctx = canvas.getContext('2d');
-    const w = canvas.width;
-    const h = canvas.height;
-    const cx = w / 2;
-    const cy = h / 2;
-    const radius = Math.min(w, h) / 2 - 10;
-
-    // Smooth animations
-    animatedPitch.current = lerp(animatedPitch.current, pitch, 0.15);
-    animatedRoll.current = lerp(animatedRoll.current, roll, 0.15);
-    animatedSlip.current = lerp(animatedSlip.current, slip, 0.12);
-    
-    // Handle heading wraparound
-    let headingDiff = heading - animatedHeading.current;
-    if (headingDiff > 180) headingDiff -= 360;
-    if (headingDiff < -180) headingDiff += 360;
-    animatedHeading.current += headingDiff * 0.15;
-
-    const p = animatedPitch.current;
-    const r = animatedRoll.current * Math.PI / 180;
-    const hdg = animatedHeading.current;
-
-    // Clear
-    ctx.fillStyle = COLORS.bezel;
-    ctx.fillRect(0, 0, w, h);
-
-    // Save state and clip to circle
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius * 0.88, 0, Math.PI * 2);
-    ctx.clip();
-
-    // Draw attitude ball
-    ctx.save();
-    ctx.translate(cx, cy);
-    ctx.rotate(-r);
-
-    const pitchPixels = p * (radius / 30); // 30 degrees = full radius
-
-    // Sky gradient
-    const skyGrad = ctx.createLinearGradient(0, -radius * 2, 0, pitchPixels);
-    skyGrad.addColorStop(0, COLORS.skyDark);
-    skyGrad.addColorStop(1, COLORS.sky);
-    ctx.fillStyle = skyGrad;
-    ctx.fillRect(-radius * 2, -radius * 2, radius * 4, radius * 2 + pitchPixels);
-
-    // Ground gradient
-    const groundGrad = ctx.createLinearGradient(0, pitchPixels, 0, radius * 2);
-    groundGrad.addColorStop(0, COLORS.ground);
-    groundGrad.addColorStop(1, COLORS.groundDark);
-    ctx.fillStyle = groundGrad;
-    ctx.fillRect(-radius * 2, pitchPixels, radius * 4, radius * 2);
-
-    // Horizon line
-    ctx.strokeStyle = COLORS.horizon;
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(-radius * 2, pitchPixels);
-    ctx.lineTo(radius * 2, pitchPixels);
-    ctx.stroke();
-
-    // Pitch ladder
-    ctx.font = `${radius * 0.06}px monospace`;
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-
-    for (let deg = -80; deg <= 80; deg += 10) {
-      if (deg === 0) continue;
-      const y = pitchPixels - deg * (radius / 30);
-      const lineWidth = Math.abs(deg) % 20 === 0 ? radius * 0.25 : radius * 0.15;
-      
-      ctx.strokeStyle = COLORS.textWhite;
-      ctx.lineWidth = 1.5;
-      ctx.beginPath();
-      ctx.moveTo(-lineWidth, y);
-      ctx.lineTo(lineWidth, y);
-      ctx.stroke();
-
-      // Chevrons for negative pitch
-      if (deg < 0) {
-        ctx.beginPath();
-        ctx.moveTo(-lineWidth, y);
-        ctx.lineTo(-lineWidth, y + 8);
-        ctx.moveTo(lineWidth, y);
-        ctx.lineTo(lineWidth, y + 8);
-        ctx.stroke();
-      }
-
-      // Labels
-      if (Math.abs(deg) % 10 === 0) {
-        ctx.fillText(Math.abs(deg).toString(), -lineWidth - 15, y);
-        ctx.fillText(Math.abs(deg).toString(), lineWidth + 15, y);
-      }
-    }
+  const containerRef = useRef(null);
+  const propsRef = useRef(props);
+  const rendererRef = useRef(null);
+
+  // Props the worker can't draw from (functions, layers registered on this
+  // thread) keep the instrument on the main thread, with a warning
+  const defaultLayers = useSyncExternalStore(subscribeToLayers, getDefaultLayers);
+  const workerProblems = useMemo(
+    () => (renderInWorker ? findWorkerProblems(props, defaultLayers) : []),
+    [renderInWorker, props, defaultLayers],
+  );
+  useEffect(() => {
+    workerProblems.forEach(problem => validatorRef.current.warn({
+      prop: 'renderInWorker',
+      problem: `worker:${problem}`,
+      message: `\`renderInWorker\` is set, but ${problem}; painting on the main thread instead`,
+    }));
+  }, [workerProblems]);
+
+  // A canvas can only be handed to a worker once, so in worker mode the
+  // canvas is created by the effect, inside a container element
+  const inWorker = Boolean(renderInWorker) && supportsWorkerRendering() && workerProblems.length === 0;
+  const rendererKey = inWorker ? 'worker' : 'main';
+
+  // CSS size (followed from the parent with `autoSize`) and the canvas size
+  // for the pixel ratio
+  const {
+    width,
+    height,
+    size,
+    pixelRatio,
+    backingWidth,
+    backingHeight,
+    borderRadius,
+  } = useInstrumentSize(inWorker ? containerRef : canvasRef, props, { key: rendererKey });
+
+  // The knob listens on whatever element is on screen
+  const knob = useKnobControl(inWorker ? containerRef : canvasRef, props, {
+    enabled: Boolean(interactive),
+    key: rendererKey,
+  });
+
+  // Live regions and announcement keys for screen readers, and the
+  // sonification tone
+  const getDataAge = useCallback(() => rendererRef.current?.dataAge() ?? 0, []);
+  const announcer = useAnnouncements(inWorker ? containerRef : canvasRef, props, { key: rendererKey, getDataAge });
+  const { handleAlert } = announcer;
+  const helpId = useId();
+
+  // The render loop reads the latest props from here, so prop updates never
+  // restart it. While the knob is in use its state rides along for the
+  // knobMenu layer.
+  const { page, setting, highlight, active } = knob;
+  propsRef.current = useMemo(() => (
+    active ? { ...props, knobState: { page, setting, highlight, active } } : props
+  ), [props, page, setting, highlight, active]);
+
+  useEffect(() => {
+    let canvas = canvasRef.current;
+    let renderer;
+    let unsubscribeLayers = () => {};
+    const getProps = () => propsRef.current;
+    const onAlert = (alert) => {
+      handleAlert(alert);
+      getProps().onAlert?.(alert);
+    };
 
-    ctx.restore();
-    ctx.restore();
-
-    // Bank angle indicator arc
-    ctx.save();
-    ctx.translate(cx, cy);
-    
-    // Arc background
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = radius * 0.06;
-    ctx.beginPath();
-    ctx.arc(0, 0, radius * 0.82, Math.PI * 1.17, Math.PI * 1.83);
-    ctx.stroke();
-
-    // Bank tick marks
-    const bankAngles = [
-      { deg: 0, len: 0.1 },
-      { deg: 10, len: 0.06 },
-      { deg: 20, len: 0.06 },
-      { deg: 30, len: 0.1 },
-      { deg: 45, len: 0.06 },
-      { deg: 60, len: 0.1 },
-    ];
-
-    ctx.strokeStyle = COLORS.textWhite;
-    ctx.lineWidth = 2;
-    
-    bankAngles.forEach(({ deg, len }) => {
-      [deg, -deg].forEach(angle => {
-        const rad = (-90 + angle) * Math.PI / 180;
-        const r1 = radius * 0.78;
-        const r2 = radius * (0.78 + len);
-        ctx.beginPath();
-        ctx.moveTo(Math.cos(rad) * r1, Math.sin(rad) * r1);
-        ctx.lineTo(Math.cos(rad) * r2, Math.sin(rad) * r2);
-        ctx.stroke();
+    if (inWorker) {
+      canvas = document.createElement('canvas');
+      Object.assign(canvas.style, {
+        display: 'block',
+        width: '100%',
+        height: '100%',
+        borderRadius: 'inherit',
       });
-    });
-
-    // Fixed sky pointer (top triangle)
-    ctx.fillStyle = COLORS.aircraft;
-    ctx.beginPath();
-    ctx.moveTo(0, -radius * 0.88);
-    ctx.lineTo(-8, -radius * 0.78);
-    ctx.lineTo(8, -radius * 0.78);
-    ctx.closePath();
-    ctx.fill();
-
-    // Moving bank pointer
-    ctx.save();
-    ctx.rotate(-r);
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.beginPath();
-    ctx.moveTo(0, -radius * 0.76);
-    ctx.lineTo(-6, -radius * 0.68);
-    ctx.lineTo(6, -radius * 0.68);
-    ctx.closePath();
-    ctx.fill();
-    ctx.restore();
-
-    ctx.restore();
-
-    // Aircraft symbol (fixed)
-    ctx.save();
-    ctx.translate(cx, cy);
-    ctx.strokeStyle = COLORS.aircraft;
-    ctx.fillStyle = COLORS.aircraft;
-    ctx.lineWidth = 4;
-    ctx.lineCap = 'round';
-
-    // Center dot
-    ctx.beginPath();
-    ctx.arc(0, 0, 5, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Wings
-    ctx.beginPath();
-    ctx.moveTo(-radius * 0.35, 0);
-    ctx.lineTo(-radius * 0.12, 0);
-    ctx.moveTo(radius * 0.12, 0);
-    ctx.lineTo(radius * 0.35, 0);
-    ctx.stroke();
-
-    // Wing tips
-    ctx.beginPath();
-    ctx.moveTo(-radius * 0.35, 0);
-    ctx.lineTo(-radius * 0.35, 12);
-    ctx.moveTo(radius * 0.35, 0);
-    ctx.lineTo(radius * 0.35, 12);
-    ctx.stroke();
-
-    ctx.restore();
-
-    // Slip/skid indicator
-    ctx.save();
-    ctx.translate(cx, cy + radius * 0.55);
-    
-    // Tube
-    ctx.fillStyle = '#1a1a1a';
-    ctx.fillRect(-radius * 0.2, -8, radius * 0.4, 16);
-    
-    // Center marks
-    ctx.fillStyle = '#444';
-    ctx.fillRect(-radius * 0.06 - 2, -10, 4, 20);
-    ctx.fillRect(radius * 0.06 - 2, -10, 4, 20);
-    
-    // Ball
-    const ballOffset = animatedSlip.current * radius * 0.12;
-    ctx.fillStyle = COLORS.slipBall;
-    ctx.beginPath();
-    ctx.arc(ballOffset, 0, 7, 0, Math.PI * 2);
-    ctx.fill();
-    
-    ctx.restore();
-
-    // Compass rose at top
-    ctx.save();
-    ctx.translate(cx, cy - radius * 0.68);
-    
-    // Background
-    ctx.fillStyle = '#1a1a1a';
-    ctx.beginPath();
-    ctx.arc(0, 0, radius * 0.22, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Rotating compass
-    ctx.save();
-    ctx.rotate(hdg * Math.PI / 180);
-    
-    const compassRadius = radius * 0.18;
-    ctx.font = `${radius * 0.055}px monospace`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-
-    for (let i = 0; i < 36; i++) {
-      const deg = i * 10;
-      const rad = -deg * Math.PI / 180;
-      const isMajor = deg % 30 === 0;
-      
-      // Tick marks
-      ctx.strokeStyle = COLORS.textWhite;
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      const r1 = compassRadius * (isMajor ? 0.7 : 0.85);
-      ctx.moveTo(Math.sin(rad) * r1, -Math.cos(rad) * r1);
-      ctx.lineTo(Math.sin(rad) * compassRadius, -Math.cos(rad) * compassRadius);
-      ctx.stroke();
-
-      // Labels
-      if (isMajor) {
-        let label = '';
-        if (deg === 0) label = 'N';
-        else if (deg === 90) label = 'E';
-        else if (deg === 180) label = 'S';
-        else if (deg === 270) label = 'W';
-        else label = (deg / 10).toString();
-
-        ctx.save();
-        ctx.translate(Math.sin(rad) * compassRadius * 0.5, -Math.cos(rad) * compassRadius * 0.5);
-        ctx.rotate(rad);
-        ctx.fillStyle = label === 'N' ? COLORS.textMagenta : COLORS.textWhite;
-        ctx.fillText(label, 0, 0);
-        ctx.restore();
-      }
+      containerRef.current.appendChild(canvas);
+      renderer = createWorkerRenderer(canvas, { getProps, onAlert });
+    } else {
+      if (!canvas) return;
+      renderer = createRenderLoop(canvas, { getProps, onAlert });
+      unsubscribeLayers = subscribeToLayers(renderer.wake);
     }
-    ctx.restore();
-
-    // Fixed heading marker
-    ctx.fillStyle = COLORS.textMagenta;
-    ctx.beginPath();
-    ctx.moveTo(0, -radius * 0.2);
-    ctx.lineTo(-5, -radius * 0.14);
-    ctx.lineTo(5, -radius * 0.14);
-    ctx.closePath();
-    ctx.fill();
-
-    // GPS/TRK labels
-    ctx.font = `${radius * 0.04}px monospace`;
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.fillText('GPS', -radius * 0.12, radius * 0.12);
-    ctx.fillText('TRK', radius * 0.12, radius * 0.12);
-
-    ctx.restore();
-
-    // Data displays
-    ctx.font = `bold ${radius * 0.09}px monospace`;
-    
-    // Left side - IAS
-    ctx.textAlign = 'left';
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.05}px monospace`;
-    ctx.fillText('IAS', cx - radius * 0.82, cy - radius * 0.35);
-    ctx.fillStyle = COLORS.textGreen;
-    ctx.font = `bold ${radius * 0.11}px monospace`;
-    ctx.fillText(Math.round(airspeed).toString(), cx - radius * 0.82, cy - radius * 0.22);
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.06}px monospace`;
-    ctx.fillText('kts', cx - radius * 0.58, cy - radius * 0.22);
-
-    // Right side - ALT
-    ctx.textAlign = 'right';
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.05}px monospace`;
-    ctx.fillText('ALT', cx + radius * 0.82, cy - radius * 0.35);
-    ctx.fillStyle = COLORS.textCyan;
-    ctx.font = `bold ${radius * 0.11}px monospace`;
-    ctx.fillText(Math.round(altitude).toString(), cx + radius * 0.82, cy - radius * 0.22);
-
-    // DIST (top left)
-    ctx.textAlign = 'left';
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.05}px monospace`;
-    ctx.fillText('DIST', cx - radius * 0.82, cy - radius * 0.58);
-    ctx.fillStyle = COLORS.textMagenta;
-    ctx.font = `bold ${radius * 0.09}px monospace`;
-    ctx.fillText(distance.toFixed(1), cx - radius * 0.82, cy - radius * 0.46);
-
-    // SALT (top right)
-    ctx.textAlign = 'right';
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.05}px monospace`;
-    ctx.fillText('SALT', cx + radius * 0.82, cy - radius * 0.58);
-    ctx.fillStyle = COLORS.textCyan;
-    ctx.font = `bold ${radius * 0.08}px monospace`;
-    ctx.fillText('0000', cx + radius * 0.82, cy - radius * 0.46);
-
-    // WPT (bottom left)
-    ctx.textAlign = 'left';
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.05}px monospace`;
-    ctx.fillText('WPT', cx - radius * 0.82, cy + radius * 0.35);
-    ctx.fillStyle = COLORS.textMagenta;
-    ctx.font = `bold ${radius * 0.08}px monospace`;
-    ctx.fillText(waypoint, cx - radius * 0.82, cy + radius * 0.46);
-
-    // BARO (bottom right)
-    ctx.textAlign = 'right';
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.05}px monospace`;
-    ctx.fillText('BARO', cx + radius * 0.82, cy + radius * 0.35);
-    ctx.fillStyle = COLORS.textCyan;
-    ctx.font = `bold ${radius * 0.08}px monospace`;
-    ctx.fillText(baroSetting.toFixed(2), cx + radius * 0.82, cy + radius * 0.46);
-
-    // VS indicator (right side tape)
-    const vsX = cx + radius * 0.92;
-    const vsHeight = radius * 0.5;
-    
-    ctx.fillStyle = '#1a1a1a';
-    ctx.fillRect(vsX - 8, cy - vsHeight / 2, 16, vsHeight);
-    
-    // VS scale marks
-    ctx.strokeStyle = COLORS.textWhite;
-    ctx.lineWidth = 1;
-    for (let i = -2; i <= 2; i++) {
-      const y = cy - (i / 2) * (vsHeight / 2) * 0.8;
-      ctx.beginPath();
-      ctx.moveTo(vsX - 6, y);
-      ctx.lineTo(vsX + 6, y);
-      ctx.stroke();
+
+    let onScreen = true;
+    let pageVisible = !document.hidden;
+    const updateVisibility = () => renderer.setVisible(onScreen && pageVisible);
+
+    const handleVisibilityChange = () => {
+      pageVisible = !document.hidden;
+      updateVisibility();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    let observer = null;
+    if (typeof IntersectionObserver !== 'undefined') {
+      observer = new IntersectionObserver(([entry]) => {
+        onScreen = entry.isIntersecting;
+        updateVisibility();
+      });
+      observer.observe(canvas);
     }
 
-    // VS pointer
-    const vsNormalized = Math.max(-2000, Math.min(2000, verticalSpeed)) / 2000;
-    const vsPointerY = cy - vsNormalized * (vsHeight / 2) * 0.8;
-    ctx.fillStyle = COLORS.textGreen;
-    ctx.beginPath();
-    ctx.moveTo(vsX - 12, vsPointerY);
-    ctx.lineTo(vsX + 4, vsPointerY - 4);
-    ctx.lineTo(vsX + 4, vsPointerY + 4);
-    ctx.closePath();
-    ctx.fill();
-
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.045}px monospace`;
-    ctx.textAlign = 'right';
-    ctx.fillText('VT', vsX - 2, cy - vsHeight / 2 - 8);
-
-    // Bottom labels
-    ctx.textAlign = 'center';
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.045}px monospace`;
-    ctx.fillText('MENU', cx - radius * 0.5, cy + radius * 0.68);
-    ctx.fillText('AoA', cx, cy + radius * 0.68);
-
-    // Status bar
-    ctx.fillStyle = 'rgba(26, 26, 26, 0.9)';
-    ctx.fillRect(cx - radius * 0.5, cy + radius * 0.72, radius, radius * 0.1);
-    
-    ctx.fillStyle = COLORS.textGreen;
-    ctx.font = `${radius * 0.045}px monospace`;
-    ctx.textAlign = 'center';
-    ctx.fillText('3:3', cx - radius * 0.1, cy + radius * 0.78);
-    ctx.fillText('100%', cx + radius * 0.2, cy + radius * 0.78);
-    
-    // Battery icon
-    ctx.fillStyle = COLORS.textGreen;
-    ctx.fillRect(cx + radius * 0.35, cy + radius * 0.75, radius * 0.06, radius * 0.05);
-
-    // Bezel
-    ctx.strokeStyle = '#2a2a2a';
-    ctx.lineWidth = radius * 0.08;
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius * 0.96, 0, Math.PI * 2);
-    ctx.stroke();
-
-    ctx.strokeStyle = '#1a1a1a';
-    ctx.lineWidth = radius * 0.04;
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
-    ctx.stroke();
-
-    // Bottom text
-    ctx.fillStyle = COLORS.textWhite;
-    ctx.font = `${radius * 0.07}px monospace`;
-    ctx.textAlign = 'center';
-    ctx.fillText('AV-30', cx - radius * 0.15, cy + radius * 0.92);
-    ctx.font = `${radius * 0.05}px monospace`;
-    ctx.fillText('PUSH-SET', cx + radius * 0.25, cy + radius * 0.92);
-
-  }, [pitch, roll, heading, airspeed, altitude, verticalSpeed, slip, baroSetting, waypoint, distance]);
+    rendererRef.current = renderer;
+    updateVisibility();
+
+    return () => {
+      renderer.destroy();
+      rendererRef.current = null;
+      unsubscribeLayers();
+      observer?.disconnect();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (inWorker) canvas.remove();
+    };
+  }, [inWorker, handleAlert]);
 
+  // The canvas is sized here rather than in the markup, so the renderer
+  // knows to repaint (and a worker's canvas can be sized at all)
   useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+    rendererRef.current?.resize(backingWidth, backingHeight);
+  }, [rendererKey, backingWidth, backingHeight]);
 
-    let animationId;
-    const animate = () => {
-      draw();
-      animationId = requestAnimationFrame(animate);
-    };
-    animate();
+  // Any prop change wakes the loop; it goes back to sleep once settled
+  useEffect(() => {
+    rendererRef.current?.wake();
+  });
 
-    return () => cancelAnimationFrame(animationId);
-  }, [draw]);
+  // Snapshots for a ref. A worker owns its canvas, so in worker mode the
+  // current props are drawn afresh, without smoothing (see
+  // headlessRenderer.js); so is the SVG.
+  useImperativeHandle(ref, () => ({
+    toDataURL(type, quality) {
+      if (!inWorker && canvasRef.current) return canvasRef.current.toDataURL(type, quality);
+      const canvas = document.createElement('canvas');
+      canvas.width = backingWidth;
+      canvas.height = backingHeight;
+      renderAttitude(canvas.getContext('2d'), propsRef.current);
+      return canvas.toDataURL(type, quality);
+    },
+
+    // At the size on screen, which `autoSize` may have changed
+    toSVG() {
+      return renderAttitudeToSVG({ ...propsRef.current, size, pixelRatio });
+    },
+  }), [inWorker, size, pixelRatio, backingWidth, backingHeight]);
+
+  // Always focusable, for the announcement keys. Without touch scrolling
+  // when it takes knob input.
+  const a11yProps = {
+    tabIndex: 0,
+    role: 'application',
+    'aria-label': ariaLabel,
+    'aria-describedby': helpId,
+  };
+  const knobStyle = interactive ? { touchAction: 'none', cursor: 'pointer' } : {};
 
-  return (
+  const instrument = inWorker ? (
+    <div
+      ref={containerRef}
+      {...a11yProps}
+      style={{ width, height, borderRadius, ...knobStyle }}
+    />
+  ) : (
     <canvas
       ref={canvasRef}
-      width={size * 2}
-      height={size * 2}
+      {...a11yProps}
       style={{
-        width: size,
-        height: size,
-        borderRadius: '50%',
+        width,
+        height,
+        borderRadius,
+        ...knobStyle,
       }}
     />
   );
-}
+
+  return (
+    <>
+      {instrument}
+      <span id={helpId} style={VISUALLY_HIDDEN}>
+        {interactive ? `${KEYBOARD_HELP} ${KNOB_HELP}` : KEYBOARD_HELP}
+      </span>
+      <div role="status" aria-live="polite" aria-atomic="true" style={VISUALLY_HIDDEN}>
+        {announcer.status}
+      </div>
+      <div role="alert" aria-live="assertive" aria-atomic="true" style={VISUALLY_HIDDEN}>
+        {announcer.alert}
+      </div>
+    </>
+  );
+});
+
+AttitudeIndicatorCanvas.displayName = 'AttitudeIndicatorCanvas';
+
+// Layer registration API
+AttitudeIndicatorCanvas.registerLayer = registerLayer;
+AttitudeIndicatorCanvas.unregisterLayer = unregisterLayer;
+AttitudeIndicatorCanvas.getDefaultLayers = getDefaultLayers;
+
+export { AttitudeIndicatorCanvas };
+export { DEFAULT_LAYERS, DEFAULT_RECOVERY_PITCH, GEOMETRY, insertLayer, removeLayer } from './instrumentLayers';
+export { SHAPES, instrumentSize } from './geometry';
+export { createProjection } from './attitudeProjection';
+export { renderAttitude, renderAttitudeToSVG } from './headlessRenderer';
+export { createSvgContext } from './svgContext';
+export { ANNOUNCE_KEYS, describeAlert, describeAttitude, describeField } from './announcements';
+export { DEFAULT_SONIFICATION, createSonifier, sonificationTone } from './sonification';
+export { DEFAULT_SMOOTHING, DEFAULT_SPRING_FREQUENCY } from './smoothing';
+export { THEMES } from './themes';
+export { DEFAULT_FIELDS, FIELD_SLOTS } from './dataFields';
+export { DEFAULT_ALERTS } from './alerts';
+export { DEFAULT_PROPS, PROP_SPECS, normalizeProps, validateProps } from './propValidation';
+export { TAPE_LAYOUT, speedBandsFromVSpeeds } from './tapeLayers';
+export { UNITS, UNIT_SYSTEMS, convert } from './units';
+export { useFlightData } from './useFlightData';
+export {
+  createDeviceOrientationSource,
+  createEventSourceSource,
+  createSerialSource,
+  createSource,
+  createWebSocketSource,
+  mapFields,
+  requestOrientationPermission,
+} from './flightDataSources';
+export { createMavlinkParser, mavlinkDecoder, mavlinkToFlightData } from './mavlink';
+export { eulerToQuaternion, quaternionToEuler, rotationMatrixToEuler } from './attitudeMath';
+export {
+  FUSION_FILTERS,
+  createAttitudeFilter,
+  createComplementaryFilter,
+  createFusionSource,
+  createMadgwickFilter,
+  createMahonyFilter,
+  synthesizeImuTrace,
+} from './sensorFusion';
+export {
+  REPLAY_SPEEDS,
+  createFlightRecorder,
+  parseRecording,
+  recordingFromCSV,
+  recordingFromJSON,
+  recordingToCSV,
+  recordingToJSON,
+  sampleAt,
+} from './flightRecording';
+export { useFlightRecorder, useFlightReplay } from './useFlightRecording';
+export { useDevicePixelRatio, useInstrumentSize } from './useInstrumentSize';
 
 // ============================================================================
 // MAIN APP
 // ============================================================================
 
+function downloadURL(name, url) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  downloadURL(name, url);
+  URL.revokeObjectURL(url);
+}
+
+function formatTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = (seconds % 60).toFixed(1);
+  return `${m}:${s.padStart(4, '0')}`;
+}
+
+const panelButtonStyle = (color, active) => ({
+  padding: '7px 12px',
+  background: active ? `${color}33` : 'transparent',
+  border: `1px solid ${color}`,
+  color,
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '11px',
+  textTransform: 'uppercase',
+  letterSpacing: '1px',
+});
+
 export default function App() {
   const [flightData, setFlightData] = useState({
     pitch: 2.5,
@@ -498,11 +337,36 @@ export default function App() {
     verticalSpeed: 0,
     slip: 0,
     baroSetting: 29.92,
+    selectedAltitude: 14500,
     waypoint: 'KABQ',
     distance: 18.6,
   });
 
   const [isAnimating, setIsAnimating] = useState(true);
+  const [units, setUnits] = useState(DEFAULT_UNITS);
+  const [brightness, setBrightness] = useState(1);
+  const [sonification, setSonification] = useState(false);
+  const [shape, setShape] = useState('round');
+  const indicatorRef = useRef(null);
+
+  // Recording and replay. While a recording is loaded it drives the
+  // indicator instead of the live data.
+  const [recordedFlight, setRecordedFlight] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const recorder = useFlightRecorder(flightData);
+  const replay = useFlightReplay(recordedFlight);
+  const shownData = replay.active ? { ...flightData, ...replay.flightData } : flightData;
+
+  // flightData stays in the component's input units; the readouts and
+  // sliders work in the selected display units
+  const inputUnits = resolveUnits(DEFAULT_UNITS);
+  const displayUnits = resolveUnits(units);
+  const toDisplay = (value, quantity) => (
+    quantity ? convert(value, quantity, inputUnits[quantity].name, displayUnits[quantity].name) : value
+  );
+  const fromDisplay = (value, quantity) => (
+    quantity ? convert(value, quantity, displayUnits[quantity].name, inputUnits[quantity].name) : value
+  );
 
   useEffect(() => {
     if (!isAnimating) return;
@@ -526,9 +390,34 @@ export default function App() {
     return () => clearInterval(interval);
   }, [isAnimating]);
 
-  const handleSliderChange = (key, value) => {
+  const handleSliderChange = (key, value, quantity) => {
     setIsAnimating(false);
-    setFlightData(prev => ({ ...prev, [key]: parseFloat(value) }));
+    setRecordedFlight(null);
+    setFlightData(prev => ({ ...prev, [key]: fromDisplay(parseFloat(value), quantity) }));
+  };
+
+  // The knob reports the settings it changes; none of them are animated
+  const handleKnobChange = key => value => setFlightData(prev => ({ ...prev, [key]: value }));
+
+  const toggleRecording = () => {
+    if (recorder.recording) {
+      setRecordedFlight(recorder.stop());
+    } else {
+      setRecordedFlight(null);
+      recorder.start();
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setRecordedFlight(parseRecording(await file.text()));
+      setImportError(null);
+    } catch (error) {
+      setImportError(`${file.name}: ${error.message}`);
+    }
   };
 
   return (
@@ -566,10 +455,23 @@ export default function App() {
 
       <div style={{
         position: 'relative',
-        borderRadius: '50%',
+        borderRadius: shape === 'round' ? '50%' : '46px',
         boxShadow: '0 0 60px rgba(0, 255, 136, 0.15), 0 20px 60px rgba(0, 0, 0, 0.8)',
       }}>
-        <AttitudeIndicatorCanvas {...flightData} size={380} />
+        <AttitudeIndicatorCanvas
+          ref={indicatorRef}
+          {...shownData}
+          units={units}
+          size={380}
+          shape={shape}
+          brightness={brightness}
+          sonification={sonification}
+          interactive
+          onBaroSettingChange={handleKnobChange('baroSetting')}
+          onHeadingBugChange={handleKnobChange('headingBug')}
+          onSelectedAltitudeChange={handleKnobChange('selectedAltitude')}
+          onBrightnessChange={setBrightness}
+        />
       </div>
 
       <div style={{
@@ -584,12 +486,16 @@ export default function App() {
         maxWidth: '420px',
       }}>
         {[
-          { label: 'Pitch', value: `${flightData.pitch.toFixed(1)}°`, color: '#00ff88' },
-          { label: 'Roll', value: `${flightData.roll.toFixed(1)}°`, color: '#00ff88' },
-          { label: 'Heading', value: `${flightData.heading.toFixed(0)}°`, color: '#ffcc00' },
-          { label: 'Airspeed', value: `${flightData.airspeed.toFixed(0)} kts`, color: '#00ff88' },
-          { label: 'Altitude', value: `${flightData.altitude.toFixed(0)} ft`, color: '#00d4ff' },
-          { label: 'V/S', value: `${flightData.verticalSpeed.toFixed(0)} fpm`, color: '#ff00ff' },
+          { label: 'Pitch', value: `${shownData.pitch.toFixed(1)}°`, color: '#00ff88' },
+          { label: 'Roll', value: `${shownData.roll.toFixed(1)}°`, color: '#00ff88' },
+          { label: 'Heading', value: `${shownData.heading.toFixed(0)}°`, color: '#ffcc00' },
+          { label: 'Airspeed', value: `${toDisplay(shownData.airspeed, 'speed').toFixed(0)} ${displayUnits.speed.symbol}`, color: '#00ff88' },
+          { label: 'Altitude', value: `${toDisplay(shownData.altitude, 'altitude').toFixed(0)} ${displayUnits.altitude.symbol}`, color: '#00d4ff' },
+          {
+            label: 'V/S',
+            value: `${toDisplay(shownData.verticalSpeed, 'verticalSpeed').toFixed(displayUnits.verticalSpeed.name === 'fpm' ? 0 : 1)} ${displayUnits.verticalSpeed.symbol}`,
+            color: '#ff00ff',
+          },
         ].map(({ label, value, color }) => (
           <div key={label} style={{ textAlign: 'center' }}>
             <div style={{ color: '#8b949e', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '1px', marginBottom: '4px' }}>
@@ -615,6 +521,22 @@ export default function App() {
       }}>
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
           <span style={{ color: '#8b949e', fontSize: '11px', textTransform: 'uppercase' }}>Manual Controls</span>
+          <select
+            value={units}
+            onChange={(e) => setUnits(e.target.value)}
+            style={{
+              padding: '7px 10px',
+              background: 'rgba(0, 212, 255, 0.1)',
+              border: '1px solid #00d4ff',
+              color: '#00d4ff',
+              borderRadius: '6px',
+              fontFamily: 'inherit',
+              fontSize: '11px',
+              textTransform: 'uppercase',
+            }}
+          >
+            {Object.keys(UNIT_SYSTEMS).map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
           <button
             onClick={() => setIsAnimating(!isAnimating)}
             style={{
@@ -635,21 +557,21 @@ export default function App() {
         </div>
 
         {[
-          { key: 'pitch', label: 'Pitch', min: -45, max: 45, unit: '°' },
-          { key: 'roll', label: 'Roll', min: -60, max: 60, unit: '°' },
-          { key: 'heading', label: 'Heading', min: 0, max: 360, unit: '°' },
-          { key: 'airspeed', label: 'Airspeed', min: 0, max: 200, unit: ' kts' },
-          { key: 'altitude', label: 'Altitude', min: 0, max: 30000, unit: ' ft' },
-        ].map(({ key, label, min, max, unit }) => (
+          { key: 'pitch', label: 'Pitch', min: -45, max: 45, step: 0.5, unit: '°' },
+          { key: 'roll', label: 'Roll', min: -60, max: 60, step: 0.5, unit: '°' },
+          { key: 'heading', label: 'Heading', min: 0, max: 360, step: 0.5, unit: '°' },
+          { key: 'airspeed', label: 'Airspeed', min: 0, max: 200, step: 0.5, quantity: 'speed' },
+          { key: 'altitude', label: 'Altitude', min: 0, max: 30000, step: 100, quantity: 'altitude' },
+        ].map(({ key, label, min, max, step, unit, quantity }) => (
           <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
             <span style={{ color: '#8b949e', fontSize: '11px', textTransform: 'uppercase', width: '70px' }}>{label}</span>
             <input
               type="range"
-              min={min}
-              max={max}
-              step={key === 'altitude' ? 100 : 0.5}
-              value={flightData[key]}
-              onChange={(e) => handleSliderChange(key, e.target.value)}
+              min={toDisplay(min, quantity)}
+              max={toDisplay(max, quantity)}
+              step={toDisplay(step, quantity)}
+              value={toDisplay(shownData[key], quantity)}
+              onChange={(e) => handleSliderChange(key, e.target.value, quantity)}
               style={{
                 flex: 1,
                 accentColor: '#00ff88',
@@ -657,11 +579,146 @@ export default function App() {
               }}
             />
             <span style={{ color: '#00ff88', fontSize: '11px', width: '65px', textAlign: 'right' }}>
-              {key === 'heading' ? flightData[key].toFixed(0) : flightData[key].toFixed(1)}{unit}
+              {toDisplay(shownData[key], quantity).toFixed(key === 'heading' ? 0 : 1)}
+              {quantity ? ` ${displayUnits[quantity].symbol}` : unit}
             </span>
           </div>
         ))}
       </div>
+
+      <div style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '10px',
+        padding: '20px',
+        background: 'rgba(22, 27, 34, 0.8)',
+        borderRadius: '12px',
+        border: '1px solid rgba(48, 54, 61, 0.6)',
+        width: '100%',
+        maxWidth: '420px',
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+          <span style={{ color: '#8b949e', fontSize: '11px', textTransform: 'uppercase' }}>
+            {recorder.recording
+              ? `Recording ${formatTime(recorder.duration)}`
+              : replay.active ? 'Replay' : 'Recorder'}
+          </span>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={toggleRecording} style={panelButtonStyle('#ff6464', recorder.recording)}>
+              {recorder.recording ? 'Stop Rec' : 'Record'}
+            </button>
+            <label style={panelButtonStyle('#00d4ff', false)}>
+              Import
+              <input type="file" accept=".json,.csv" onChange={handleImport} style={{ display: 'none' }} />
+            </label>
+            {replay.active && (
+              <button onClick={() => setRecordedFlight(null)} style={panelButtonStyle('#00ff88', false)}>
+                Live
+              </button>
+            )}
+          </div>
+        </div>
+
+        {importError && <span style={{ color: '#ff6464', fontSize: '11px' }}>{importError}</span>}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+          <span style={{ color: '#8b949e', fontSize: '11px', textTransform: 'uppercase' }}>Snapshot</span>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <button
+              onClick={() => downloadURL('attitude.png', indicatorRef.current.toDataURL('image/png'))}
+              style={{ ...panelButtonStyle('#00d4ff', false), padding: '5px 7px' }}
+            >
+              PNG
+            </button>
+            <button
+              onClick={() => downloadFile('attitude.svg', indicatorRef.current.toSVG(), 'image/svg+xml')}
+              style={{ ...panelButtonStyle('#00d4ff', false), padding: '5px 7px' }}
+            >
+              SVG
+            </button>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+          <span style={{ color: '#8b949e', fontSize: '11px', textTransform: 'uppercase' }}>Shape</span>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            {SHAPES.map(name => (
+              <button
+                key={name}
+                onClick={() => setShape(name)}
+                aria-pressed={shape === name}
+                style={{ ...panelButtonStyle('#00d4ff', shape === name), padding: '5px 7px' }}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+          <span style={{ color: '#8b949e', fontSize: '11px', textTransform: 'uppercase' }}>Sonification</span>
+          <button
+            onClick={() => setSonification(!sonification)}
+            aria-pressed={sonification}
+            style={{ ...panelButtonStyle('#ffcc00', sonification), padding: '5px 7px' }}
+          >
+            {sonification ? 'On' : 'Off'}
+          </button>
+        </div>
+
+        {replay.active && (
+          <>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+              <button
+                onClick={replay.playing ? replay.pause : replay.play}
+                style={{ ...panelButtonStyle('#00ff88', replay.playing), width: '70px' }}
+              >
+                {replay.playing ? 'Pause' : 'Play'}
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={replay.duration}
+                step={0.01}
+                value={replay.time}
+                onChange={(e) => replay.seek(parseFloat(e.target.value))}
+                style={{ flex: 1, accentColor: '#00ff88', height: '4px' }}
+              />
+              <span style={{ color: '#00ff88', fontSize: '11px', width: '95px', textAlign: 'right' }}>
+                {formatTime(replay.time)} / {formatTime(replay.duration)}
+              </span>
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                {REPLAY_SPEEDS.map(speed => (
+                  <button
+                    key={speed}
+                    onClick={() => replay.setSpeed(speed)}
+                    style={{ ...panelButtonStyle('#ffcc00', replay.speed === speed), padding: '5px 7px' }}
+                  >
+                    {speed}×
+                  </button>
+                ))}
+              </div>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                <button
+                  onClick={() => downloadFile('flight.json', recordingToJSON(recordedFlight), 'application/json')}
+                  style={{ ...panelButtonStyle('#00d4ff', false), padding: '5px 7px' }}
+                >
+                  JSON
+                </button>
+                <button
+                  onClick={() => downloadFile('flight.csv', recordingToCSV(recordedFlight), 'text/csv')}
+                  style={{ ...panelButtonStyle('#00d4ff', false), padding: '5px 7px' }}
+                >
+                  CSV
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,99 @@
+// ============================================================================
+// ALERT LAYERS
+// ============================================================================
+//
+// Annunciations for the alerts in `frame.alerts` and the ATT FAIL flag for
+// `frame.invalid` (see alerts.js), plus the helpers the other layers use to
+// colour, flash or cross out their readouts.
+
+import { GEOMETRY, traceBallWindow } from './geometry';
+
+const FLASH_RATE = 2; // flashes per second
+
+const FAILURE_X_MIN_WIDTH = 0.01; // in radii, so a narrow tape still gets a clear X
+
+const ANNUNCIATOR = {
+  y: 0.22,       // first message, below the dial centre
+  spacing: 0.08,
+  maxMessages: 3,
+};
+
+export function alertColor(alert, theme) {
+  if (alert.level === 'warning') return theme.warning;
+  if (alert.level === 'caution') return theme.textYellow;
+  return theme.textWhite;
+}
+
+// True during the off half of a flashing alert's cycle
+export function isFlashedOff(alert, time) {
+  return Boolean(alert?.flash) && Math.floor(time * FLASH_RATE * 2) % 2 === 1;
+}
+
+// Red X across a failed display area, corner to corner. `radius` is the
+// dial radius, which sets the thinnest line.
+export function drawFailureX(ctx, x, y, width, height, theme, radius) {
+  ctx.strokeStyle = theme.warning;
+  ctx.lineWidth = Math.max(radius * FAILURE_X_MIN_WIDTH, Math.min(width, height) * 0.02);
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x + width, y + height);
+  ctx.moveTo(x + width, y);
+  ctx.lineTo(x, y + height);
+  ctx.stroke();
+}
+
+function drawFlag(ctx, text, x, y, font, background, color) {
+  ctx.font = font;
+  const width = ctx.measureText(text).width * 1.25;
+  const height = parseFloat(font.replace(/^bold /, '')) * 1.5;
+  ctx.fillStyle = background;
+  ctx.fillRect(x - width / 2, y - height / 2, width, height);
+  ctx.fillStyle = color;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, x, y);
+}
+
+// Blanks the ball and the symbols on it when pitch or roll can't be trusted,
+// rather than leaving a frozen horizon up
+export const attitudeFail = {
+  id: 'attitudeFail',
+  draw(ctx, frame) {
+    const { cx, cy, radius, invalid, theme } = frame;
+    if (!invalid.pitch && !invalid.roll) return;
+
+    const ball = radius * GEOMETRY.ball;
+    ctx.fillStyle = theme.panel;
+    ctx.beginPath();
+    traceBallWindow(ctx, frame);
+    ctx.fill();
+
+    const corner = ball * Math.SQRT1_2;
+    drawFailureX(ctx, cx - corner, cy - corner, corner * 2, corner * 2, theme, radius);
+    drawFlag(ctx, 'ATT FAIL', cx, cy, `bold ${radius * 0.09}px monospace`, theme.warning, theme.textWhite);
+  },
+};
+
+export const annunciator = {
+  id: 'annunciator',
+
+  isAnimating: ({ alerts }) => alerts.some(alert => alert.flash),
+
+  draw(ctx, { cx, cy, radius, alerts, theme, time }) {
+    // ATT FAIL has its own flag on the ball
+    const shown = alerts.filter(alert => alert.id !== 'attitudeFail').slice(0, ANNUNCIATOR.maxMessages);
+    const font = `bold ${radius * 0.055}px monospace`;
+
+    shown.forEach((alert, i) => {
+      const y = cy + radius * (ANNUNCIATOR.y + i * ANNUNCIATOR.spacing);
+      const color = alertColor(alert, theme);
+      // Flashing messages invert on the off beat
+      if (isFlashedOff(alert, time)) {
+        drawFlag(ctx, alert.message, cx, y, font, theme.panel, color);
+      } else {
+        drawFlag(ctx, alert.message, cx, y, font, color, alert.level === 'warning' ? theme.textWhite : theme.panel);
+      }
+    });
+  },
+};
@@ -0,0 +1,237 @@
+// ============================================================================
+// ALERTS
+// ============================================================================
+//
+// Watches the props for limits being exceeded and for inputs that can't be
+// trusted. Evaluated on the raw props (in display units), not on the smoothed
+// needles, so an alert fires as soon as the data says so.
+//
+// A limit alert is:
+//
+//   {
+//     level: 'warning',               // 'warning', 'caution' or 'advisory'
+//     message: 'SINK RATE',           // annunciator text
+//     value: 'verticalSpeed',         // prop name, or ({ props, units }) => value
+//     field: 'verticalSpeed',         // readouts to colour (default: `value`)
+//     abs: false,                     // compare the magnitude
+//     above: 160, below: -2000,       // numbers or ({ props, units }) => number
+//     flash: true,                    // flash the annunciation and readouts
+//   }                                 // (default: warnings flash)
+//
+// The `alerts` prop is merged over DEFAULT_ALERTS by id, the same way as
+// `fields`: an alert without its own `value` is merged into the default (e.g.
+// `{ bankAngle: { above: 30 } }`) and `null` turns one off.
+//
+// An input is invalid when it is given but isn't a finite number (NaN, null,
+// Infinity, a string), or when the data inputs haven't changed for
+// `staleAfter` seconds (see `createDataClock`). Invalid sensor inputs raise the
+// failure alerts below; the readouts of any invalid input are flagged instead
+// of showing a held value.
+
+import { SMOOTHED_CHANNELS } from './smoothing';
+import { convert } from './units';
+
+export const ALERT_LEVELS = ['warning', 'caution', 'advisory'];
+
+// Inputs checked for invalid data: the sensor inputs, then the navigation
+// and settings values that have readouts
+export const MONITORED_INPUTS = [
+  'pitch', 'roll', 'heading', 'slip', 'airspeed', 'altitude', 'verticalSpeed',
+  'angleOfAttack', 'distance', 'baroSetting', 'selectedAltitude',
+];
+
+// Monitored only when given: without one the instrument shows no value for
+// it to fail (the AoA indicator shows its static label)
+const OPTIONAL_INPUTS = ['angleOfAttack'];
+
+export const DEFAULT_AOA_STALL_WARNING = 0.9;
+
+// Normalized AoA (0 at zero lift, 1 at the critical angle) from degrees when
+// `aoaRange` is given, as is otherwise
+export function normalizeAngleOfAttack(value, range) {
+  if (!range) return value;
+  return (value - range.zeroLift) / (range.critical - range.zeroLift);
+}
+
+export const DEFAULT_ALERTS = {
+  bankAngle: {
+    level: 'caution',
+    message: 'BANK',
+    value: 'roll',
+    abs: true,
+    above: 45,
+  },
+  sinkRate: {
+    level: 'warning',
+    message: 'SINK RATE',
+    value: 'verticalSpeed',
+    below: ({ units }) => convert(-2000, 'verticalSpeed', 'fpm', units.verticalSpeed.name),
+  },
+  // Off until `vSpeeds` gives a stall speed
+  lowAirspeed: {
+    level: 'warning',
+    message: 'LOW SPEED',
+    value: 'airspeed',
+    below: ({ props }) => props.vSpeeds?.vs1 ?? props.vSpeeds?.vso,
+  },
+  // Off until there is a `selectedAltitude`
+  altitudeDeviation: {
+    level: 'caution',
+    message: 'ALTITUDE',
+    value: ({ props }) => props.altitude - props.selectedAltitude,
+    field: 'altitude',
+    abs: true,
+    above: ({ units }) => convert(200, 'altitude', 'ft', units.altitude.name),
+  },
+  // Off until there is an `angleOfAttack`
+  stall: {
+    level: 'warning',
+    message: 'STALL',
+    value: ({ props }) => normalizeAngleOfAttack(props.angleOfAttack, props.aoaRange),
+    field: 'angleOfAttack',
+    above: ({ props }) => props.aoaStallWarning ?? DEFAULT_AOA_STALL_WARNING,
+  },
+};
+
+// Raised for invalid inputs, ahead of any limit alert
+export const FAILURE_ALERTS = {
+  attitudeFail: { level: 'warning', message: 'ATT FAIL', inputs: ['pitch', 'roll'] },
+  headingFail: { level: 'warning', message: 'HDG FAIL', inputs: ['heading'] },
+  airspeedFail: { level: 'warning', message: 'IAS FAIL', inputs: ['airspeed'] },
+  altitudeFail: { level: 'warning', message: 'ALT FAIL', inputs: ['altitude'] },
+  verticalSpeedFail: { level: 'warning', message: 'VS FAIL', inputs: ['verticalSpeed'] },
+  angleOfAttackFail: { level: 'warning', message: 'AOA FAIL', inputs: ['angleOfAttack'] },
+};
+
+export function resolveAlerts(alerts = {}) {
+  const resolved = {};
+  const ids = new Set([...Object.keys(DEFAULT_ALERTS), ...Object.keys(alerts)]);
+  ids.forEach(id => {
+    const alert = alerts[id];
+    if (alert === null) return;
+    if (alert === undefined) {
+      resolved[id] = DEFAULT_ALERTS[id];
+    } else if (alert.value !== undefined || !DEFAULT_ALERTS[id]) {
+      resolved[id] = alert;
+    } else {
+      resolved[id] = { ...DEFAULT_ALERTS[id], ...alert };
+    }
+  });
+  return resolved;
+}
+
+// `{ name: true }` for every monitored input that can't be shown. `dataAge`
+// is the time in seconds since the props last changed.
+export function findInvalidInputs(props, dataAge = 0) {
+  const stale = props.staleAfter > 0 && dataAge > props.staleAfter;
+  const invalid = {};
+  MONITORED_INPUTS.forEach(name => {
+    const value = props[name];
+    if (value === undefined && OPTIONAL_INPUTS.includes(name)) return;
+    if (stale || (value !== undefined && !Number.isFinite(value))) invalid[name] = true;
+  });
+  return invalid;
+}
+
+// The props whose changes count as new data for `staleAfter`
+const DATA_INPUTS = [...new Set([...MONITORED_INPUTS, ...SMOOTHED_CHANNELS])];
+
+const sameData = (a, b) => DATA_INPUTS.every(name => Object.is(a[name], b[name]));
+
+// Keeps track of when the data last changed. `update(props, time)` returns
+// that time, in the units of `time`. A new props object only counts when one
+// of the data inputs differs: the component builds one for every turn of the
+// knob, and a parent may re-render with a dead feed.
+export function createDataClock() {
+  let lastProps = null;
+  let lastData = null;
+  let lastUpdate = 0;
+
+  return {
+    update(props, time) {
+      if (props !== lastProps) {
+        lastProps = props;
+        if (!lastData || !sameData(props, lastData)) {
+          lastData = props;
+          lastUpdate = time;
+        }
+      }
+      return lastUpdate;
+    },
+  };
+}
+
+const resolveLimit = (limit, context) => (typeof limit === 'function' ? limit(context) : limit);
+
+function isExceeded(alert, context) {
+  let value = typeof alert.value === 'function' ? alert.value(context) : context.props[alert.value];
+  if (!Number.isFinite(value)) return false;
+  if (alert.abs) value = Math.abs(value);
+
+  const above = resolveLimit(alert.above, context);
+  const below = resolveLimit(alert.below, context);
+  return (Number.isFinite(above) && value > above) || (Number.isFinite(below) && value < below);
+}
+
+function byLevel(a, b) {
+  return ALERT_LEVELS.indexOf(a.level) - ALERT_LEVELS.indexOf(b.level);
+}
+
+// Active alerts, most severe first: `{ id, level, message, field, flash }`
+export function evaluateAlerts(props, units, invalid = {}) {
+  const active = [];
+
+  Object.keys(FAILURE_ALERTS).forEach(id => {
+    const { level, message, inputs } = FAILURE_ALERTS[id];
+    if (inputs.some(name => invalid[name])) {
+      active.push({ id, level, message, field: inputs[0], flash: false });
+    }
+  });
+
+  const context = { props, units };
+  const alerts = resolveAlerts(props.alerts);
+  Object.keys(alerts).forEach(id => {
+    const alert = alerts[id];
+    const field = alert.field ?? (typeof alert.value === 'string' ? alert.value : undefined);
+    if (field && invalid[field]) return; // the failure says it already
+    if (!isExceeded(alert, context)) return;
+    active.push({
+      id,
+      level: alert.level ?? 'caution',
+      message: alert.message ?? id,
+      field,
+      flash: alert.flash ?? alert.level === 'warning',
+    });
+  });
+
+  return active.sort(byLevel);
+}
+
+// The most severe active alert on a readout, if any
+export function alertForField(alerts, field) {
+  return alerts?.find(alert => alert.field === field);
+}
+
+// Keeps the active set between evaluations and reports each alert once when
+// it is raised and once when it clears: `onChange({ ...alert, active })`
+export function createAlertMonitor(onChange) {
+  let active = new Map();
+
+  return {
+    update(props, units, dataAge) {
+      const invalid = findInvalidInputs(props, dataAge);
+      const alerts = evaluateAlerts(props, units, invalid);
+      const next = new Map(alerts.map(alert => [alert.id, alert]));
+
+      next.forEach((alert, id) => {
+        if (!active.has(id)) onChange?.({ ...alert, active: true });
+      });
+      active.forEach((alert, id) => {
+        if (!next.has(id)) onChange?.({ ...alert, active: false });
+      });
+      active = next;
+
+      return { alerts, invalid };
+    },
+  };
+}
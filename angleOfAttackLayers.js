@@ -0,0 +1,136 @@
+// ============================================================================
+// ANGLE OF ATTACK
+// ============================================================================
+//
+// Normalized angle-of-attack indicator under the ball, where the static "AoA"
+// label sits when there is no `angleOfAttack` prop. Normalized AoA runs from
+// 0 at zero lift to 1 at the critical (stall) angle.
+//
+//   angleOfAttack     normalized AoA, or degrees when `aoaRange` is given
+//   aoaRange          { zeroLift, critical } in degrees, to normalize raw AoA
+//   aoaStyle          'chevron' (row of lit chevrons) or 'bar'
+//   aoaBands          [{ from, to, color }] in normalized AoA; `color` is a
+//                     palette key or a CSS colour
+//   aoaStallWarning   normalized AoA above which the `stall` alert is
+//                     raised (see alerts.js)
+//   aoaReadout        also show the value as a number
+//
+// An alert on the AoA, the stall warning included, colours and flashes the
+// indicator and readout. A failed AoA is crossed out, with dashes for the
+// readout.
+
+import { alertColor, drawFailureX, isFlashedOff } from './alertLayers';
+import { alertForField, normalizeAngleOfAttack } from './alerts';
+
+export const AOA_STYLES = ['chevron', 'bar'];
+
+export const DEFAULT_AOA_BANDS = [
+  { from: 0, to: 0.6, color: 'textGreen' },
+  { from: 0.6, to: 0.85, color: 'textYellow' },
+  { from: 0.85, to: 1, color: 'warning' },
+];
+
+const AOA = {
+  y: 0.665,        // centre line, below the dial centre
+  halfWidth: 0.2,
+  height: 0.05,
+  chevrons: 9,
+  readoutX: 0.25,  // left edge of the numeric readout
+};
+
+function bandColor(bands, value, theme) {
+  const band = bands.find(({ from, to }) => value >= from && value <= to)
+    ?? (value < bands[0]?.from ? bands[0] : bands[bands.length - 1]);
+  return band ? theme[band.color] ?? band.color : theme.textWhite;
+}
+
+const aoaAlert = ({ props, alerts }) => (
+  props.angleOfAttack === undefined ? undefined : alertForField(alerts, 'angleOfAttack')
+);
+
+export const aoaIndicator = {
+  id: 'aoaIndicator',
+
+  isAnimating: frame => Boolean(aoaAlert(frame)?.flash),
+
+  draw(ctx, frame) {
+    const { cx, cy, radius, state, props, theme, time, invalid } = frame;
+    ctx.translate(cx, cy + radius * AOA.y);
+    ctx.textBaseline = 'middle';
+
+    if (props.angleOfAttack === undefined) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = theme.textWhite;
+      ctx.font = `${radius * 0.045}px monospace`;
+      ctx.fillText('AoA', 0, 0);
+      return;
+    }
+
+    const halfWidth = radius * AOA.halfWidth;
+    const height = radius * AOA.height;
+    const readout = (text, color) => {
+      if (!props.aoaReadout) return;
+      ctx.textAlign = 'left';
+      ctx.font = `${radius * 0.045}px monospace`;
+      ctx.fillStyle = color;
+      ctx.fillText(text, radius * AOA.readoutX, 0);
+    };
+
+    if (invalid.angleOfAttack) {
+      drawFailureX(ctx, -halfWidth, -height / 2, halfWidth * 2, height, theme, radius);
+      readout('----', theme.warning);
+      return;
+    }
+
+    const value = normalizeAngleOfAttack(state.angleOfAttack, props.aoaRange);
+    const bands = props.aoaBands ?? DEFAULT_AOA_BANDS;
+    const style = AOA_STYLES.includes(props.aoaStyle) ? props.aoaStyle : 'chevron';
+    const alert = aoaAlert(frame);
+    const colorAt = v => (alert ? alertColor(alert, theme) : bandColor(bands, v, theme));
+    const toX = v => -halfWidth + Math.min(Math.max(v, 0), 1) * halfWidth * 2;
+
+    // Flashes in step with the annunciation
+    if (!isFlashedOff(alert, time)) {
+      if (style === 'bar') {
+        // Dim bands along the whole range, lit up to the current value
+        bands.forEach(({ from, to }) => {
+          const x0 = toX(from);
+          const x1 = toX(to);
+          ctx.globalAlpha = 0.3;
+          ctx.fillStyle = colorAt((from + to) / 2);
+          ctx.fillRect(x0, -height / 2, x1 - x0, height);
+          if (value > from) {
+            ctx.globalAlpha = 1;
+            ctx.fillRect(x0, -height / 2, toX(Math.min(value, to)) - x0, height);
+          }
+        });
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = theme.textWhite;
+        const needle = radius * 0.008;
+        ctx.fillRect(toX(value) - needle / 2, -height * 0.8, needle, height * 1.6);
+      } else {
+        // Chevrons pointing towards the stall end, lit up to the current value
+        const pitch = (halfWidth * 2) / AOA.chevrons;
+        ctx.lineWidth = radius * 0.014;
+        ctx.lineJoin = 'miter';
+        for (let i = 0; i < AOA.chevrons; i++) {
+          const centre = (i + 0.5) / AOA.chevrons;
+          const x = -halfWidth + pitch * (i + 0.5);
+          ctx.globalAlpha = value >= centre ? 1 : 0.25;
+          ctx.strokeStyle = colorAt(centre);
+          ctx.beginPath();
+          ctx.moveTo(x - pitch * 0.25, -height / 2);
+          ctx.lineTo(x + pitch * 0.25, 0);
+          ctx.lineTo(x - pitch * 0.25, height / 2);
+          ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+      }
+    }
+
+    readout(
+      props.aoaRange ? `${state.angleOfAttack.toFixed(1)}°` : value.toFixed(2),
+      alert ? alertColor(alert, theme) : theme.textWhite,
+    );
+  },
+};
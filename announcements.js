@@ -0,0 +1,125 @@
+// ============================================================================
+// ANNOUNCEMENTS
+// ============================================================================
+//
+// The instrument in words, for screen readers (see useAnnouncements.js):
+//
+//   "Bank 20° right, pitch 5° up, heading 270, altitude 8,500 ft"
+//
+// Everything here works on the props in display units, so the text reads in
+// the same units as the instrument. A failed input is announced as failed
+// rather than with a value, as the readouts flag it rather than show one.
+// `dataAge` (seconds since the data last changed, from the render loop) makes
+// stale data fail the same way it does on screen.
+
+import { findInvalidInputs } from './alerts';
+import { formatHeading } from './compassLayers';
+
+// What the live region reads out every `announceInterval` seconds
+export const SUMMARY_FIELDS = ['roll', 'pitch', 'heading', 'altitude'];
+
+// The full description, on demand
+export const DESCRIPTION_FIELDS = [...SUMMARY_FIELDS, 'airspeed', 'verticalSpeed'];
+
+// Keys that announce something while the instrument has focus. Lower case;
+// Shift makes no difference.
+export const ANNOUNCE_KEYS = {
+  d: 'description',
+  b: 'roll',
+  p: 'pitch',
+  h: 'heading',
+  a: 'altitude',
+  s: 'airspeed',
+  v: 'verticalSpeed',
+  w: 'alerts',
+};
+
+export const KEYBOARD_HELP = 'Press D for a description, B for bank, P for pitch, H for heading, '
+  + 'A for altitude, S for airspeed, V for vertical speed and W for alerts.';
+
+export const KNOB_HELP = 'Arrow keys turn the knob, Enter pushes it and Escape goes back.';
+
+const FIELD_NAMES = {
+  roll: 'bank',
+  pitch: 'pitch',
+  heading: 'heading',
+  altitude: 'altitude',
+  airspeed: 'airspeed',
+  verticalSpeed: 'vertical speed',
+};
+
+// Annunciator text doesn't read well aloud; anything not listed here is read
+// as its message in lower case
+const SPOKEN_ALERTS = {
+  attitudeFail: 'attitude failed',
+  headingFail: 'heading failed',
+  airspeedFail: 'airspeed failed',
+  altitudeFail: 'altitude failed',
+  verticalSpeedFail: 'vertical speed failed',
+  angleOfAttackFail: 'angle of attack failed',
+  bankAngle: 'bank angle',
+  lowAirspeed: 'low airspeed',
+  altitudeDeviation: 'altitude deviation',
+};
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+const formatNumber = (value, decimals = 0) => (
+  value.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+);
+
+const degrees = value => `${Math.abs(Math.round(value))}°`;
+
+const PHRASES = {
+  roll: (value) => {
+    if (Math.round(value) === 0) return 'wings level';
+    return `bank ${degrees(value)} ${value > 0 ? 'right' : 'left'}`;
+  },
+  pitch: (value) => {
+    if (Math.round(value) === 0) return 'pitch level';
+    return `pitch ${degrees(value)} ${value > 0 ? 'up' : 'down'}`;
+  },
+  heading: value => `heading ${formatHeading(value)}`,
+  altitude: (value, units) => `altitude ${formatNumber(value)} ${units.altitude.symbol}`,
+  airspeed: (value, units) => `airspeed ${formatNumber(value)} ${units.speed.symbol}`,
+  // A tenth is worth saying in the small units (m/s), not in fpm
+  verticalSpeed: (value, units) => {
+    const decimals = units.verticalSpeed.range < 100 ? 1 : 0;
+    const rate = Number(Math.abs(value).toFixed(decimals));
+    if (rate === 0) return 'no vertical speed';
+    return `${value > 0 ? 'climbing' : 'descending'} ${formatNumber(rate, decimals)} ${units.verticalSpeed.symbol}`;
+  },
+};
+
+// One value as a phrase, e.g. 'bank 20° right', 'heading failed'.
+// `invalid` is from findInvalidInputs.
+export function describeField(name, props, units, invalid = findInvalidInputs(props)) {
+  if (invalid[name]) return `${FIELD_NAMES[name]} failed`;
+  return PHRASES[name](props[name], units);
+}
+
+// The fields (SUMMARY_FIELDS by default) as one sentence
+export function describeAttitude(props, units, fields = SUMMARY_FIELDS, dataAge = 0) {
+  const invalid = findInvalidInputs(props, dataAge);
+  return capitalize(fields.map(name => describeField(name, props, units, invalid)).join(', '));
+}
+
+// One alert from the alert monitor, e.g. 'Warning: sink rate'. Cleared alerts
+// say so.
+export function describeAlert(alert) {
+  const text = `${capitalize(alert.level)}: ${SPOKEN_ALERTS[alert.id] ?? alert.message.toLowerCase()}`;
+  return alert.active === false ? `${text} cleared` : text;
+}
+
+// All active alerts, most severe first
+export function describeAlerts(alerts) {
+  if (alerts.length === 0) return 'No alerts';
+  return alerts.map(describeAlert).join('. ');
+}
+
+// What an ANNOUNCE_KEYS entry says
+export function describe(what, props, units, alerts = [], dataAge = 0) {
+  if (what === 'alerts') return describeAlerts(alerts);
+  if (what === 'description') return describeAttitude(props, units, DESCRIPTION_FIELDS, dataAge);
+  return describeAttitude(props, units, [what], dataAge);
+}
@@ -0,0 +1,128 @@
+// ============================================================================
+// ATTITUDE MATH
+// ============================================================================
+//
+// Conversions between the ways an attitude can be given. All of them describe
+// the rotation from the aircraft body frame (x forward, y right wing, z down)
+// to the local North-East-Down frame, with aerospace Euler angles applied
+// heading, then pitch, then roll:
+//
+//   quaternion        [w, x, y, z] or { w, x, y, z }, Hamilton, scalar first
+//   rotation matrix   [[r00, r01, r02], [r10, ...], ...] or 9 numbers, row
+//                     major; multiplies body vectors into NED
+//   Euler             { pitch, roll, heading } in degrees, as the props take
+//
+// A sensor that reports in East-North-Up or another frame needs its axes
+// swapped into this one first (see `axes` in sensorFusion.js).
+
+const DEG = 180 / Math.PI;
+const RAD = Math.PI / 180;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// ============================================================================
+// QUATERNIONS
+// ============================================================================
+
+// `[w, x, y, z]` from either accepted form, or null when it isn't one
+export function toQuaternion(value) {
+  if (!value || typeof value !== 'object') return null;
+  const q = Array.isArray(value) ? value : [value.w, value.x, value.y, value.z];
+  if (q.length !== 4 || !q.every(Number.isFinite)) return null;
+  return q;
+}
+
+// Unit length, or null for a zero quaternion
+export function normalizeQuaternion([w, x, y, z]) {
+  const norm = Math.hypot(w, x, y, z);
+  if (!(norm > 0)) return null;
+  return [w / norm, x / norm, y / norm, z / norm];
+}
+
+export function multiplyQuaternions([aw, ax, ay, az], [bw, bx, by, bz]) {
+  return [
+    aw * bw - ax * bx - ay * by - az * bz,
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw,
+  ];
+}
+
+export function conjugateQuaternion([w, x, y, z]) {
+  return [w, -x, -y, -z];
+}
+
+// Rotates a body vector into NED
+export function rotateVector(q, [x, y, z]) {
+  const [, rx, ry, rz] = multiplyQuaternions(multiplyQuaternions(q, [0, x, y, z]), conjugateQuaternion(q));
+  return [rx, ry, rz];
+}
+
+export function quaternionToEuler(q) {
+  const [w, x, y, z] = q;
+  return {
+    pitch: Math.asin(clamp(2 * (w * y - z * x), -1, 1)) * DEG,
+    roll: Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y)) * DEG,
+    heading: (Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z)) * DEG + 360) % 360,
+  };
+}
+
+export function eulerToQuaternion({ pitch = 0, roll = 0, heading = 0 }) {
+  const [cr, sr] = [Math.cos(roll * RAD / 2), Math.sin(roll * RAD / 2)];
+  const [cp, sp] = [Math.cos(pitch * RAD / 2), Math.sin(pitch * RAD / 2)];
+  const [cy, sy] = [Math.cos(heading * RAD / 2), Math.sin(heading * RAD / 2)];
+  return [
+    cr * cp * cy + sr * sp * sy,
+    sr * cp * cy - cr * sp * sy,
+    cr * sp * cy + sr * cp * sy,
+    cr * cp * sy - sr * sp * cy,
+  ];
+}
+
+// ============================================================================
+// ROTATION MATRICES
+// ============================================================================
+
+// Rows from either accepted form, or null when it isn't one
+export function toRotationMatrix(value) {
+  if (!Array.isArray(value)) return null;
+  const flat = value.length === 3 && value.every(Array.isArray) ? value.flat() : value;
+  if (flat.length !== 9 || !flat.every(Number.isFinite)) return null;
+  return [flat.slice(0, 3), flat.slice(3, 6), flat.slice(6, 9)];
+}
+
+export function rotationMatrixToEuler(m) {
+  return {
+    pitch: Math.asin(clamp(-m[2][0], -1, 1)) * DEG,
+    roll: Math.atan2(m[2][1], m[2][2]) * DEG,
+    heading: (Math.atan2(m[1][0], m[0][0]) * DEG + 360) % 360,
+  };
+}
+
+export function quaternionToRotationMatrix([w, x, y, z]) {
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)],
+  ];
+}
+
+// ============================================================================
+// PROPS
+// ============================================================================
+
+// `{ pitch, roll, heading }` from the `quaternion` or `rotationMatrix` prop,
+// or null when neither is given. One that can't be read gives NaNs, so the
+// attitude shows as failed rather than holding a stale value.
+export function attitudeFromOrientation({ quaternion, rotationMatrix }) {
+  if (quaternion != null) {
+    const q = toQuaternion(quaternion);
+    const unit = q && normalizeQuaternion(q);
+    return unit ? quaternionToEuler(unit) : { pitch: NaN, roll: NaN, heading: NaN };
+  }
+  if (rotationMatrix != null) {
+    const m = toRotationMatrix(rotationMatrix);
+    return m ? rotationMatrixToEuler(m) : { pitch: NaN, roll: NaN, heading: NaN };
+  }
+  return null;
+}
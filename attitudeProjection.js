@@ -0,0 +1,171 @@
+// ============================================================================
+// ATTITUDE PROJECTION
+// ============================================================================
+//
+// Maps directions in the outside world onto the dial, for the attitude ball
+// and anything drawn on it. Two modes, chosen with the `attitudeMode` prop:
+//
+//   'flat'       the original look: the horizon is a straight line shifted by
+//                pitch and rotated by roll. Good for normal flight, but it
+//                has no answer for pitch through ±90° or inverted flight.
+//   'spherical'  the view is a sphere seen from inside, drawn with an
+//                azimuthal equidistant projection centred on the nose. The
+//                horizon bends as it should and everything stays correct
+//                through vertical and inverted flight.
+//
+// Both use the same scale at the centre (GEOMETRY.pitchScale radii per
+// degree), so the two modes line up in level flight.
+//
+// Points are given as `elevation` (degrees above the horizon) and `lateral`
+// (degrees sideways along the pitch ladder), measured in the aircraft's
+// heading frame. Screen coordinates are relative to the dial centre, y down.
+
+export const ATTITUDE_MODES = ['flat', 'spherical'];
+
+const DEG = Math.PI / 180;
+
+// World direction (north-east-down, heading 0) for a ladder point
+function worldDirection(elevation, lateral) {
+  const e = elevation * DEG;
+  const l = lateral * DEG;
+  return { x: Math.cos(e) * Math.cos(l), y: Math.sin(l), z: -Math.sin(e) * Math.cos(l) };
+}
+
+// Rotates a world direction into the body frame (x nose, y right wing, z down)
+function toBody(v, pitch, roll) {
+  const ct = Math.cos(pitch * DEG);
+  const st = Math.sin(pitch * DEG);
+  const cp = Math.cos(roll * DEG);
+  const sp = Math.sin(roll * DEG);
+  const x1 = ct * v.x - st * v.z;
+  const z1 = st * v.x + ct * v.z;
+  return { x: x1, y: cp * v.y + sp * z1, z: -sp * v.y + cp * z1 };
+}
+
+function createFlatProjection(pitch, roll, scale) {
+  const cr = Math.cos(roll * DEG);
+  const sr = Math.sin(roll * DEG);
+  const toScreen = (x, y) => ({ x: x * cr + y * sr, y: -x * sr + y * cr });
+  const up = { x: -sr, y: -cr };
+  const offset = pitch * scale;
+  const horizonPoint = { x: -up.x * offset, y: -up.y * offset };
+
+  return {
+    scale,
+
+    point(elevation, lateral = 0) {
+      return toScreen(lateral * scale, (pitch - elevation) * scale);
+    },
+
+    horizon: {
+      point: horizonPoint,
+      up,
+      distance: Math.abs(offset),
+      skyAhead: pitch >= 0,
+    },
+
+    traceSky(ctx, extent) {
+      const side = { x: -up.y * extent, y: up.x * extent };
+      const { x, y } = horizonPoint;
+      ctx.moveTo(x + side.x, y + side.y);
+      ctx.lineTo(x + side.x + up.x * extent * 2, y + side.y + up.y * extent * 2);
+      ctx.lineTo(x - side.x + up.x * extent * 2, y - side.y + up.y * extent * 2);
+      ctx.lineTo(x - side.x, y - side.y);
+      ctx.closePath();
+    },
+
+    traceHorizon(ctx, extent) {
+      const side = { x: -up.y * extent, y: up.x * extent };
+      ctx.moveTo(horizonPoint.x + side.x, horizonPoint.y + side.y);
+      ctx.lineTo(horizonPoint.x - side.x, horizonPoint.y - side.y);
+    },
+  };
+}
+
+// Steps used to trace the horizon curve, in degrees
+const HORIZON_STEP = 3;
+
+function createSphericalProjection(pitch, roll, scale) {
+  // Equidistant projection of a body-frame direction. Directions behind the
+  // nose still project (out to 180° from the centre); callers cull them.
+  const project = (v) => {
+    const angle = Math.acos(Math.max(-1, Math.min(1, v.x))) / DEG;
+    const off = Math.hypot(v.y, v.z);
+    if (off < 1e-9) return { x: 0, y: 0 };
+    return { x: (v.y / off) * angle * scale, y: (v.z / off) * angle * scale };
+  };
+
+  // World "up" in the body frame. Its sideways part points to the sky on
+  // screen; its forward part says how far the nose is above the horizon.
+  const u = toBody({ x: 0, y: 0, z: -1 }, pitch, roll);
+  const sideways = Math.hypot(u.y, u.z);
+  const vertical = sideways < 1e-6;
+  const up = vertical ? { x: 0, y: -1 } : { x: u.y / sideways, y: u.z / sideways };
+
+  // Nearest horizon point to the nose (a) and the horizon's other axis (b),
+  // which is perpendicular to the nose so ±b sit 90° out
+  const a = vertical ? null : {
+    x: (1 - u.x * u.x) / sideways,
+    y: (-u.x * u.y) / sideways,
+    z: (-u.x * u.z) / sideways,
+  };
+  const b = vertical ? null : {
+    x: u.y * a.z - u.z * a.y,
+    y: u.z * a.x - u.x * a.z,
+    z: u.x * a.y - u.y * a.x,
+  };
+
+  const traceCurve = (ctx) => {
+    for (let t = -90; t <= 90; t += HORIZON_STEP) {
+      const c = Math.cos(t * DEG);
+      const s = Math.sin(t * DEG);
+      const p = project({ x: a.x * c + b.x * s, y: a.y * c + b.y * s, z: a.z * c + b.z * s });
+      if (t === -90) ctx.moveTo(p.x, p.y);
+      else ctx.lineTo(p.x, p.y);
+    }
+  };
+
+  return {
+    scale,
+
+    point(elevation, lateral = 0) {
+      const v = toBody(worldDirection(elevation, lateral), pitch, roll);
+      return v.x > 0 ? project(v) : null;
+    },
+
+    horizon: {
+      point: vertical ? null : project(a),
+      up,
+      distance: (Math.asin(Math.min(1, Math.abs(u.x))) / DEG) * scale,
+      skyAhead: u.x >= 0,
+    },
+
+    // The sky is bounded by the front half of the horizon and the edge of the
+    // projected front hemisphere (90° out), closed on the side facing up
+    traceSky(ctx) {
+      const edge = 90 * scale;
+      if (vertical) {
+        if (u.x > 0) ctx.arc(0, 0, edge, 0, Math.PI * 2);
+        return;
+      }
+      traceCurve(ctx);
+      const from = Math.atan2(b.z, b.y);
+      const clockwiseMid = from + Math.PI / 2;
+      const anticlockwise = Math.cos(clockwiseMid) * up.x + Math.sin(clockwiseMid) * up.y < 0;
+      ctx.arc(0, 0, edge, from, from + (anticlockwise ? -Math.PI : Math.PI), anticlockwise);
+      ctx.closePath();
+    },
+
+    traceHorizon(ctx) {
+      if (!vertical) traceCurve(ctx);
+    },
+  };
+}
+
+// Builds the projection for the current smoothed attitude
+export function createProjection({ pitch, roll }, { attitudeMode }, radius, pitchScale) {
+  const scale = radius * pitchScale;
+  return attitudeMode === 'spherical'
+    ? createSphericalProjection(pitch, roll, scale)
+    : createFlatProjection(pitch, roll, scale);
+}
@@ -0,0 +1,62 @@
+// ============================================================================
+// WORKER RENDERER
+// ============================================================================
+//
+// Runs the render loop against an OffscreenCanvas so a busy main thread can't
+// stutter the horizon. Started by `createWorkerRenderer` in workerRenderer.js.
+//
+// Messages:
+//   { type: 'init', canvas, props }   canvas is a transferred OffscreenCanvas
+//   { type: 'props', props }          latest props, wakes the loop
+//   { type: 'resize', width, height } new canvas size, in canvas pixels
+//   { type: 'visibility', visible }   pauses or resumes painting
+//
+// and posts back:
+//   { type: 'alert', alert }          an alert was raised or cleared, for
+//                                     the `onAlert` prop on the main thread
+
+import { createRenderLoop } from './renderLoop';
+
+// Dedicated workers have requestAnimationFrame in Chromium and Firefox; fall
+// back to a 60 Hz timer elsewhere
+const requestFrame = typeof self.requestAnimationFrame === 'function'
+  ? callback => self.requestAnimationFrame(callback)
+  : callback => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+const cancelFrame = typeof self.cancelAnimationFrame === 'function'
+  ? id => self.cancelAnimationFrame(id)
+  : id => clearTimeout(id);
+
+let loop = null;
+let props = {};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      props = data.props;
+      loop = createRenderLoop(data.canvas, {
+        getProps: () => props,
+        requestFrame,
+        cancelFrame,
+        onAlert: alert => self.postMessage({ type: 'alert', alert }),
+      });
+      loop.wake();
+      break;
+
+    case 'props':
+      props = data.props;
+      loop?.wake();
+      break;
+
+    case 'resize':
+      loop?.resize(data.width, data.height);
+      break;
+
+    case 'visibility':
+      loop?.setVisible(data.visible);
+      break;
+
+    default:
+      break;
+  }
+};
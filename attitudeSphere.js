@@ -0,0 +1,196 @@
+// ============================================================================
+// ATTITUDE SPHERE
+// ============================================================================
+//
+// The attitude ball of AttitudeIndicator3D.jsx, minus three.js: where the
+// ball is turned, how big it is, and what is painted on it. Everything here
+// is plain math or 2D canvas drawing, so it runs (and can be tested) without
+// a GPU.
+//
+// The ball is seen from outside, like the ball of a mechanical attitude
+// indicator: the point facing the viewer is where the nose points. It is
+// scaled so that one degree at its centre covers as many pixels as on the
+// canvas version's attitude ball (GEOMETRY.pitchScale), so the layers drawn
+// over it (bank scale, aircraft symbol, flight director) line up in normal
+// flight.
+//
+// Ball coordinates are three.js ones: x right, y up, z towards the viewer.
+// With the aircraft level and heading north, north faces the viewer, east is
+// to the right and up is up.
+//
+// The texture is equirectangular and laid out for three.js' SphereGeometry:
+// latitude (pitch) runs from +90° at the top row to -90° at the bottom, and
+// heading from 270° at the left edge round through 360° / 0° (a quarter of
+// the way across) to 270° again at the right edge.
+
+import { eulerToQuaternion } from './attitudeMath';
+import { CARDINALS } from './compassLayers';
+import { GEOMETRY, traceBallWindow } from './geometry';
+
+const DEG = Math.PI / 180;
+
+// Texture widths, in pixels; wider is sharper but costs GPU memory
+const MIN_TEXTURE_WIDTH = 1024;
+const MAX_TEXTURE_WIDTH = 4096;
+
+// Texture features, in degrees of arc
+const TEXTURE = {
+  horizon: 0.25,        // horizon line width
+  rung: 0.12,           // pitch line width
+  font: 1.8,            // pitch label height, as on the canvas ball
+  compassFont: 1.4,     // heading label height
+  compassTick: 1.2,     // heading tick length, 10° marks; 5° marks are half
+  ladderLabels: 30,     // pitch labels repeat every this many degrees of heading
+  pole: 87,             // zenith and nadir rings
+};
+
+// Ball radius for a dial of `radius`, in the same units. An orthographic
+// sphere shows `ballRadius * DEG` per degree at its centre.
+export function sphereRadius(radius) {
+  return (radius * GEOMETRY.pitchScale) / DEG;
+}
+
+// The ball's orientation as three.js quaternion components `[x, y, z, w]`.
+// World directions (north-east-down) map onto the ball as (east, up, north)
+// and are then turned by the inverse of the aircraft's attitude, so the
+// direction the nose points ends up facing the viewer.
+export function sphereQuaternion({ pitch = 0, roll = 0, heading = 0 }) {
+  const [w, x, y, z] = eulerToQuaternion({ pitch, roll, heading });
+  return [y, -z, x, w];
+}
+
+// A texture width that keeps about one texel per screen pixel round the
+// ball's equator, in whole powers of two
+export function sphereTextureSize(ballRadiusPixels) {
+  const circumference = 2 * Math.PI * ballRadiusPixels;
+  const width = 2 ** Math.ceil(Math.log2(Math.max(1, circumference)));
+  return Math.min(MAX_TEXTURE_WIDTH, Math.max(MIN_TEXTURE_WIDTH, width));
+}
+
+// Texture column for a heading, as a fraction of the width
+export function headingToU(heading) {
+  return ((((0.25 + heading / 360) % 1) + 1) % 1);
+}
+
+function headingLabel(heading) {
+  return CARDINALS[heading] ?? String(heading / 10);
+}
+
+// Paints the ball's texture: sky and ground, horizon, pitch lines every 10°
+// (dashed below the horizon) with labels, a heading scale along the horizon
+// and rings round the zenith and nadir. `width` should be twice `height`.
+export function drawSphereTexture(ctx, { width, height, theme }) {
+  const px = height / 180; // pixels per degree, both ways at the equator
+  const x = heading => headingToU(heading) * width;
+  const y = elevation => (90 - elevation) * px;
+
+  // Text and marks drawn in place at every copy of a heading, so nothing is
+  // cut at the texture seam. Text is widened away from the equator, where
+  // the texture is squeezed onto the ball.
+  const atHeading = (heading, elevation, draw) => {
+    const stretch = 1 / Math.max(0.1, Math.cos(elevation * DEG));
+    [-width, 0, width].forEach(offset => {
+      ctx.save();
+      ctx.translate(x(heading) + offset, y(elevation));
+      ctx.scale(stretch, 1);
+      draw();
+      ctx.restore();
+    });
+  };
+
+  const sky = ctx.createLinearGradient(0, y(90), 0, y(0));
+  sky.addColorStop(0, theme.skyDark);
+  sky.addColorStop(1, theme.sky);
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, width, height / 2);
+
+  const ground = ctx.createLinearGradient(0, y(0), 0, y(-90));
+  ground.addColorStop(0, theme.ground);
+  ground.addColorStop(1, theme.groundDark);
+  ctx.fillStyle = ground;
+  ctx.fillRect(0, height / 2, width, height / 2);
+
+  // Pitch lines all the way round, labelled between the heading labels
+  ctx.strokeStyle = theme.textWhite;
+  ctx.fillStyle = theme.textWhite;
+  ctx.lineWidth = TEXTURE.rung * px;
+  ctx.font = `${TEXTURE.font * px}px monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (let deg = -80; deg <= 80; deg += 10) {
+    if (deg === 0) continue;
+    ctx.setLineDash(deg < 0 ? [2 * px, 1 * px] : []);
+    ctx.beginPath();
+    ctx.moveTo(0, y(deg));
+    ctx.lineTo(width, y(deg));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    for (let heading = TEXTURE.ladderLabels / 2; heading < 360; heading += TEXTURE.ladderLabels) {
+      atHeading(heading, deg, () => {
+        ctx.fillText(String(Math.abs(deg)), 0, deg > 0 ? -TEXTURE.font * px * 0.6 : TEXTURE.font * px * 0.6);
+      });
+    }
+  }
+
+  [TEXTURE.pole, -TEXTURE.pole].forEach(deg => {
+    ctx.beginPath();
+    ctx.moveTo(0, y(deg));
+    ctx.lineTo(width, y(deg));
+    ctx.stroke();
+  });
+
+  ctx.strokeStyle = theme.horizon;
+  ctx.lineWidth = TEXTURE.horizon * px;
+  ctx.beginPath();
+  ctx.moveTo(0, y(0));
+  ctx.lineTo(width, y(0));
+  ctx.stroke();
+
+  // Heading scale standing on the horizon, as on the compass card
+  ctx.lineWidth = TEXTURE.rung * px;
+  ctx.font = `${TEXTURE.compassFont * px}px monospace`;
+  ctx.textBaseline = 'bottom';
+  for (let heading = 0; heading < 360; heading += 5) {
+    const tick = heading % 10 === 0 ? TEXTURE.compassTick : TEXTURE.compassTick / 2;
+    atHeading(heading, 0, () => {
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(0, -tick * px);
+      ctx.stroke();
+    });
+    if (heading % 30 === 0) {
+      const label = headingLabel(heading);
+      ctx.fillStyle = label === 'N' ? theme.textMagenta : theme.textWhite;
+      atHeading(heading, 0, () => ctx.fillText(label, 0, -(TEXTURE.compassTick + 0.3) * px));
+    }
+  }
+}
+
+// ============================================================================
+// OVERLAY
+// ============================================================================
+
+// Bezel colour everywhere except the ball, which shows through from behind.
+// Keeps the id of the layer it replaces, so `hiddenLayers` still applies.
+export const sphereWindow = {
+  id: 'background',
+  static: true,
+  draw(ctx, frame) {
+    ctx.fillStyle = frame.theme.bezel;
+    ctx.beginPath();
+    ctx.rect(0, 0, frame.width, frame.height);
+    traceBallWindow(ctx, frame);
+    ctx.fill('evenodd');
+  },
+};
+
+// Layers painted on the ball itself
+const BALL_LAYERS = ['attitudeBall', 'horizonCue'];
+
+// The layer stack to draw over the ball: a window in place of the background,
+// and nothing the ball already shows
+export function sphereOverlay(stack) {
+  return stack
+    .filter(layer => !BALL_LAYERS.includes(layer.id))
+    .map(layer => (layer.id === 'background' ? sphereWindow : layer));
+}
@@ -0,0 +1,302 @@
+// ============================================================================
+// COMPASS LAYERS
+// ============================================================================
+//
+// The heading card at the top of the dial, in one of two sizes:
+//
+//   compassMode="rose"  the small rotating rose (default)
+//   compassMode="hsi"   an enlarged HSI with a course deviation indicator
+//
+// Everything on the card is in degrees magnetic and optional:
+//
+//   headingBug       cyan bug on the rim
+//   course           magenta course pointer; in HSI mode the middle of the
+//                    pointer is the CDI bar
+//   track            green ground-track diamond. Without it, the track is
+//                    heading + `drift` when `drift` is given.
+//   courseDeviation  CDI deflection in dots, ±2 full scale (+ = the course is
+//                    to the right, fly right)
+//   toFrom           'to' or 'from' flag for the CDI; anything else hides it
+//   navSource        label of the navigation source (default 'GPS'), shown
+//                    with `waypoint` and `distance` in HSI mode
+//   headingReadout   numeric heading box over the lubber line (default true)
+
+import { drawFailureX } from './alertLayers';
+import { GEOMETRY } from './geometry';
+
+export const COMPASS_MODES = ['rose', 'hsi'];
+
+const DEG = Math.PI / 180;
+
+// Per mode: card centre above the dial centre, background radius, radius of
+// the tick ring and label size, all in radii
+const LAYOUT = {
+  rose: { offset: GEOMETRY.compassOffset, disc: GEOMETRY.compass, card: 0.18, font: 0.05 },
+  hsi: { offset: GEOMETRY.hsiOffset, disc: GEOMETRY.hsi, card: 0.32, font: 0.06 },
+};
+
+// Thinnest the course line and CDI bar get, in radii, so they stay visible on
+// the small rose card
+const COURSE_MIN_WIDTH = 0.008;
+
+const CDI = {
+  dot: 0.2,      // dot spacing, in card radii
+  maxDots: 2.5,  // the bar stops just past the last dot
+};
+
+export const CARDINALS = { 0: 'N', 90: 'E', 180: 'S', 270: 'W' };
+
+// Heading as read out, 001-360
+export function formatHeading(heading) {
+  const rounded = Math.round(heading) % 360;
+  return String(rounded === 0 ? 360 : rounded).padStart(3, '0');
+}
+
+// Track from the prop, or from heading and drift
+function groundTrack({ state, props }) {
+  if (props.track !== undefined) return state.track;
+  if (props.drift !== undefined) return state.heading + state.drift;
+  return undefined;
+}
+
+function drawCard(ctx, card, font, theme) {
+  ctx.font = `${font}px monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.strokeStyle = theme.textWhite;
+  ctx.lineWidth = card * 0.014;
+
+  for (let deg = 0; deg < 360; deg += 5) {
+    const isMajor = deg % 30 === 0;
+    const isTen = deg % 10 === 0;
+    ctx.save();
+    ctx.rotate(deg * DEG);
+
+    ctx.beginPath();
+    ctx.moveTo(0, -card * (isMajor ? 0.82 : isTen ? 0.88 : 0.93));
+    ctx.lineTo(0, -card);
+    ctx.stroke();
+
+    // Labels read from the centre, tops outward
+    if (isMajor) {
+      const label = CARDINALS[deg] ?? String(deg / 10);
+      ctx.fillStyle = label === 'N' ? theme.textMagenta : theme.textWhite;
+      ctx.fillText(label, 0, -card * 0.62);
+    }
+    ctx.restore();
+  }
+}
+
+// Cyan notched bug standing on the rim
+function drawHeadingBug(ctx, card, theme) {
+  const half = card * 0.12;
+  const height = card * 0.14;
+  ctx.fillStyle = theme.textCyan;
+  ctx.beginPath();
+  ctx.moveTo(-half, -card - height);
+  ctx.lineTo(-half, -card);
+  ctx.lineTo(-half * 0.4, -card);
+  ctx.lineTo(0, -card - height * 0.6);
+  ctx.lineTo(half * 0.4, -card);
+  ctx.lineTo(half, -card);
+  ctx.lineTo(half, -card - height);
+  ctx.closePath();
+  ctx.fill();
+}
+
+function drawTrackMarker(ctx, card, theme) {
+  const size = card * 0.07;
+  ctx.strokeStyle = theme.textGreen;
+  ctx.lineWidth = card * 0.028;
+  ctx.beginPath();
+  ctx.moveTo(0, -card - size * 2);
+  ctx.lineTo(-size, -card - size);
+  ctx.lineTo(0, -card);
+  ctx.lineTo(size, -card - size);
+  ctx.closePath();
+  ctx.stroke();
+}
+
+// Course arrow through the centre. In HSI mode the middle third is the CDI
+// bar, moved sideways by the deviation over a row of dots.
+function drawCourse(ctx, card, radius, theme, { hsi, deviation, toFrom }) {
+  const head = card * 0.78;
+  const arrow = card * 0.12;
+  ctx.strokeStyle = theme.textMagenta;
+  ctx.fillStyle = theme.textMagenta;
+  ctx.lineWidth = Math.max(card * (hsi ? 0.05 : 0.035), radius * COURSE_MIN_WIDTH);
+  ctx.lineCap = 'butt';
+
+  ctx.beginPath();
+  ctx.moveTo(-arrow * 0.7, -head + arrow);
+  ctx.lineTo(0, -head);
+  ctx.lineTo(arrow * 0.7, -head + arrow);
+  ctx.closePath();
+  ctx.fill();
+
+  if (!hsi) {
+    ctx.beginPath();
+    ctx.moveTo(0, -head + arrow);
+    ctx.lineTo(0, head);
+    ctx.stroke();
+    return;
+  }
+
+  const inner = card * 0.42;
+  ctx.beginPath();
+  ctx.moveTo(0, -head + arrow);
+  ctx.lineTo(0, -inner - card * 0.04);
+  ctx.moveTo(0, inner + card * 0.04);
+  ctx.lineTo(0, head);
+  ctx.stroke();
+
+  // Deviation dots
+  const spacing = card * CDI.dot;
+  ctx.strokeStyle = theme.textWhite;
+  ctx.lineWidth = card * 0.012;
+  [-2, -1, 1, 2].forEach(dot => {
+    ctx.beginPath();
+    ctx.arc(dot * spacing, 0, card * 0.03, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+
+  // CDI bar
+  if (deviation !== undefined) {
+    const x = Math.min(Math.max(deviation, -CDI.maxDots), CDI.maxDots) * spacing;
+    ctx.strokeStyle = theme.textMagenta;
+    ctx.lineWidth = Math.max(card * 0.05, radius * COURSE_MIN_WIDTH);
+    ctx.beginPath();
+    ctx.moveTo(x, -inner);
+    ctx.lineTo(x, inner);
+    ctx.stroke();
+  }
+
+  // TO flag ahead of the centre pointing along the course, FROM behind it
+  // pointing back
+  if (toFrom === 'to' || toFrom === 'from') {
+    const dir = toFrom === 'to' ? -1 : 1;
+    const size = card * 0.09;
+    const x = -spacing * 1.5;
+    ctx.fillStyle = theme.textWhite;
+    ctx.beginPath();
+    ctx.moveTo(x, dir * card * 0.3);
+    ctx.lineTo(x - size * 0.6, dir * (card * 0.3 - size));
+    ctx.lineTo(x + size * 0.6, dir * (card * 0.3 - size));
+    ctx.closePath();
+    ctx.fill();
+  }
+}
+
+// Small fixed aircraft in the middle of the HSI
+function drawOwnship(ctx, card, theme) {
+  const s = card * 0.1;
+  ctx.strokeStyle = theme.textWhite;
+  ctx.lineWidth = card * 0.016;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(0, -s);
+  ctx.lineTo(0, s * 1.2);
+  ctx.moveTo(-s, -s * 0.1);
+  ctx.lineTo(s, -s * 0.1);
+  ctx.moveTo(-s * 0.45, s * 1.1);
+  ctx.lineTo(s * 0.45, s * 1.1);
+  ctx.stroke();
+}
+
+export const compassRose = {
+  id: 'compassRose',
+  draw(ctx, frame) {
+    const { cx, cy, radius, state, props, invalid, theme, units } = frame;
+    const hsi = props.compassMode === 'hsi';
+    const layout = LAYOUT[hsi ? 'hsi' : 'rose'];
+    const disc = radius * layout.disc;
+    const card = radius * layout.card;
+    const heading = state.heading;
+
+    ctx.translate(cx, cy - radius * layout.offset);
+
+    // Background
+    ctx.fillStyle = theme.panel;
+    ctx.beginPath();
+    ctx.arc(0, 0, disc, 0, Math.PI * 2);
+    ctx.fill();
+
+    // No heading, no card
+    if (invalid.heading) {
+      const corner = card * Math.SQRT1_2;
+      drawFailureX(ctx, -corner, -corner, corner * 2, corner * 2, theme, radius);
+      return;
+    }
+
+    // Everything on the card turns with it: a value of `v` degrees sits
+    // `v - heading` clockwise from the lubber line
+    const onCard = (value, draw) => {
+      ctx.save();
+      ctx.rotate((value - heading) * DEG);
+      draw();
+      ctx.restore();
+    };
+
+    onCard(0, () => drawCard(ctx, card, radius * layout.font, theme));
+
+    // Where the course goes, under the aircraft
+    if (hsi) {
+      const label = [props.navSource ?? 'GPS', props.waypoint].filter(part => part !== undefined).join(' ');
+      ctx.font = `${radius * 0.045}px monospace`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = theme.textMagenta;
+      ctx.fillText(label, 0, card * 0.3);
+      // A failed distance shows as dashes, like its data field
+      const distance = Number.isFinite(props.distance)
+        ? `${props.distance.toFixed(1)}${units.distance.symbol}`
+        : '----';
+      ctx.fillText(distance, 0, card * 0.44);
+    }
+
+    if (props.course !== undefined) {
+      onCard(state.course, () => drawCourse(ctx, card, radius, theme, {
+        hsi,
+        deviation: props.courseDeviation === undefined ? undefined : state.courseDeviation,
+        toFrom: props.toFrom,
+      }));
+    }
+
+    if (hsi) drawOwnship(ctx, card, theme);
+
+    const track = groundTrack(frame);
+    if (track !== undefined) onCard(track, () => drawTrackMarker(ctx, card, theme));
+
+    if (props.headingBug !== undefined) onCard(state.headingBug, () => drawHeadingBug(ctx, card, theme));
+
+    // Lubber line, under the heading box when there is one
+    const boxHeight = radius * layout.font * 1.4;
+    const readout = props.headingReadout !== false;
+    const lubberTop = readout ? -disc + boxHeight : -card - card * 0.1;
+    ctx.fillStyle = theme.textMagenta;
+    ctx.beginPath();
+    ctx.moveTo(0, lubberTop + card * 0.2);
+    ctx.lineTo(-card * 0.1, lubberTop);
+    ctx.lineTo(card * 0.1, lubberTop);
+    ctx.closePath();
+    ctx.fill();
+
+    if (readout) {
+      const text = `${formatHeading(heading)}°`;
+      ctx.font = `bold ${radius * layout.font}px monospace`;
+      const boxWidth = ctx.measureText(text).width + radius * 0.03;
+      ctx.fillStyle = theme.panel;
+      ctx.strokeStyle = theme.textWhite;
+      ctx.lineWidth = radius * 0.004;
+      ctx.beginPath();
+      ctx.rect(-boxWidth / 2, -disc, boxWidth, boxHeight);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.fillStyle = theme.textWhite;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, 0, -disc + boxHeight / 2);
+    }
+  },
+};
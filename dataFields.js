@@ -0,0 +1,117 @@
+// ============================================================================
+// DATA FIELDS
+// ============================================================================
+//
+// The corner and side readouts are slots, each showing one field. A field is:
+//
+//   {
+//     label: 'IAS',
+//     value: 'airspeed',              // state/prop name, or (frame) => value
+//     format: v => v.toFixed(0),      // optional, (value, frame) => string
+//     text: true,                     // optional, for values that are text
+//     unit: 'kts',                    // optional, string or (frame) => string
+//     color: 'textGreen',             // theme colour name or CSS colour
+//     warning: { below: 50, above: 160, color: 'textYellow' },  // optional
+//   }
+//
+// String values are looked up in the smoothed state first, then in props, so
+// 'airspeed' animates while 'trueAirspeed' (an extra prop) is shown as given.
+// Values are already in display units (see units.js); the default fields take
+// their unit labels and precision from `frame.units`.
+//
+// A value that isn't a finite number shows as dashes, and `format` only ever
+// gets finite numbers. Fields marked `text` (the waypoint) show their value as
+// a string instead.
+
+import { DEFAULT_UNITS, UNIT_SYSTEMS } from './units';
+
+export const FIELD_SLOTS = {
+  topLeft: { x: -0.82, labelY: -0.58, valueY: -0.46, align: 'left', size: 0.09 },
+  topRight: { x: 0.82, labelY: -0.58, valueY: -0.46, align: 'right', size: 0.08 },
+  left: { x: -0.82, labelY: -0.35, valueY: -0.22, align: 'left', size: 0.11 },
+  right: { x: 0.82, labelY: -0.35, valueY: -0.22, align: 'right', size: 0.11 },
+  bottomLeft: { x: -0.82, labelY: 0.35, valueY: 0.46, align: 'left', size: 0.08 },
+  bottomRight: { x: 0.82, labelY: 0.35, valueY: 0.46, align: 'right', size: 0.08 },
+};
+
+const round = value => Math.round(value).toString();
+
+// Feet and nautical miles go without saying; anything else is labelled
+const symbolUnlessImperial = quantity => ({ units }) => (
+  units[quantity].name === UNIT_SYSTEMS[DEFAULT_UNITS][quantity] ? undefined : units[quantity].symbol
+);
+
+export const DEFAULT_FIELDS = {
+  topLeft: {
+    label: 'DIST',
+    value: 'distance',
+    format: v => v.toFixed(1),
+    unit: symbolUnlessImperial('distance'),
+    color: 'textMagenta',
+  },
+  topRight: {
+    label: 'SALT',
+    value: 'selectedAltitude',
+    format: v => round(v).padStart(4, '0'),
+    color: 'textCyan',
+  },
+  left: { label: 'IAS', value: 'airspeed', format: round, unit: ({ units }) => units.speed.symbol, color: 'textGreen' },
+  right: { label: 'ALT', value: 'altitude', format: round, unit: symbolUnlessImperial('altitude'), color: 'textCyan' },
+  bottomLeft: { label: 'WPT', value: 'waypoint', text: true, color: 'textMagenta' },
+  bottomRight: {
+    label: 'BARO',
+    value: 'baroSetting',
+    format: (v, { units }) => v.toFixed(units.pressure.decimals),
+    color: 'textCyan',
+  },
+};
+
+// Merges the `fields` prop over the defaults. A field with its own `value`
+// replaces the default for that slot; one without is merged into it (e.g. to
+// add warning thresholds). `null` empties a slot.
+export function resolveFields(fields = {}) {
+  const resolved = {};
+  Object.keys(FIELD_SLOTS).forEach(slot => {
+    const field = fields[slot];
+    if (field === null) return;
+    if (field === undefined) {
+      resolved[slot] = DEFAULT_FIELDS[slot];
+    } else if (field.value !== undefined || !DEFAULT_FIELDS[slot]) {
+      resolved[slot] = field;
+    } else {
+      resolved[slot] = { ...DEFAULT_FIELDS[slot], ...field };
+    }
+  });
+  return resolved;
+}
+
+export function readField(field, frame) {
+  if (typeof field.value === 'function') return field.value(frame);
+  if (field.value in frame.state) return frame.state[field.value];
+  return frame.props[field.value];
+}
+
+export function formatField(field, value, frame) {
+  if (field.text) return value === undefined || value === null ? '----' : String(value);
+  if (!Number.isFinite(value)) return '----';
+  return field.format ? field.format(value, frame) : round(value);
+}
+
+export function fieldUnit(field, frame) {
+  return typeof field.unit === 'function' ? field.unit(frame) : field.unit;
+}
+
+function isWarning(field, value) {
+  const { warning } = field;
+  if (!warning || typeof value !== 'number') return false;
+  return (warning.below !== undefined && value < warning.below)
+    || (warning.above !== undefined && value > warning.above);
+}
+
+// Theme colour names resolve through the palette; anything else is used as-is
+export function fieldColor(field, value, theme) {
+  const color = isWarning(field, value)
+    ? field.warning.color ?? 'textYellow'
+    : field.color ?? 'textWhite';
+  return theme[color] ?? color;
+}
@@ -0,0 +1,394 @@
+// ============================================================================
+// FLIGHT DATA SOURCES
+// ============================================================================
+//
+// Adapters that turn a telemetry feed into component props, for use with
+// `useFlightData`. Every source has the same shape:
+//
+//   source.subscribe({ onData, onStatus }) -> unsubscribe
+//
+// `onData` receives partial props ({ pitch, roll, ... }) as they arrive and
+// `onStatus` one of SOURCE_STATUS, plus the error for 'reconnecting' and
+// 'error'. Sources reconnect with exponential backoff when the transport
+// drops.
+//
+// Messages are mapped to props with `mapping`: fields already named like a
+// prop pass straight through, and `mapping` adds or overrides fields with a
+// dotted path into the message or a function of it:
+//
+//   mapping: {
+//     pitch: 'attitude.pitch_deg',
+//     slip: msg => msg.slip_deg / 15,
+//     waypoint: null,                  // ignore this field
+//   }
+//
+// Transports (WebSocket, EventSource, serial port) can be injected, so each
+// adapter can be pointed at a local mock server or a fake in tests.
+//
+// Binary protocols plug into the WebSocket and serial sources with `decode`:
+// a factory, called once per connection, that returns a function turning each
+// chunk of bytes into an array of messages (see mavlink.js).
+
+export const SOURCE_STATUS = ['connecting', 'connected', 'reconnecting', 'disconnected', 'error'];
+
+// Props a message may carry under its own name
+export const FLIGHT_DATA_FIELDS = [
+  'pitch',
+  'roll',
+  'heading',
+  'slip',
+  'airspeed',
+  'altitude',
+  'verticalSpeed',
+  'baroSetting',
+  'selectedAltitude',
+  'selectedVerticalSpeed',
+  'waypoint',
+  'distance',
+  'quaternion',
+  'rotationMatrix',
+];
+
+export const DEFAULT_RECONNECT = {
+  initialDelay: 500, // ms before the first retry
+  maxDelay: 10000,   // ms, cap for the doubling delay
+  factor: 2,
+  retries: Infinity,
+};
+
+function readPath(message, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), message);
+}
+
+export function mapFields(message, mapping = {}) {
+  const data = {};
+  if (!message || typeof message !== 'object') return data;
+
+  FLIGHT_DATA_FIELDS.forEach(name => {
+    if (!(name in mapping) && message[name] !== undefined) data[name] = message[name];
+  });
+  Object.keys(mapping).forEach(name => {
+    const from = mapping[name];
+    if (from === null) return;
+    const value = typeof from === 'function' ? from(message) : readPath(message, from);
+    if (value !== undefined) data[name] = value;
+  });
+  return data;
+}
+
+function resolveReconnect(reconnect) {
+  if (reconnect === false) return null;
+  return { ...DEFAULT_RECONNECT, ...reconnect };
+}
+
+// Wraps a transport with status reporting, field mapping and reconnects.
+// `openTransport({ open, message, fail })` connects, calls `open()` once
+// connected, `message(object)` per message and `fail(error)` when the
+// connection is lost, and returns a function that closes it.
+export function createSource(openTransport, { mapping, reconnect } = {}) {
+  const backoff = resolveReconnect(reconnect);
+
+  return {
+    subscribe({ onData, onStatus = () => {} }) {
+      let stopped = false;
+      let attempt = 0;
+      let timer = null;
+      let close = null;
+
+      const connect = () => {
+        let failed = false;
+        if (attempt === 0) onStatus('connecting');
+
+        const fail = (error) => {
+          if (stopped || failed) return;
+          failed = true;
+          close?.();
+          close = null;
+
+          if (!backoff || attempt >= backoff.retries) {
+            onStatus('error', error);
+            return;
+          }
+          const delay = Math.min(backoff.maxDelay, backoff.initialDelay * backoff.factor ** attempt);
+          attempt += 1;
+          onStatus('reconnecting', error);
+          timer = setTimeout(connect, delay);
+        };
+
+        // A transport that can't even be opened (a malformed URL, a blocked
+        // scheme) fails like one that drops, with the same backoff
+        let closeTransport;
+        try {
+          closeTransport = openTransport({
+            open: () => {
+              if (stopped || failed) return;
+              attempt = 0;
+              onStatus('connected');
+            },
+            message: (message) => {
+              if (!stopped) onData(mapFields(message, mapping));
+            },
+            fail,
+          });
+        } catch (error) {
+          fail(error);
+          return;
+        }
+
+        // The transport may have failed before it returned
+        if (failed) closeTransport?.();
+        else close = closeTransport;
+      };
+
+      connect();
+
+      return () => {
+        stopped = true;
+        clearTimeout(timer);
+        close?.();
+        close = null;
+        onStatus('disconnected');
+      };
+    },
+  };
+}
+
+// ============================================================================
+// WEBSOCKET (JSON MESSAGES)
+// ============================================================================
+
+export function createWebSocketSource(url, {
+  WebSocket: Socket = globalThis.WebSocket,
+  parse = JSON.parse,
+  decode,
+  ...options
+} = {}) {
+  return createSource(({ open, message, fail }) => {
+    const socket = new Socket(url);
+    const handleData = decode ? decode() : data => [parse(data)];
+    if (decode) socket.binaryType = 'arraybuffer';
+
+    socket.onopen = open;
+    socket.onmessage = (event) => {
+      const data = event.data instanceof ArrayBuffer ? new Uint8Array(event.data) : event.data;
+      let messages;
+      try {
+        messages = handleData(data);
+      } catch {
+        return; // skip malformed messages
+      }
+      messages.forEach(message);
+    };
+    socket.onclose = (event) => fail(new Error(`WebSocket closed (${event.code})`));
+
+    return () => {
+      socket.onclose = null;
+      socket.close();
+    };
+  }, options);
+}
+
+// ============================================================================
+// SERVER-SENT EVENTS
+// ============================================================================
+
+// EventSource retries by itself, but without backoff and without telling
+// anyone, so it is closed on error and reconnected here instead
+export function createEventSourceSource(url, {
+  EventSource: Events = globalThis.EventSource,
+  event = 'message',
+  parse = JSON.parse,
+  withCredentials = false,
+  ...options
+} = {}) {
+  return createSource(({ open, message, fail }) => {
+    const events = new Events(url, { withCredentials });
+    const handleMessage = (e) => {
+      let data;
+      try {
+        data = parse(e.data);
+      } catch {
+        return;
+      }
+      message(data);
+    };
+    events.onopen = open;
+    events.onerror = () => fail(new Error('EventSource connection lost'));
+    events.addEventListener(event, handleMessage);
+
+    return () => {
+      events.removeEventListener(event, handleMessage);
+      events.close();
+    };
+  }, options);
+}
+
+// ============================================================================
+// DEVICE ORIENTATION
+// ============================================================================
+
+// iOS only grants access from a user gesture: call this from a click handler
+// before subscribing. Resolves to true when events will be delivered.
+export async function requestOrientationPermission() {
+  if (typeof DeviceOrientationEvent === 'undefined') return false;
+  if (typeof DeviceOrientationEvent.requestPermission !== 'function') return true;
+  return (await DeviceOrientationEvent.requestPermission()) === 'granted';
+}
+
+// Phone held flat, top edge forward: beta is pitch, gamma is roll. alpha runs
+// anticlockwise, so it is turned into a compass heading (Safari reports one
+// directly).
+export const DEVICE_ORIENTATION_MAPPING = {
+  pitch: e => e.beta,
+  roll: e => e.gamma,
+  heading: e => e.webkitCompassHeading ?? (e.alpha == null ? undefined : (360 - e.alpha) % 360),
+};
+
+export function createDeviceOrientationSource({
+  target = globalThis.window,
+  mapping,
+  ...options
+} = {}) {
+  return createSource(({ open, message, fail }) => {
+    if (!target || typeof DeviceOrientationEvent === 'undefined') {
+      fail(new Error('Device orientation is not supported'));
+      return undefined;
+    }
+
+    let opened = false;
+    const handleOrientation = (e) => {
+      if (e.beta == null && e.gamma == null) return; // no sensor
+      if (!opened) {
+        opened = true;
+        open();
+      }
+      message({
+        alpha: e.alpha,
+        beta: e.beta,
+        gamma: e.gamma,
+        absolute: e.absolute,
+        webkitCompassHeading: e.webkitCompassHeading,
+      });
+    };
+    target.addEventListener('deviceorientation', handleOrientation);
+
+    return () => target.removeEventListener('deviceorientation', handleOrientation);
+  }, { reconnect: false, ...options, mapping: { ...DEVICE_ORIENTATION_MAPPING, ...mapping } });
+}
+
+// ============================================================================
+// WEB SERIAL (LINE PROTOCOL)
+// ============================================================================
+
+// Lines are either JSON objects or comma-separated values named by `columns`
+export function parseSerialLine(line, columns) {
+  const text = line.trim();
+  if (!text) return null;
+  if (text.startsWith('{')) return JSON.parse(text);
+
+  const data = {};
+  text.split(',').forEach((value, i) => {
+    if (columns[i]) data[columns[i]] = Number(value);
+  });
+  return data;
+}
+
+// Splits a byte stream into lines and parses each one. Bad lines are skipped.
+export function lineDecoder(parse) {
+  return () => {
+    const text = new TextDecoder();
+    let buffer = '';
+    return (bytes) => {
+      buffer += text.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      const messages = [];
+      lines.forEach(line => {
+        try {
+          const data = parse(line);
+          if (data) messages.push(data);
+        } catch {
+          // skip
+        }
+      });
+      return messages;
+    };
+  };
+}
+
+async function firstGrantedPort() {
+  const ports = await navigator.serial.getPorts();
+  if (!ports.length) {
+    throw new Error('No serial port granted; pass `port` from navigator.serial.requestPort()');
+  }
+  return ports[0];
+}
+
+// `port` is a SerialPort obtained with navigator.serial.requestPort() from a
+// user gesture. Without one, the first previously granted port is used.
+// The port is read as text lines unless `decode` takes the raw bytes.
+export function createSerialSource({
+  port,
+  getPort = () => (port ? Promise.resolve(port) : firstGrantedPort()),
+  baudRate = 115200,
+  columns = ['roll', 'pitch', 'heading'],
+  parse = line => parseSerialLine(line, columns),
+  decode = lineDecoder(parse),
+  ...options
+} = {}) {
+  return createSource(({ open, message, fail }) => {
+    let closed = false;
+    let serialPort = null;
+    let reader = null;
+    let released = null;
+
+    const run = async () => {
+      serialPort = await getPort();
+      if (closed) return;
+      await serialPort.open({ baudRate });
+      if (closed) {
+        await serialPort.close();
+        return;
+      }
+      open();
+
+      const handleData = decode();
+      reader = serialPort.readable.getReader();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        let messages;
+        try {
+          messages = handleData(value);
+        } catch {
+          continue;
+        }
+        messages.forEach(message);
+      }
+      throw new Error('Serial port closed');
+    };
+
+    const release = () => {
+      released ??= (async () => {
+        try {
+          await reader?.cancel();
+          reader?.releaseLock();
+          await serialPort?.close();
+        } catch {
+          // already closed
+        }
+      })();
+      return released;
+    };
+
+    run().catch(async (error) => {
+      await release();
+      if (!closed) fail(error);
+    });
+
+    return () => {
+      closed = true;
+      release();
+    };
+  }, options);
+}
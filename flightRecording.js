@@ -0,0 +1,248 @@
+// ============================================================================
+// FLIGHT RECORDING
+// ============================================================================
+//
+// Records the flight data stream with timestamps and plays it back. A
+// recording is plain data, so it can be kept, exported and imported as is:
+//
+//   {
+//     version: 1,
+//     startedAt: '2024-05-01T14:03:12.000Z',
+//     samples: [{ time: 0, pitch: 2.5, roll: 0, ... }, { time: 0.05, ... }],
+//   }
+//
+// `time` is seconds from the start of the recording; the other fields are the
+// component props as they were given. An imported recording may start at any
+// `time` (a log's own clock, say): playback counts from its first sample.
+// Playback samples the recording at any time (see sampleAt), interpolating
+// numbers between samples, so seeking is instant and slow playback stays
+// smooth.
+
+import { PROP_SPECS } from './propValidation';
+import { WRAPPED_CHANNELS, wrap } from './smoothing';
+
+export const RECORDING_VERSION = 1;
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+export function createFlightRecorder({ clock = () => performance.now() } = {}) {
+  let startTime = null;
+  let startedAt = null;
+  let samples = [];
+
+  return {
+    get sampleCount() {
+      return samples.length;
+    },
+
+    get duration() {
+      return samples.length ? samples[samples.length - 1].time : 0;
+    },
+
+    // Adds a snapshot of the props. The first one starts the clock.
+    record(data) {
+      const now = clock();
+      if (startTime === null) {
+        startTime = now;
+        startedAt = new Date().toISOString();
+      }
+      const time = Math.round(now - startTime) / 1000;
+      samples.push({ time, ...data });
+    },
+
+    recording() {
+      return { version: RECORDING_VERSION, startedAt, samples: samples.slice() };
+    },
+
+    clear() {
+      startTime = null;
+      startedAt = null;
+      samples = [];
+    },
+  };
+}
+
+export function recordingDuration(recording) {
+  const samples = recording?.samples;
+  return samples?.length ? samples[samples.length - 1].time - samples[0].time : 0;
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+// Index of the last sample at or before `time`
+function sampleIndex(samples, time) {
+  let lo = 0;
+  let hi = samples.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (samples[mid].time <= time) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+function interpolate(name, from, to, f) {
+  if (typeof from !== 'number' || typeof to !== 'number') return from;
+
+  const range = WRAPPED_CHANNELS[name];
+  if (!range) return from + (to - from) * f;
+
+  // Heading 359 -> 1 goes through north, roll through ±180 the short way
+  let diff = wrap(to - from, range.period);
+  if (diff > range.period / 2) diff -= range.period;
+  return wrap(from + diff * f, range.period, range.min);
+}
+
+// The props `offset` seconds into the recording, counted from its first
+// sample
+export function sampleAt(recording, offset) {
+  const { samples } = recording;
+  if (!samples.length) return {};
+
+  const time = samples[0].time + offset;
+  const i = sampleIndex(samples, time);
+  const { time: t0, ...from } = samples[i];
+  const next = samples[i + 1];
+  if (!next || time <= t0) return from;
+
+  const f = (time - t0) / (next.time - t0);
+  const data = {};
+  Object.keys(from).forEach(name => {
+    data[name] = interpolate(name, from[name], next[name], f);
+  });
+  return data;
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+export function recordingToJSON(recording) {
+  return JSON.stringify(recording, null, 2);
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per sample, `time` first. Object props (e.g. vSpeeds) are stored as
+// JSON in their cell.
+export function recordingToCSV(recording) {
+  const columns = ['time'];
+  recording.samples.forEach(sample => {
+    Object.keys(sample).forEach(name => {
+      if (!columns.includes(name)) columns.push(name);
+    });
+  });
+
+  const rows = recording.samples.map(sample => columns.map(name => csvValue(sample[name])).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+// What a column holds, from the prop of the same name. Columns without a
+// spec (custom data fields) are text.
+function columnTypes(name) {
+  if (name === 'time') return ['number'];
+  return [].concat(PROP_SPECS[name]?.type ?? []);
+}
+
+// A cell is only read as a number or boolean when its prop takes one, so a
+// waypoint named '0042' stays as it is. Objects were written as JSON.
+function parseCSVValue(text, types) {
+  if (text === '') return undefined;
+  if (types.includes('number') && Number.isFinite(Number(text))) return Number(text);
+  if (types.includes('boolean') && (text === 'true' || text === 'false')) return text === 'true';
+  if ((types.includes('object') || !types.length) && (text.startsWith('{') || text.startsWith('['))) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+function validate(samples) {
+  if (!Array.isArray(samples)) throw new Error('Recording has no samples');
+  samples.forEach((sample, i) => {
+    if (typeof sample.time !== 'number' || !Number.isFinite(sample.time)) {
+      throw new Error(`Sample ${i} has no time`);
+    }
+    if (i > 0 && sample.time < samples[i - 1].time) {
+      throw new Error(`Sample ${i} is earlier than the one before it`);
+    }
+  });
+  return samples;
+}
+
+export function recordingFromCSV(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) throw new Error('Empty recording');
+
+  const columns = splitCSVLine(lines[0]);
+  if (!columns.includes('time')) throw new Error('CSV recording needs a time column');
+  const types = columns.map(columnTypes);
+
+  const samples = lines.slice(1).map(line => {
+    const sample = {};
+    splitCSVLine(line).forEach((cell, i) => {
+      const value = parseCSVValue(cell, types[i] ?? []);
+      if (columns[i] && value !== undefined) sample[columns[i]] = value;
+    });
+    return sample;
+  });
+  return { version: RECORDING_VERSION, startedAt: null, samples: validate(samples) };
+}
+
+// Takes a JSON recording (or a bare array of samples)
+export function recordingFromJSON(text) {
+  const parsed = JSON.parse(text);
+  const samples = Array.isArray(parsed) ? parsed : parsed.samples;
+  return {
+    version: RECORDING_VERSION,
+    startedAt: parsed.startedAt ?? null,
+    samples: validate(samples),
+  };
+}
+
+// Imports either format, told apart by the first character
+export function parseRecording(text) {
+  const start = text.trimStart()[0];
+  return start === '{' || start === '[' ? recordingFromJSON(text) : recordingFromCSV(text);
+}
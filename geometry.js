@@ -0,0 +1,75 @@
+// ============================================================================
+// DIAL GEOMETRY
+// ============================================================================
+//
+// Radius fractions shared by several layers. Custom layers can use these to
+// line up with the built-in ones. Kept apart from instrumentLayers.js so
+// layer modules can use them without importing the stack.
+//
+// Everything is drawn in fractions of `frame.radius`, never in pixels, so the
+// instrument looks the same at any size and pixel ratio. A line that is 2px
+// wide on the default 400px dial at 2x is `radius * 0.005`.
+//
+// The instrument is either the round AV-30 dial or a rectangular PFD (the
+// `shape` prop). The rectangular one has the same dial in the middle, with
+// the ball opened out to a wide window and the side elements (readouts,
+// tapes, VSI) moved out by `frame.sideOffset` towards the edges.
+
+export const GEOMETRY = {
+  ball: 0.88,          // clip radius of the attitude ball
+  bankArc: 0.82,       // centre line of the bank angle arc
+  bankTicks: 0.78,     // inner end of the bank tick marks
+  compassOffset: 0.68, // compass rose centre, above the dial centre
+  compass: 0.22,       // compass rose background radius
+  hsiOffset: 0.5,      // HSI centre, above the dial centre
+  hsi: 0.38,           // HSI background radius
+  slipOffset: 0.55,    // slip indicator centre, below the dial centre
+  pitchScale: 1 / 30,  // radius per degree of pitch (30° = full radius)
+  margin: 0.025,       // gap round the bezel, in half the shorter side
+  windowCorner: 0.12,  // corner radius of the rectangular ball window
+};
+
+export const SHAPES = ['round', 'rectangular'];
+
+// Width over height of the rectangular shape, unless `aspectRatio` says
+export const DEFAULT_ASPECT_RATIO = 4 / 3;
+
+// Width and height in CSS pixels for `size` (the height, and the dial's
+// diameter), `shape` and `aspectRatio`
+export function instrumentSize({ size, shape, aspectRatio = DEFAULT_ASPECT_RATIO }) {
+  if (shape !== 'rectangular') return { width: size, height: size };
+  return { width: Math.floor(size * aspectRatio), height: size };
+}
+
+// Dial radius for a canvas, leaving the margin round the bezel
+export function dialRadius(width, height) {
+  return (Math.min(width, height) / 2) * (1 - GEOMETRY.margin);
+}
+
+// Traces the outline of the area the attitude ball shows through: a circle,
+// or in the rectangular shape a rounded rectangle as wide as the canvas
+// allows. `inset` moves the outline inwards, in pixels.
+export function traceBallWindow(ctx, { cx, cy, radius, shape, sideOffset = 0 }, inset = 0) {
+  const half = radius * GEOMETRY.ball - inset;
+  if (shape !== 'rectangular') {
+    ctx.arc(cx, cy, half, 0, Math.PI * 2);
+    return;
+  }
+
+  const halfWidth = half + sideOffset;
+  const corner = Math.max(0, radius * GEOMETRY.windowCorner - inset);
+  const left = cx - halfWidth;
+  const right = cx + halfWidth;
+  const top = cy - half;
+  const bottom = cy + half;
+  ctx.moveTo(left + corner, top);
+  ctx.lineTo(right - corner, top);
+  ctx.arc(right - corner, top + corner, corner, -Math.PI / 2, 0);
+  ctx.lineTo(right, bottom - corner);
+  ctx.arc(right - corner, bottom - corner, corner, 0, Math.PI / 2);
+  ctx.lineTo(left + corner, bottom);
+  ctx.arc(left + corner, bottom - corner, corner, Math.PI / 2, Math.PI);
+  ctx.lineTo(left, top + corner);
+  ctx.arc(left + corner, top + corner, corner, Math.PI, Math.PI * 1.5);
+  ctx.closePath();
+}
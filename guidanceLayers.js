@@ -0,0 +1,143 @@
+// ============================================================================
+// GUIDANCE LAYERS
+// ============================================================================
+//
+// Flight director command bars and the flight path vector, both off unless
+// asked for:
+//
+//   flightDirector="vbar"          single-cue V-bar; fly the aircraft symbol
+//                                  into the V
+//   flightDirector="crossPointer"  separate pitch and roll bars; fly to the
+//                                  cross
+//   flightDirector                 (true) the V-bar
+//   flightPathVector               the velocity vector symbol
+//
+// The director is driven by `fdPitch` / `fdRoll`, the commanded attitude in
+// degrees. Its bars sit relative to the aircraft symbol, offset by the
+// difference between commanded and current attitude on the ladder's scale,
+// so they line up with the ladder when the command is reached.
+//
+// The flight path vector sits where the aircraft is actually going:
+// `flightPathAngle` degrees above the horizon and `drift` degrees right of
+// the heading. Without `flightPathAngle` it is worked out from the vertical
+// speed and airspeed.
+
+import { createProjection } from './attitudeProjection';
+import { GEOMETRY } from './geometry';
+import { convert } from './units';
+
+export const FLIGHT_DIRECTOR_MODES = ['vbar', 'crossPointer'];
+
+const DEG = Math.PI / 180;
+
+const FD = {
+  maxPitch: 0.45,    // furthest the bars move up or down, in radii
+  rollDeflection: 30, // roll error for full cross-pointer deflection, degrees
+  maxRoll: 0.4,      // full cross-pointer deflection, in radii
+};
+
+// Shortest signed difference between two angles
+function angleDifference(to, from) {
+  return ((((to - from) % 360) + 540) % 360) - 180;
+}
+
+function clamp(value, limit) {
+  return Math.min(Math.max(value, -limit), limit);
+}
+
+export const flightDirector = {
+  id: 'flightDirector',
+  draw(ctx, { cx, cy, radius, state, props, theme }) {
+    const mode = props.flightDirector;
+    if (!FLIGHT_DIRECTOR_MODES.includes(mode)) return;
+    if (props.fdPitch === undefined && props.fdRoll === undefined) return;
+
+    const px = radius * GEOMETRY.pitchScale;
+    const pitchError = props.fdPitch === undefined ? 0 : state.fdPitch - state.pitch;
+    const rollError = props.fdRoll === undefined ? 0 : angleDifference(state.fdRoll, state.roll);
+    const dy = -clamp(pitchError * px, radius * FD.maxPitch);
+
+    ctx.translate(cx, cy);
+    ctx.strokeStyle = theme.textMagenta;
+    ctx.fillStyle = theme.textMagenta;
+    ctx.lineCap = 'round';
+
+    if (mode === 'vbar') {
+      // A wide V raised to the commanded pitch and banked by the roll
+      // error, with its apex on the aircraft symbol's centre dot when
+      // satisfied
+      ctx.translate(0, dy);
+      ctx.rotate(rollError * DEG);
+      const span = radius * 0.42;
+      const drop = radius * 0.12;
+      const thickness = radius * 0.035;
+      ctx.globalAlpha = 0.85;
+      [-1, 1].forEach(side => {
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(side * span, drop);
+        ctx.lineTo(side * span, drop + thickness);
+        ctx.lineTo(0, thickness);
+        ctx.closePath();
+        ctx.fill();
+      });
+      return;
+    }
+
+    // Cross-pointer: the horizontal bar shows pitch, the vertical bar roll
+    const dx = clamp((rollError / FD.rollDeflection) * radius * FD.maxRoll, radius * FD.maxRoll);
+    const half = radius * 0.3;
+    ctx.lineWidth = radius * 0.018;
+    ctx.beginPath();
+    ctx.moveTo(-half, dy);
+    ctx.lineTo(half, dy);
+    ctx.moveTo(dx, -half);
+    ctx.lineTo(dx, half);
+    ctx.stroke();
+  },
+};
+
+// Flight path angle from the smoothed vertical speed and airspeed, for when
+// the prop isn't given
+function derivedFlightPathAngle(state, units) {
+  const speed = convert(state.airspeed, 'speed', units.speed.name, 'm/s');
+  const climb = convert(state.verticalSpeed, 'verticalSpeed', units.verticalSpeed.name, 'm/s');
+  if (!(speed > 1)) return 0;
+  return Math.atan2(climb, speed) / DEG;
+}
+
+export const flightPathVector = {
+  id: 'flightPathVector',
+  draw(ctx, { cx, cy, radius, state, props, theme, units }) {
+    if (!props.flightPathVector) return;
+
+    const gamma = props.flightPathAngle === undefined ? derivedFlightPathAngle(state, units) : state.flightPathAngle;
+    const drift = props.drift === undefined ? 0 : state.drift;
+    const projection = createProjection(state, props, radius, GEOMETRY.pitchScale);
+    const at = projection.point(gamma, drift);
+    if (!at) return;
+
+    // Keep it inside the ball; it turns into a ghost when pinned to the edge
+    const limit = radius * (GEOMETRY.ball - 0.12);
+    const distance = Math.hypot(at.x, at.y);
+    const pinned = distance > limit;
+    const scale = pinned ? limit / distance : 1;
+
+    ctx.translate(cx + at.x * scale, cy + at.y * scale);
+    ctx.rotate(-state.roll * DEG); // wings level with the horizon
+    ctx.strokeStyle = theme.textGreen;
+    ctx.lineWidth = radius * 0.015;
+    ctx.globalAlpha = pinned ? 0.5 : 1;
+
+    const r = radius * 0.035;
+    ctx.beginPath();
+    ctx.arc(0, 0, r, 0, Math.PI * 2);
+    ctx.moveTo(-r, 0);
+    ctx.lineTo(-r * 3, 0);
+    ctx.moveTo(r, 0);
+    ctx.lineTo(r * 3, 0);
+    ctx.moveTo(0, -r);
+    ctx.lineTo(0, -r * 2);
+    ctx.stroke();
+  },
+};
@@ -0,0 +1,77 @@
+// ============================================================================
+// HEADLESS RENDERER
+// ============================================================================
+//
+// Draws one frame of the instrument straight from the data, with no render
+// loop, smoothing or DOM: for batch-rendering recorded flights, reports and
+// golden-image tests. `renderAttitude` works on any 2D context, whether a
+// browser canvas, node-canvas / @napi-rs/canvas, or the SVG context from
+// svgContext.js.
+//
+// What is drawn is exactly what the props say: the needles sit on their
+// values rather than easing towards them, trends are zero, and an input that
+// isn't a finite number shows as failed (there is no last good value to
+// hold). Alerts are evaluated for the frame but nothing is reported.
+
+import { evaluateAlerts, findInvalidInputs } from './alerts';
+import { instrumentSize } from './geometry';
+import { createLayerFrame, drawLayers, resolveLayers } from './instrumentLayers';
+import { DEFAULT_PROPS, normalizeProps } from './propValidation';
+import { SMOOTHED_CHANNELS } from './smoothing';
+import { createSvgContext } from './svgContext';
+import { resolveUnits, toDisplayUnits } from './units';
+
+// Canvas pixels per CSS pixel for SVG, unless `pixelRatio` says; the
+// component follows the device instead
+const DEFAULT_PIXEL_RATIO = 2;
+
+// Draws `state` (flight data, as the component takes it) onto `ctx`.
+// `options` holds the display props (theme, units, layers, ...) and:
+//
+//   width, height   area to draw, by default the whole of `ctx.canvas`
+//   time            seconds, for flashing alerts; default 0
+//   dataAge         seconds since the data arrived, for `staleAfter`
+//
+// Returns the frame's `{ alerts, invalid }`.
+export function renderAttitude(ctx, state, options = {}) {
+  const {
+    width = ctx.canvas.width,
+    height = ctx.canvas.height,
+    time = 0,
+    dataAge = 0,
+    ...displayProps
+  } = options;
+  const props = toDisplayUnits(normalizeProps({ ...displayProps, ...state }));
+  const invalid = findInvalidInputs(props, dataAge);
+  const alerts = evaluateAlerts(props, resolveUnits(props.units), invalid);
+
+  const values = {};
+  const trends = {};
+  SMOOTHED_CHANNELS.forEach(name => {
+    values[name] = Number.isFinite(props[name]) ? props[name] : 0;
+    trends[name] = 0;
+  });
+
+  const stack = resolveLayers(props.layers, props.hiddenLayers);
+  const frame = createLayerFrame({ width, height, props, state: values, trends, time, alerts, invalid });
+  drawLayers(ctx, stack, frame);
+  return { alerts, invalid };
+}
+
+// `state` as an SVG document. Without `width` / `height` it is the size of
+// the component's canvas for the `size`, `shape`, `aspectRatio` and
+// `pixelRatio` props, wherever they are given.
+export function renderAttitudeToSVG(state, options = {}) {
+  const sizing = { ...DEFAULT_PROPS, ...options, ...state };
+  const ratio = sizing.pixelRatio > 0 ? sizing.pixelRatio : DEFAULT_PIXEL_RATIO;
+  const canvas = instrumentSize(sizing);
+  const {
+    width = Math.round(canvas.width * ratio),
+    height = Math.round(canvas.height * ratio),
+    measureText,
+    ...rest
+  } = options;
+  const ctx = createSvgContext(width, height, { measureText });
+  renderAttitude(ctx, state, rest);
+  return ctx.toSVG();
+}
@@ -0,0 +1,720 @@
+// ============================================================================
+// INSTRUMENT LAYERS
+// ============================================================================
+//
+// The attitude indicator is painted as an ordered stack of layers. Each layer
+// is a plain object `{ id, draw(ctx, frame) }`. `frame` carries the geometry
+// of the dial and the values to display:
+//
+//   frame.width, frame.height  canvas size in pixels
+//   frame.cx, frame.cy         dial centre
+//   frame.radius               dial radius (all geometry is a fraction of it)
+//   frame.shape                'round' or 'rectangular' (see geometry.js)
+//   frame.sideOffset           how far side elements move out from the dial
+//                              towards the edges; 0 when round
+//   frame.theme                colour palette (see themes.js)
+//   frame.units                display units (see units.js)
+//   frame.state                smoothed values (pitch, roll, heading, slip,
+//                              airspeed, altitude, verticalSpeed)
+//   frame.trends               smoothed rate of change per second (airspeed,
+//                              altitude)
+//   frame.props                the props passed to the component, converted
+//                              to display units
+//   frame.time                 frame timestamp in seconds, for flashing
+//   frame.alerts               active alerts, most severe first (see alerts.js)
+//   frame.invalid              `{ name: true }` for inputs that are missing
+//                              their data; layers flag these instead of
+//                              drawing the held value
+//
+// The loop stops drawing once everything has settled. A layer that animates
+// by itself (e.g. flashes a warning) adds `isAnimating(frame)`, returning true
+// while it needs frames.
+//
+// Every layer is drawn between ctx.save() / ctx.restore(), so a layer can
+// change any context state without affecting the layers above it.
+//
+// A layer marked `static: true` only depends on the dial geometry, never on
+// `frame.state` or `frame.props`. Consecutive static layers are rendered once
+// into an offscreen canvas and composited from there on every frame, until
+// the canvas size or `frame.staticKey` (the theme and shape) changes. A static
+// layer that does read a few settings props (a scale's range, say) returns
+// them as a string from `staticKey(frame)`, and is redrawn when that changes.
+
+import { alertColor, annunciator, attitudeFail, isFlashedOff } from './alertLayers';
+import { alertForField } from './alerts';
+import { aoaIndicator } from './angleOfAttackLayers';
+import { createProjection } from './attitudeProjection';
+import { compassRose } from './compassLayers';
+import { FIELD_SLOTS, fieldColor, fieldUnit, formatField, readField, resolveFields } from './dataFields';
+import { GEOMETRY, dialRadius, traceBallWindow } from './geometry';
+import { flightDirector, flightPathVector } from './guidanceLayers';
+import { knobMenu } from './knobLayers';
+import { TAPE_LAYOUT, airspeedTape, altitudeTape } from './tapeLayers';
+import { resolveTheme } from './themes';
+import { resolveUnits } from './units';
+import { verticalSpeedScale, verticalSpeedTape } from './verticalSpeedLayers';
+
+export { GEOMETRY };
+
+// ============================================================================
+// BUILT-IN LAYERS
+// ============================================================================
+
+const background = {
+  id: 'background',
+  static: true,
+  draw(ctx, { width, height, theme }) {
+    ctx.fillStyle = theme.bezel;
+    ctx.fillRect(0, 0, width, height);
+  },
+};
+
+// Red chevrons pointing back to the horizon sit on the ladder beyond these
+// pitch angles. Override with the `recoveryPitch` prop (a number applies to
+// both directions).
+export const DEFAULT_RECOVERY_PITCH = { up: 50, down: 30 };
+
+function resolveRecoveryPitch(recoveryPitch) {
+  if (typeof recoveryPitch === 'number') return { up: recoveryPitch, down: recoveryPitch };
+  return { ...DEFAULT_RECOVERY_PITCH, ...recoveryPitch };
+}
+
+// Strokes a polyline through projected ladder points, skipping it if any
+// point is behind the viewer
+function strokeProjected(ctx, points) {
+  if (points.some(point => !point)) return;
+  ctx.beginPath();
+  points.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.stroke();
+}
+
+const attitudeBall = {
+  id: 'attitudeBall',
+  draw(ctx, frame) {
+    const { cx, cy, radius, sideOffset, state, props, theme } = frame;
+    const projection = createProjection(state, props, radius, GEOMETRY.pitchScale);
+    const { horizon } = projection;
+    const px = projection.scale; // pixels per degree
+    const extent = radius * 8 + sideOffset;
+
+    // Clip to the ball's window
+    ctx.beginPath();
+    traceBallWindow(ctx, frame);
+    ctx.clip();
+
+    ctx.translate(cx, cy);
+
+    // Gradients run along the screen direction of "up", from the horizon out
+    const origin = horizon.point ?? { x: 0, y: 0 };
+    const along = distance => ({ x: origin.x + horizon.up.x * distance, y: origin.y + horizon.up.y * distance });
+    const skyEnd = along(radius * 2);
+    const groundEnd = along(-radius * 2);
+
+    // Ground gradient everywhere, then the sky on top
+    const groundGrad = ctx.createLinearGradient(origin.x, origin.y, groundEnd.x, groundEnd.y);
+    groundGrad.addColorStop(0, theme.ground);
+    groundGrad.addColorStop(1, theme.groundDark);
+    ctx.fillStyle = groundGrad;
+    ctx.fillRect(-radius - sideOffset, -radius, (radius + sideOffset) * 2, radius * 2);
+
+    const skyGrad = ctx.createLinearGradient(skyEnd.x, skyEnd.y, origin.x, origin.y);
+    skyGrad.addColorStop(0, theme.skyDark);
+    skyGrad.addColorStop(1, theme.sky);
+    ctx.fillStyle = skyGrad;
+    ctx.beginPath();
+    projection.traceSky(ctx, extent);
+    ctx.fill();
+
+    // Horizon line
+    ctx.strokeStyle = theme.horizon;
+    ctx.lineWidth = radius * 0.005;
+    ctx.beginPath();
+    projection.traceHorizon(ctx, extent);
+    ctx.stroke();
+
+    // Pitch ladder
+    ctx.font = `${radius * 0.06}px monospace`;
+    ctx.fillStyle = theme.textWhite;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.strokeStyle = theme.textWhite;
+    ctx.lineWidth = radius * 0.004;
+
+    for (let deg = -80; deg <= 80; deg += 10) {
+      if (deg === 0) continue;
+      const half = (Math.abs(deg) % 20 === 0 ? radius * 0.25 : radius * 0.15) / px;
+      const left = projection.point(deg, -half);
+      const right = projection.point(deg, half);
+      if (!left || !right) continue;
+
+      strokeProjected(ctx, [left, right]);
+
+      // Chevrons for negative pitch
+      if (deg < 0) {
+        const drop = (radius * 0.02) / px;
+        strokeProjected(ctx, [left, projection.point(deg - drop, -half)]);
+        strokeProjected(ctx, [right, projection.point(deg - drop, half)]);
+      }
+
+      // Labels, turned with the rung
+      const angle = Math.atan2(right.y - left.y, right.x - left.x);
+      [-1, 1].forEach(side => {
+        const at = projection.point(deg, side * (half + (radius * 0.038) / px));
+        if (!at) return;
+        ctx.save();
+        ctx.translate(at.x, at.y);
+        ctx.rotate(angle);
+        ctx.fillText(Math.abs(deg).toString(), 0, 0);
+        ctx.restore();
+      });
+    }
+
+    // Zenith and nadir marks
+    const zenith = projection.point(90);
+    const nadir = projection.point(-90);
+    if (zenith) {
+      ctx.beginPath();
+      ctx.arc(zenith.x, zenith.y, radius * 0.04, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    if (nadir) {
+      const r = radius * 0.04;
+      ctx.beginPath();
+      ctx.arc(nadir.x, nadir.y, r, 0, Math.PI * 2);
+      ctx.moveTo(nadir.x - r * 0.7, nadir.y - r * 0.7);
+      ctx.lineTo(nadir.x + r * 0.7, nadir.y + r * 0.7);
+      ctx.moveTo(nadir.x + r * 0.7, nadir.y - r * 0.7);
+      ctx.lineTo(nadir.x - r * 0.7, nadir.y + r * 0.7);
+      ctx.stroke();
+    }
+
+    // Recovery chevrons between the rungs beyond the limits, pointing to the
+    // horizon
+    const limits = resolveRecoveryPitch(props.recoveryPitch);
+    const chevronHalf = (radius * 0.14) / px;
+    const chevronDepth = (radius * 0.08) / px;
+    ctx.strokeStyle = theme.warning;
+    ctx.lineWidth = radius * 0.02;
+    ctx.lineJoin = 'miter';
+    for (let deg = limits.up + 5; deg < 90; deg += 10) {
+      strokeProjected(ctx, [
+        projection.point(deg + chevronDepth, -chevronHalf),
+        projection.point(deg - chevronDepth, 0),
+        projection.point(deg + chevronDepth, chevronHalf),
+      ]);
+    }
+    for (let deg = -limits.down - 5; deg > -90; deg -= 10) {
+      strokeProjected(ctx, [
+        projection.point(deg - chevronDepth, -chevronHalf),
+        projection.point(deg + chevronDepth, 0),
+        projection.point(deg - chevronDepth, chevronHalf),
+      ]);
+    }
+  },
+};
+
+// Keeps a sliver of sky or ground at the edge of the ball when the horizon
+// has left the window, on the side where the horizon is
+const horizonCue = {
+  id: 'horizonCue',
+  draw(ctx, frame) {
+    const { cx, cy, radius, sideOffset, state, props, theme } = frame;
+    const { horizon } = createProjection(state, props, radius, GEOMETRY.pitchScale);
+    // How far the window reaches towards the horizon
+    const ballRadius = radius * GEOMETRY.ball;
+    const reach = frame.shape === 'rectangular'
+      ? (ballRadius + sideOffset) * Math.abs(horizon.up.x) + ballRadius * Math.abs(horizon.up.y)
+      : ballRadius;
+    if (horizon.distance < reach) return;
+
+    // Towards the horizon is away from the sky when the nose is in it
+    const toward = horizon.skyAhead ? -1 : 1;
+    const direction = Math.atan2(horizon.up.y * toward, horizon.up.x * toward);
+    const spread = Math.PI * 0.3;
+    const width = radius * 0.07;
+
+    // A band round the inside of the window, within `spread` of `direction`
+    ctx.beginPath();
+    traceBallWindow(ctx, frame);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.arc(cx, cy, (radius + sideOffset) * 2, direction - spread, direction + spread);
+    ctx.closePath();
+    ctx.clip();
+
+    ctx.strokeStyle = horizon.skyAhead ? theme.ground : theme.sky;
+    ctx.lineWidth = width * 2;
+    ctx.beginPath();
+    traceBallWindow(ctx, frame);
+    ctx.stroke();
+
+    ctx.strokeStyle = theme.horizon;
+    ctx.lineWidth = radius * 0.005;
+    ctx.beginPath();
+    traceBallWindow(ctx, frame, width);
+    ctx.stroke();
+  },
+};
+
+const bankScale = {
+  id: 'bankScale',
+  static: true,
+  draw(ctx, { cx, cy, radius, theme }) {
+    ctx.translate(cx, cy);
+
+    // Arc background
+    ctx.strokeStyle = theme.bankArc;
+    ctx.lineWidth = radius * 0.06;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius * GEOMETRY.bankArc, Math.PI * 1.17, Math.PI * 1.83);
+    ctx.stroke();
+
+    // Bank tick marks
+    const bankAngles = [
+      { deg: 0, len: 0.1 },
+      { deg: 10, len: 0.06 },
+      { deg: 20, len: 0.06 },
+      { deg: 30, len: 0.1 },
+      { deg: 45, len: 0.06 },
+      { deg: 60, len: 0.1 },
+    ];
+
+    ctx.strokeStyle = theme.textWhite;
+    ctx.lineWidth = radius * 0.005;
+
+    bankAngles.forEach(({ deg, len }) => {
+      [deg, -deg].forEach(angle => {
+        const rad = (-90 + angle) * Math.PI / 180;
+        const r1 = radius * GEOMETRY.bankTicks;
+        const r2 = radius * (GEOMETRY.bankTicks + len);
+        ctx.beginPath();
+        ctx.moveTo(Math.cos(rad) * r1, Math.sin(rad) * r1);
+        ctx.lineTo(Math.cos(rad) * r2, Math.sin(rad) * r2);
+        ctx.stroke();
+      });
+    });
+
+    // Fixed sky pointer (top triangle)
+    ctx.fillStyle = theme.aircraft;
+    ctx.beginPath();
+    ctx.moveTo(0, -radius * 0.88);
+    ctx.lineTo(-radius * 0.02, -radius * 0.78);
+    ctx.lineTo(radius * 0.02, -radius * 0.78);
+    ctx.closePath();
+    ctx.fill();
+  },
+};
+
+const bankPointer = {
+  id: 'bankPointer',
+  draw(ctx, { cx, cy, radius, state, alerts, theme }) {
+    // Moving bank pointer, in the alert colour past the bank limit
+    const alert = alertForField(alerts, 'roll');
+    ctx.translate(cx, cy);
+    ctx.rotate(-state.roll * Math.PI / 180);
+    ctx.fillStyle = alert ? alertColor(alert, theme) : theme.textWhite;
+    ctx.beginPath();
+    ctx.moveTo(0, -radius * 0.76);
+    ctx.lineTo(-radius * 0.015, -radius * 0.68);
+    ctx.lineTo(radius * 0.015, -radius * 0.68);
+    ctx.closePath();
+    ctx.fill();
+  },
+};
+
+const aircraftSymbol = {
+  id: 'aircraftSymbol',
+  static: true,
+  draw(ctx, { cx, cy, radius, theme }) {
+    ctx.translate(cx, cy);
+    ctx.strokeStyle = theme.aircraft;
+    ctx.fillStyle = theme.aircraft;
+    ctx.lineWidth = radius * 0.01;
+    ctx.lineCap = 'round';
+
+    // Center dot
+    ctx.beginPath();
+    ctx.arc(0, 0, radius * 0.013, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Wings
+    ctx.beginPath();
+    ctx.moveTo(-radius * 0.35, 0);
+    ctx.lineTo(-radius * 0.12, 0);
+    ctx.moveTo(radius * 0.12, 0);
+    ctx.lineTo(radius * 0.35, 0);
+    ctx.stroke();
+
+    // Wing tips
+    ctx.beginPath();
+    ctx.moveTo(-radius * 0.35, 0);
+    ctx.lineTo(-radius * 0.35, radius * 0.03);
+    ctx.moveTo(radius * 0.35, 0);
+    ctx.lineTo(radius * 0.35, radius * 0.03);
+    ctx.stroke();
+  },
+};
+
+const slipTube = {
+  id: 'slipTube',
+  static: true,
+  draw(ctx, { cx, cy, radius, theme }) {
+    ctx.translate(cx, cy + radius * GEOMETRY.slipOffset);
+
+    // Tube
+    ctx.fillStyle = theme.panel;
+    ctx.fillRect(-radius * 0.2, -radius * 0.02, radius * 0.4, radius * 0.04);
+
+    // Center marks
+    ctx.fillStyle = theme.slipMarks;
+    ctx.fillRect(-radius * 0.065, -radius * 0.025, radius * 0.01, radius * 0.05);
+    ctx.fillRect(radius * 0.055, -radius * 0.025, radius * 0.01, radius * 0.05);
+  },
+};
+
+const slipIndicator = {
+  id: 'slipIndicator',
+  draw(ctx, { cx, cy, radius, state, invalid, theme }) {
+    if (invalid.slip) return;
+    ctx.translate(cx, cy + radius * GEOMETRY.slipOffset);
+
+    // Ball
+    const ballOffset = state.slip * radius * 0.12;
+    ctx.fillStyle = theme.slipBall;
+    ctx.beginPath();
+    ctx.arc(ballOffset, 0, radius * 0.018, 0, Math.PI * 2);
+    ctx.fill();
+  },
+};
+
+const dataBlocks = {
+  id: 'dataBlocks',
+  draw(ctx, frame) {
+    const { cx, cy, radius, sideOffset, theme, props, alerts, invalid, time } = frame;
+    const fields = resolveFields(props.fields);
+
+    // The tapes take over the IAS and ALT slots
+    if (props.layout === TAPE_LAYOUT) {
+      delete fields.left;
+      delete fields.right;
+    }
+
+    Object.keys(fields).forEach(slotName => {
+      const field = fields[slotName];
+      const slot = FIELD_SLOTS[slotName];
+      const x = cx + radius * slot.x + Math.sign(slot.x) * sideOffset;
+      const y = cy + radius * slot.valueY;
+      const value = readField(field, frame);
+      const failed = typeof field.value === 'string' && invalid[field.value];
+      const alert = typeof field.value === 'string' ? alertForField(alerts, field.value) : undefined;
+      const text = failed ? '----' : formatField(field, value, frame);
+      const unit = fieldUnit(field, frame);
+      const valueFont = `bold ${radius * slot.size}px monospace`;
+      const unitFont = `${radius * 0.06}px monospace`;
+
+      ctx.textAlign = slot.align;
+
+      // Label
+      ctx.fillStyle = theme.textWhite;
+      ctx.font = `${radius * 0.05}px monospace`;
+      ctx.fillText(field.label ?? '', x, cy + radius * slot.labelY);
+
+      // Unit sits on the inner side of the value, leaving room for one more
+      // digit on left-hand slots so it doesn't jump around
+      let valueX = x;
+      if (unit) {
+        ctx.font = valueFont;
+        const valueWidth = ctx.measureText(text).width;
+        ctx.font = unitFont;
+        ctx.fillStyle = theme.textWhite;
+        if (slot.align === 'left') {
+          ctx.fillText(unit, x + Math.max(valueWidth + radius * 0.03, radius * 0.24), y);
+        } else {
+          ctx.fillText(unit, x, y);
+          valueX = x - ctx.measureText(unit).width - radius * 0.02;
+        }
+      }
+
+      // Value: red dashes for failed inputs, the alert colour (flashing for
+      // warnings) when a limit is exceeded
+      if (!failed && isFlashedOff(alert, time)) return;
+      if (failed) ctx.fillStyle = theme.warning;
+      else if (alert) ctx.fillStyle = alertColor(alert, theme);
+      else ctx.fillStyle = fieldColor(field, value, theme);
+      ctx.font = valueFont;
+      ctx.fillText(text, valueX, y);
+    });
+  },
+};
+
+const bottomLabels = {
+  id: 'bottomLabels',
+  static: true,
+  draw(ctx, { cx, cy, radius, theme }) {
+    ctx.textAlign = 'center';
+    ctx.fillStyle = theme.textWhite;
+    ctx.font = `${radius * 0.045}px monospace`;
+    ctx.fillText('MENU', cx - radius * 0.5, cy + radius * 0.68);
+  },
+};
+
+const statusBar = {
+  id: 'statusBar',
+  static: true,
+  draw(ctx, { cx, cy, radius, theme }) {
+    ctx.fillStyle = theme.statusBar;
+    ctx.fillRect(cx - radius * 0.5, cy + radius * 0.72, radius, radius * 0.1);
+
+    ctx.fillStyle = theme.textGreen;
+    ctx.font = `${radius * 0.045}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.fillText('3:3', cx - radius * 0.1, cy + radius * 0.78);
+    ctx.fillText('100%', cx + radius * 0.2, cy + radius * 0.78);
+
+    // Battery icon
+    ctx.fillRect(cx + radius * 0.35, cy + radius * 0.75, radius * 0.06, radius * 0.05);
+  },
+};
+
+// Round, or a frame round the window in the rectangular shape
+const bezel = {
+  id: 'bezel',
+  static: true,
+  draw(ctx, frame) {
+    const { cx, cy, radius, theme } = frame;
+    const ring = (at, width, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = radius * width;
+      ctx.beginPath();
+      traceBallWindow(ctx, frame, radius * (GEOMETRY.ball - at));
+      ctx.stroke();
+    };
+    ring(0.96, 0.08, theme.bezelHighlight);
+    ring(1, 0.04, theme.bezel);
+
+    // Bottom text
+    ctx.fillStyle = theme.textWhite;
+    ctx.font = `${radius * 0.07}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.fillText('AV-30', cx - radius * 0.15, cy + radius * 0.92);
+    ctx.font = `${radius * 0.05}px monospace`;
+    ctx.fillText('PUSH-SET', cx + radius * 0.25, cy + radius * 0.92);
+  },
+};
+
+// The AV-30 look, bottom to top
+export const DEFAULT_LAYERS = [
+  background,
+  attitudeBall,
+  horizonCue,
+  bankScale,
+  bankPointer,
+  flightPathVector,
+  aircraftSymbol,
+  flightDirector,
+  attitudeFail,
+  slipTube,
+  slipIndicator,
+  compassRose,
+  dataBlocks,
+  airspeedTape,
+  altitudeTape,
+  verticalSpeedScale,
+  verticalSpeedTape,
+  bottomLabels,
+  aoaIndicator,
+  annunciator,
+  statusBar,
+  knobMenu,
+  bezel,
+];
+
+// ============================================================================
+// LAYER STACK
+// ============================================================================
+
+const registry = new Map(DEFAULT_LAYERS.map(layer => [layer.id, layer]));
+const listeners = new Set();
+let defaultStack = DEFAULT_LAYERS.slice();
+
+function notifyLayerChange() {
+  listeners.forEach(listener => listener());
+}
+
+// Calls `listener` whenever a layer is registered or unregistered, so idle
+// instruments can repaint. Returns an unsubscribe function.
+export function subscribeToLayers(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Returns a new stack with `layer` inserted before or after the layer with the
+// given id (or on top when neither is given). A layer with the same id is
+// replaced in place.
+export function insertLayer(stack, layer, { before, after } = {}) {
+  const existing = stack.findIndex(l => l.id === layer.id);
+  if (existing !== -1 && before === undefined && after === undefined) {
+    return stack.map((l, i) => (i === existing ? layer : l));
+  }
+
+  const next = stack.filter(l => l.id !== layer.id);
+  const anchor = before ?? after;
+  const index = next.findIndex(l => l.id === anchor);
+  if (anchor === undefined || index === -1) {
+    next.push(layer);
+  } else {
+    next.splice(before !== undefined ? index : index + 1, 0, layer);
+  }
+  return next;
+}
+
+export function removeLayer(stack, id) {
+  return stack.filter(l => l.id !== id);
+}
+
+// Adds a layer to the stack used by every instance that doesn't pass its own
+// `layers` prop. Registered layers can also be referenced by id in `layers`.
+export function registerLayer(layer, position) {
+  if (!layer || typeof layer.id !== 'string' || typeof layer.draw !== 'function') {
+    throw new TypeError('A layer needs a string `id` and a `draw(ctx, frame)` function');
+  }
+  registry.set(layer.id, layer);
+  defaultStack = insertLayer(defaultStack, layer, position);
+  notifyLayerChange();
+}
+
+export function unregisterLayer(id) {
+  defaultStack = removeLayer(defaultStack, id);
+  if (!DEFAULT_LAYERS.some(l => l.id === id)) registry.delete(id);
+  notifyLayerChange();
+}
+
+export function getLayer(id) {
+  return registry.get(id);
+}
+
+export function getDefaultLayers() {
+  return defaultStack;
+}
+
+// Turns the `layers` / `hiddenLayers` props into a concrete stack. `layers` may
+// be an array of layer objects or registered ids, or a function that receives
+// the default stack and returns a new one.
+export function resolveLayers(layers, hiddenLayers = []) {
+  let stack = defaultStack;
+  if (typeof layers === 'function') {
+    stack = layers(defaultStack);
+  } else if (Array.isArray(layers)) {
+    stack = layers.map(l => (typeof l === 'string' ? registry.get(l) : l)).filter(Boolean);
+  }
+  return hiddenLayers.length ? stack.filter(l => !hiddenLayers.includes(l.id)) : stack;
+}
+
+// ============================================================================
+// FRAME
+// ============================================================================
+
+// The `frame` the layers draw from, for a `width` x `height` canvas. `props`
+// are already in display units; `time` is in seconds.
+export function createLayerFrame({ width, height, props, state, trends, time, alerts, invalid }) {
+  const theme = resolveTheme(props.theme, props.brightness);
+  const shape = props.shape ?? 'round';
+  return {
+    width,
+    height,
+    cx: width / 2,
+    cy: height / 2,
+    radius: dialRadius(width, height),
+    shape,
+    sideOffset: shape === 'rectangular' ? Math.max(0, (width - height) / 2) : 0,
+    theme,
+    units: resolveUnits(props.units),
+    staticKey: `${theme.key}|${shape}`,
+    time,
+    alerts,
+    invalid,
+    state,
+    trends,
+    props,
+  };
+}
+
+// ============================================================================
+// STATIC LAYER CACHE
+// ============================================================================
+
+function createOffscreen(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return null;
+}
+
+// Holds one pre-rendered bitmap per run of consecutive static layers
+export function createLayerCache() {
+  return new Map();
+}
+
+function drawLayer(ctx, layer, frame) {
+  ctx.save();
+  layer.draw(ctx, frame);
+  ctx.restore();
+}
+
+function drawStaticRun(ctx, run, frame, cache, used) {
+  const runId = run.map(l => l.id).join('+');
+  const layerKeys = run.map(layer => layer.staticKey?.(frame) ?? '').join('|');
+  const key = `${frame.width}x${frame.height}|${frame.staticKey ?? ''}|${layerKeys}`;
+  used.add(runId);
+
+  let entry = cache.get(runId);
+  if (!entry || entry.key !== key || entry.layers.some((l, i) => l !== run[i])) {
+    const canvas = createOffscreen(frame.width, frame.height);
+    if (!canvas) {
+      run.forEach(layer => drawLayer(ctx, layer, frame));
+      return;
+    }
+    const offscreenCtx = canvas.getContext('2d');
+    run.forEach(layer => drawLayer(offscreenCtx, layer, frame));
+    entry = { key, layers: run, canvas };
+    cache.set(runId, entry);
+  }
+  ctx.drawImage(entry.canvas, 0, 0);
+}
+
+// Draws the stack bottom to top. With a cache, runs of static layers are
+// composited from pre-rendered bitmaps instead of being repainted.
+export function drawLayers(ctx, stack, frame, cache) {
+  if (!cache) {
+    stack.forEach(layer => drawLayer(ctx, layer, frame));
+    return;
+  }
+
+  const used = new Set();
+  let run = [];
+  const flush = () => {
+    if (run.length) drawStaticRun(ctx, run, frame, cache, used);
+    run = [];
+  };
+
+  stack.forEach(layer => {
+    if (layer.static) {
+      run.push(layer);
+    } else {
+      flush();
+      drawLayer(ctx, layer, frame);
+    }
+  });
+  flush();
+
+  // Drop bitmaps for runs that no longer exist, e.g. after hiding a layer
+  cache.forEach((_, runId) => {
+    if (!used.has(runId)) cache.delete(runId);
+  });
+}
+
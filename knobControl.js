@@ -0,0 +1,127 @@
+// ============================================================================
+// KNOB CONTROL
+// ============================================================================
+//
+// The PUSH-SET knob as a small state machine, kept apart from the DOM so it
+// can be driven by any input (see useKnobControl.js):
+//
+//   main page   turning adjusts the current setting (baro to begin with) and
+//               pops up its value; pushing opens the menu
+//   menu page   turning moves the highlight; pushing picks the setting and
+//               goes back to the main page
+//
+// `back` (Escape) or KNOB_TIMEOUT without input returns to the main page.
+//
+// The knob never changes a value itself. It works out the new value and
+// hands it to the setting's callback prop (e.g. `onBaroSettingChange`) in the
+// component's input units, so the host app stays in charge of its state.
+
+import { UNIT_PROPS, convert, resolveUnits } from './units';
+
+export const KNOB_TIMEOUT = 8000;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// `step`, `initial` and `format` work in display units
+export const KNOB_SETTINGS = [
+  {
+    id: 'baroSetting',
+    label: 'BARO',
+    callback: 'onBaroSettingChange',
+    step: units => 10 ** -units.pressure.decimals,
+    initial: (props, units) => convert(29.92, 'pressure', 'inHg', units.pressure.name),
+    format: (value, units) => value.toFixed(units.pressure.decimals),
+  },
+  {
+    id: 'headingBug',
+    label: 'HDG',
+    callback: 'onHeadingBugChange',
+    step: () => 1,
+    period: 360,
+    initial: props => Math.round(props.heading ?? 0),
+    format: value => `${String(Math.round(value)).padStart(3, '0')}°`,
+  },
+  {
+    id: 'selectedAltitude',
+    label: 'ALT SEL',
+    callback: 'onSelectedAltitudeChange',
+    step: units => units.altitude.tape.major,
+    initial: (props, units) => Math.round((props.altitude ?? 0) / units.altitude.tape.major) * units.altitude.tape.major,
+    format: value => Math.round(value).toString(),
+  },
+  {
+    id: 'brightness',
+    label: 'BRT',
+    callback: 'onBrightnessChange',
+    step: () => 0.05,
+    min: 0.1,
+    max: 1,
+    initial: () => 1,
+    format: value => `${Math.round(value * 100)}%`,
+  },
+];
+
+export const INITIAL_KNOB_STATE = {
+  page: 'main',
+  setting: 'baroSetting',
+  highlight: 0,
+  active: false, // showing the value popup or menu
+};
+
+const indexOf = id => Math.max(0, KNOB_SETTINGS.findIndex(setting => setting.id === id));
+
+export function knobReducer(state, action) {
+  switch (action.type) {
+    case 'rotate':
+      if (state.page === 'menu') {
+        const count = KNOB_SETTINGS.length;
+        return { ...state, highlight: (((state.highlight + action.steps) % count) + count) % count };
+      }
+      return { ...state, active: true };
+
+    case 'push':
+      if (state.page === 'menu') {
+        return { ...state, page: 'main', setting: KNOB_SETTINGS[state.highlight].id, active: true };
+      }
+      return { ...state, page: 'menu', highlight: indexOf(state.setting), active: true };
+
+    case 'back':
+    case 'timeout':
+      return { ...state, page: 'main', active: false };
+
+    default:
+      return state;
+  }
+}
+
+// The setting's current value in display units, or where it starts from when
+// the prop isn't set
+export function settingValue(setting, displayProps, units) {
+  const value = displayProps[setting.id];
+  return Number.isFinite(value) ? value : setting.initial(displayProps, units);
+}
+
+// The value `steps` clicks from `from` (display units), snapped to the step
+export function stepSetting(setting, from, steps, units) {
+  const step = setting.step(units);
+  let value = Math.round(from / step + steps) * step;
+  if (setting.period) value = ((value % setting.period) + setting.period) % setting.period;
+  if (setting.min !== undefined || setting.max !== undefined) {
+    value = clamp(value, setting.min ?? -Infinity, setting.max ?? Infinity);
+  }
+  return Number(value.toFixed(6));
+}
+
+// Display units -> the component's input units, for the callback
+export function toInputUnits(setting, value, props) {
+  const quantity = UNIT_PROPS[setting.id];
+  if (!quantity) return value;
+  const input = resolveUnits(props.inputUnits);
+  const display = resolveUnits(props.units);
+  return convert(value, quantity, display[quantity].name, input[quantity].name);
+}
+
+export function findSetting(id) {
+  return KNOB_SETTINGS[indexOf(id)];
+}
+
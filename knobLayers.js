@@ -0,0 +1,60 @@
+// ============================================================================
+// KNOB LAYERS
+// ============================================================================
+//
+// What the PUSH-SET knob is doing, from the `knobState` prop the component
+// passes down while the knob is in use (see knobControl.js): a popup with
+// the value being set on the main page, or the list of settings on the menu
+// page.
+
+import { KNOB_SETTINGS, findSetting, settingValue } from './knobControl';
+
+const MENU = {
+  y: -0.3,        // popup centre, under the compass
+  rowHeight: 0.1,
+  width: 0.62,
+};
+
+function drawBox(ctx, x, y, width, height, theme, highlighted) {
+  ctx.fillStyle = theme.panel;
+  ctx.fillRect(x - width / 2, y - height / 2, width, height);
+  ctx.strokeStyle = highlighted ? theme.textCyan : theme.textWhite;
+  ctx.lineWidth = height * (highlighted ? 0.064 : 0.038);
+  ctx.strokeRect(x - width / 2, y - height / 2, width, height);
+}
+
+export const knobMenu = {
+  id: 'knobMenu',
+  draw(ctx, { cx, cy, radius, props, theme, units }) {
+    const knob = props.knobState;
+    if (!knob?.active) return;
+
+    const rowHeight = radius * MENU.rowHeight;
+    const width = radius * MENU.width;
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${radius * 0.06}px monospace`;
+
+    const drawRow = (setting, y, highlighted) => {
+      const text = setting.format(settingValue(setting, props, units), units);
+      drawBox(ctx, cx, y, width, rowHeight, theme, highlighted);
+      ctx.fillStyle = theme.textWhite;
+      ctx.textAlign = 'left';
+      ctx.fillText(setting.label, cx - width / 2 + radius * 0.03, y);
+      ctx.fillStyle = theme.textCyan;
+      ctx.textAlign = 'right';
+      ctx.fillText(text, cx + width / 2 - radius * 0.03, y);
+    };
+
+    if (knob.page === 'menu') {
+      const top = cy - ((KNOB_SETTINGS.length - 1) / 2) * rowHeight;
+      // Highlighted row last so its border stays on top
+      KNOB_SETTINGS.forEach((setting, i) => {
+        if (i !== knob.highlight) drawRow(setting, top + i * rowHeight, false);
+      });
+      drawRow(KNOB_SETTINGS[knob.highlight], top + knob.highlight * rowHeight, true);
+      return;
+    }
+
+    drawRow(findSetting(knob.setting), cy + radius * MENU.y, true);
+  },
+};
@@ -0,0 +1,296 @@
+// ============================================================================
+// MAVLINK
+// ============================================================================
+//
+// Decodes MAVLink v1 and v2 frames from a byte stream and turns the messages
+// the instrument cares about into component props:
+//
+//   ATTITUDE             roll, pitch, yaw (rad)        -> roll, pitch, heading
+//   VFR_HUD              airspeed, alt, climb (m, m/s) -> airspeed, altitude,
+//                        heading (deg)                    verticalSpeed, heading
+//   GLOBAL_POSITION_INT  alt (mm), vz (cm/s, down),    -> altitude, verticalSpeed,
+//                        hdg (cdeg)                       heading
+//   ALTITUDE             altitude_amsl (m)             -> altitude
+//
+// Values come out in the units given (imperial unless told otherwise), so
+// pass the same to the component's `inputUnits`. Other messages are skipped:
+// without their CRC seed they can't be told apart from line noise.
+//
+// The parser is a plain function of bytes, so it can be fed recorded
+// captures without hardware:
+//
+//   const parser = createMavlinkParser();
+//   parser.push(bytes).map(msg => mavlinkToFlightData(msg));
+//
+// or plugged into a WebSocket (binary) or Web Serial source:
+//
+//   createSerialSource({ port, baudRate: 57600, decode: mavlinkDecoder() })
+
+import { convert, resolveUnits } from './units';
+
+const STX_V1 = 0xfe;
+const STX_V2 = 0xfd;
+const HEADER_V1 = 6; // stx, len, seq, sysid, compid, msgid
+const HEADER_V2 = 10; // stx, len, incompat, compat, seq, sysid, compid, msgid x3
+const CHECKSUM = 2;
+const SIGNATURE = 13;
+const IFLAG_SIGNED = 0x01;
+
+const DEG = 180 / Math.PI;
+const UNKNOWN_HEADING = 0xffff;
+
+// X.25 CRC (CRC-16/MCRF4XX) as used by MAVLink
+export function crcAccumulate(crc, byte) {
+  let tmp = byte ^ (crc & 0xff);
+  tmp = (tmp ^ (tmp << 4)) & 0xff;
+  return ((crc >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xffff;
+}
+
+export function crcX25(bytes, start = 0, end = bytes.length, crc = 0xffff) {
+  for (let i = start; i < end; i++) crc = crcAccumulate(crc, bytes[i]);
+  return crc;
+}
+
+// Messages decoded by this module. `crcExtra` is the per-message seed from the
+// MAVLink definitions; `length` is the full (untruncated) payload length.
+export const MAVLINK_MESSAGES = {
+  30: {
+    name: 'ATTITUDE',
+    crcExtra: 39,
+    length: 28,
+    decode: view => ({
+      timeBootMs: view.getUint32(0, true),
+      roll: view.getFloat32(4, true),
+      pitch: view.getFloat32(8, true),
+      yaw: view.getFloat32(12, true),
+      rollspeed: view.getFloat32(16, true),
+      pitchspeed: view.getFloat32(20, true),
+      yawspeed: view.getFloat32(24, true),
+    }),
+  },
+  33: {
+    name: 'GLOBAL_POSITION_INT',
+    crcExtra: 104,
+    length: 28,
+    decode: view => ({
+      timeBootMs: view.getUint32(0, true),
+      lat: view.getInt32(4, true),
+      lon: view.getInt32(8, true),
+      alt: view.getInt32(12, true),
+      relativeAlt: view.getInt32(16, true),
+      vx: view.getInt16(20, true),
+      vy: view.getInt16(22, true),
+      vz: view.getInt16(24, true),
+      hdg: view.getUint16(26, true),
+    }),
+  },
+  74: {
+    name: 'VFR_HUD',
+    crcExtra: 20,
+    length: 20,
+    decode: view => ({
+      airspeed: view.getFloat32(0, true),
+      groundspeed: view.getFloat32(4, true),
+      alt: view.getFloat32(8, true),
+      climb: view.getFloat32(12, true),
+      heading: view.getInt16(16, true),
+      throttle: view.getUint16(18, true),
+    }),
+  },
+  141: {
+    name: 'ALTITUDE',
+    crcExtra: 47,
+    length: 32,
+    decode: view => ({
+      timeUsec: view.getBigUint64(0, true),
+      altitudeMonotonic: view.getFloat32(8, true),
+      altitudeAmsl: view.getFloat32(12, true),
+      altitudeLocal: view.getFloat32(16, true),
+      altitudeRelative: view.getFloat32(20, true),
+      altitudeTerrain: view.getFloat32(24, true),
+      bottomClearance: view.getFloat32(28, true),
+    }),
+  },
+};
+
+// Reads frames out of whatever byte chunks arrive, resynchronising on the
+// next start byte after garbage or a bad checksum. `stats` counts what was
+// dropped, which helps when checking a capture.
+export function createMavlinkParser({ messages = MAVLINK_MESSAGES } = {}) {
+  let buffer = new Uint8Array(0);
+  const stats = { frames: 0, crcErrors: 0, unknown: 0, skippedBytes: 0 };
+
+  const readFrame = (start) => {
+    const v2 = buffer[start] === STX_V2;
+    const header = v2 ? HEADER_V2 : HEADER_V1;
+    if (buffer.length - start < header) return null;
+
+    const length = buffer[start + 1];
+    const signed = v2 && (buffer[start + 2] & IFLAG_SIGNED);
+    const size = header + length + CHECKSUM + (signed ? SIGNATURE : 0);
+    if (buffer.length - start < size) return null;
+
+    const msgid = v2
+      ? buffer[start + 7] | (buffer[start + 8] << 8) | (buffer[start + 9] << 16)
+      : buffer[start + 5];
+    return {
+      size,
+      version: v2 ? 2 : 1,
+      length,
+      msgid,
+      seq: buffer[start + (v2 ? 4 : 2)],
+      sysid: buffer[start + (v2 ? 5 : 3)],
+      compid: buffer[start + (v2 ? 6 : 4)],
+      payload: start + header,
+    };
+  };
+
+  return {
+    stats,
+
+    // Appends a chunk and returns the messages completed by it
+    push(data) {
+      const chunk = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+      const next = new Uint8Array(buffer.length + chunk.length);
+      next.set(buffer);
+      next.set(chunk, buffer.length);
+      buffer = next;
+
+      const decoded = [];
+      let offset = 0;
+      while (offset < buffer.length) {
+        if (buffer[offset] !== STX_V1 && buffer[offset] !== STX_V2) {
+          offset++;
+          stats.skippedBytes++;
+          continue;
+        }
+
+        const frame = readFrame(offset);
+        if (!frame) break; // wait for more bytes
+
+        // An id we can't check may just as well be garbage that happens to
+        // start with a start byte, so step past the start byte only
+        const definition = messages[frame.msgid];
+        if (!definition) {
+          stats.unknown++;
+          offset++;
+          continue;
+        }
+
+        const crcEnd = frame.payload + frame.length;
+        const crc = crcAccumulate(crcX25(buffer, offset + 1, crcEnd), definition.crcExtra);
+        const received = buffer[crcEnd] | (buffer[crcEnd + 1] << 8);
+        if (crc !== received) {
+          // Not a real frame start, or a corrupted frame: try the next byte
+          stats.crcErrors++;
+          offset++;
+          continue;
+        }
+
+        // v2 drops trailing zero bytes from the payload; put them back
+        const payload = new Uint8Array(Math.max(definition.length, frame.length));
+        payload.set(buffer.subarray(frame.payload, crcEnd));
+        decoded.push({
+          name: definition.name,
+          msgid: frame.msgid,
+          version: frame.version,
+          seq: frame.seq,
+          sysid: frame.sysid,
+          compid: frame.compid,
+          fields: definition.decode(new DataView(payload.buffer)),
+        });
+        stats.frames++;
+        offset += frame.size;
+      }
+
+      buffer = buffer.slice(offset);
+      return decoded;
+    },
+
+    reset() {
+      buffer = new Uint8Array(0);
+    },
+  };
+}
+
+// Builds a frame around `payload` (bytes), for fixtures and tests. v2
+// frames drop the payload's trailing zeros as senders do. `crcExtra`
+// defaults to the message's own seed; pass another to build a frame the
+// parser must reject.
+export function encodeMavlinkFrame(msgid, payload, {
+  version = 2,
+  seq = 0,
+  sysid = 1,
+  compid = 1,
+  crcExtra = MAVLINK_MESSAGES[msgid]?.crcExtra ?? 0,
+} = {}) {
+  let length = payload.length;
+  if (version === 2) while (length > 1 && payload[length - 1] === 0) length--;
+
+  const header = version === 2
+    ? [STX_V2, length, 0, 0, seq, sysid, compid, msgid & 0xff, (msgid >> 8) & 0xff, msgid >> 16]
+    : [STX_V1, length, seq, sysid, compid, msgid];
+  const frame = new Uint8Array(header.length + length + CHECKSUM);
+  frame.set(header);
+  frame.set(payload.subarray(0, length), header.length);
+
+  const crc = crcAccumulate(crcX25(frame, 1, header.length + length), crcExtra);
+  frame[header.length + length] = crc & 0xff;
+  frame[header.length + length + 1] = crc >> 8;
+  return frame;
+}
+
+function toHeading(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+// Maps a decoded message onto component props, in `units`. Returns an empty
+// object for messages without anything to show.
+export function mavlinkToFlightData({ name, fields }, units) {
+  const to = resolveUnits(units);
+  const speed = value => convert(value, 'speed', 'm/s', to.speed.name);
+  const altitude = value => convert(value, 'altitude', 'm', to.altitude.name);
+  const climb = value => convert(value, 'verticalSpeed', 'm/s', to.verticalSpeed.name);
+
+  switch (name) {
+    case 'ATTITUDE':
+      return {
+        pitch: fields.pitch * DEG,
+        roll: fields.roll * DEG,
+        heading: toHeading(fields.yaw * DEG),
+      };
+
+    case 'VFR_HUD':
+      return {
+        airspeed: speed(fields.airspeed),
+        altitude: altitude(fields.alt),
+        verticalSpeed: climb(fields.climb),
+        heading: toHeading(fields.heading),
+      };
+
+    case 'GLOBAL_POSITION_INT': {
+      const data = {
+        altitude: altitude(fields.alt / 1000),
+        verticalSpeed: climb(-fields.vz / 100),
+      };
+      if (fields.hdg !== UNKNOWN_HEADING) data.heading = fields.hdg / 100;
+      return data;
+    }
+
+    case 'ALTITUDE':
+      return Number.isNaN(fields.altitudeAmsl) ? {} : { altitude: altitude(fields.altitudeAmsl) };
+
+    default:
+      return {};
+  }
+}
+
+// `decode` factory for createWebSocketSource / createSerialSource
+export function mavlinkDecoder({ units, messages } = {}) {
+  return () => {
+    const parser = createMavlinkParser({ messages });
+    return bytes => parser.push(bytes)
+      .map(message => mavlinkToFlightData(message, units))
+      .filter(data => Object.keys(data).length > 0);
+  };
+}
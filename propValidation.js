@@ -0,0 +1,288 @@
+// ============================================================================
+// PROP VALIDATION
+// ============================================================================
+//
+// The props API as data: every prop the instrument reads, with its type,
+// documented default and how it is normalized. The component runs its props
+// through `normalizeProps` before they reach the render loop, so the layers
+// can rely on:
+//
+//   - the documented defaults being filled in for anything left out
+//   - angles being wrapped (heading and bugs to 0-360, roll to ±180)
+//   - values with a physical stop being clamped (pitch, slip, brightness)
+//   - unknown enum values falling back to the default
+//
+// A number given as a string ('29.92', from a form or a CSV file) is read as
+// a number, with a warning. A numeric input that is given but isn't a finite
+// number (NaN, null, Infinity, a string that doesn't read as one) becomes
+// NaN: the alert monitor flags it as failed (see alerts.js) and readouts show
+// dashes, rather than it being quietly replaced by a default.
+//
+// An attitude given as `quaternion` or `rotationMatrix` (see attitudeMath.js)
+// is turned into pitch, roll and heading first, and takes their place.
+//
+// Anything suspect is reported through `onWarning`, once per prop and problem,
+// outside production builds.
+
+import { DEFAULT_AOA_STALL_WARNING } from './alerts';
+import { AOA_STYLES } from './angleOfAttackLayers';
+import { attitudeFromOrientation, normalizeQuaternion, toQuaternion, toRotationMatrix } from './attitudeMath';
+import { ATTITUDE_MODES } from './attitudeProjection';
+import { COMPASS_MODES } from './compassLayers';
+import { DEFAULT_ASPECT_RATIO, SHAPES } from './geometry';
+import { FLIGHT_DIRECTOR_MODES } from './guidanceLayers';
+import { isValidSmoothing, wrap } from './smoothing';
+import { TAPE_LAYOUT } from './tapeLayers';
+import { THEMES } from './themes';
+import { convert, resolveUnits } from './units';
+
+// `wrap`      { min, period }: kept in [min, min + period)
+// `clamp`     [min, max]: held at the stop, with a warning
+// `min`       lower bound, with a warning
+// `values`    allowed values of an enum
+// `finite`    a non-finite value can't be shown as failed, so the default
+//             is used instead
+// `check`     [test, what was expected, what happens instead] for values a
+//             type can't describe; by default the value is shown as failed
+// `whenTrue`  what `true` stands for, for a prop that can be switched on
+//             bare (`<AttitudeIndicatorCanvas flightDirector />`); `false`
+//             leaves it at its default
+// `default`   documented default, in input units; a function gets the props
+export const PROP_SPECS = {
+  // Attitude and air data
+  pitch: { type: 'number', default: 0, clamp: [-90, 90] },
+  roll: { type: 'number', default: 0, wrap: { min: -180, period: 360 } },
+  heading: { type: 'number', default: 0, wrap: { min: 0, period: 360 } },
+  airspeed: { type: 'number', default: 0, min: 0 },
+  altitude: { type: 'number', default: 0 },
+  verticalSpeed: { type: 'number', default: 0 },
+  slip: { type: 'number', default: 0, clamp: [-1, 1] },
+  baroSetting: {
+    type: 'number',
+    default: props => convert(29.92, 'pressure', 'inHg', resolveUnits(props.inputUnits).pressure.name),
+    min: 0,
+  },
+  quaternion: {
+    type: 'object',
+    check: [value => Boolean(toQuaternion(value) && normalizeQuaternion(toQuaternion(value))), 'a non-zero [w, x, y, z]'],
+  },
+  rotationMatrix: { type: 'object', check: [value => Boolean(toRotationMatrix(value)), 'a 3x3 matrix or 9 numbers'] },
+  angleOfAttack: { type: 'number' },
+  staleAfter: { type: 'number', min: 0 },
+
+  // Navigation
+  waypoint: { type: 'string', default: '----' },
+  distance: { type: 'number', default: 0, min: 0 },
+  selectedAltitude: { type: 'number' },
+  selectedVerticalSpeed: { type: 'number' },
+  headingBug: { type: 'number', wrap: { min: 0, period: 360 } },
+  course: { type: 'number', wrap: { min: 0, period: 360 } },
+  track: { type: 'number', wrap: { min: 0, period: 360 } },
+  drift: { type: 'number', wrap: { min: -180, period: 360 } },
+  courseDeviation: { type: 'number' },
+  toFrom: { type: 'string', values: ['to', 'from'] },
+  navSource: { type: 'string', default: 'GPS' },
+
+  // Guidance
+  flightDirector: { type: ['string', 'boolean'], values: FLIGHT_DIRECTOR_MODES, whenTrue: 'vbar' },
+  fdPitch: { type: 'number', clamp: [-90, 90] },
+  fdRoll: { type: 'number', wrap: { min: -180, period: 360 } },
+  flightPathVector: { type: 'boolean', default: false },
+  flightPathAngle: { type: 'number', clamp: [-90, 90] },
+
+  // Display
+  size: { type: 'number', default: 400, min: 1, finite: true },
+  autoSize: { type: 'boolean', default: false },
+  shape: { type: 'string', default: 'round', values: SHAPES },
+  aspectRatio: { type: 'number', default: DEFAULT_ASPECT_RATIO, clamp: [1, 3], finite: true },
+  pixelRatio: { type: 'number', min: 0.5, finite: true },
+  attitudeMode: { type: 'string', default: 'flat', values: ATTITUDE_MODES },
+  compassMode: { type: 'string', default: 'rose', values: COMPASS_MODES },
+  headingReadout: { type: 'boolean', default: true },
+  layout: { type: 'string', default: 'readouts', values: ['readouts', TAPE_LAYOUT] },
+  aoaStyle: { type: 'string', default: 'chevron', values: AOA_STYLES },
+  aoaReadout: { type: 'boolean', default: false },
+  aoaStallWarning: { type: 'number', default: DEFAULT_AOA_STALL_WARNING, clamp: [0, 1] },
+  vsiRange: { type: 'number', min: 0 },
+  vsiScale: { type: 'string', default: 'linear', values: ['linear', 'nonlinear'] },
+  vsiReadoutThreshold: { type: 'number', min: 0 },
+  theme: { type: ['string', 'object'], default: 'day', values: Object.keys(THEMES) },
+  brightness: { type: 'number', default: 1, clamp: [0, 1], finite: true },
+  units: { type: ['string', 'object'], default: 'imperial' },
+  inputUnits: { type: ['string', 'object'], default: 'imperial' },
+  renderInWorker: { type: 'boolean', default: false },
+  smoothing: {
+    type: 'object',
+    check: [isValidSmoothing, 'smoothing configs for the smoothed channels', 'the channels it gets wrong keep their defaults'],
+  },
+  interactive: { type: 'boolean', default: false },
+
+  // Accessibility
+  ariaLabel: { type: 'string', default: 'Attitude indicator' },
+  announceInterval: { type: 'number', default: 10, min: 0 },
+  sonification: { type: ['boolean', 'object'], default: false },
+
+  // Callbacks
+  onAlert: { type: 'function' },
+  onFrame: { type: 'function' },
+  onBaroSettingChange: { type: 'function' },
+  onHeadingBugChange: { type: 'function' },
+  onSelectedAltitudeChange: { type: 'function' },
+  onBrightnessChange: { type: 'function' },
+};
+
+const defaultFor = (spec, props) => (typeof spec.default === 'function' ? spec.default(props) : spec.default);
+
+// The documented defaults, for input in imperial units
+export const DEFAULT_PROPS = {};
+Object.keys(PROP_SPECS).forEach(name => {
+  const value = defaultFor(PROP_SPECS[name], {});
+  if (value !== undefined) DEFAULT_PROPS[name] = value;
+});
+
+const typeOf = value => (value === null ? 'null' : typeof value);
+
+const describe = value => (typeof value === 'string' ? `'${value}'` : String(value));
+
+// Numbers pass through and strings are read as numbers; anything else,
+// including an empty string, is NaN
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// Wraps, clamps or range-checks a finite number
+function normalizeNumber(spec, value) {
+  if (spec.wrap) return { value: wrap(value, spec.wrap.period, spec.wrap.min) };
+  if (spec.clamp) {
+    const [min, max] = spec.clamp;
+    if (value < min || value > max) {
+      return {
+        value: Math.min(Math.max(value, min), max),
+        problem: 'range',
+        message: `is ${value}, outside ${min} to ${max}; it is clamped`,
+      };
+    }
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return { value, problem: 'range', message: `is ${value}, below ${spec.min}` };
+  }
+  return { value };
+}
+
+// Normalizes one prop. Returns { value, problem }, where `problem` names what
+// was wrong ('type', 'range', ...) for deduplicating warnings.
+function normalizeProp(spec, value, props) {
+  const types = [].concat(spec.type);
+
+  if (value === undefined) return { value: defaultFor(spec, props) };
+
+  if (spec.type === 'number') {
+    const number = toNumber(value);
+    if (!Number.isFinite(number)) {
+      if (spec.finite) {
+        const fallback = defaultFor(spec, props);
+        return { value: fallback, problem: 'finite', message: `is ${describe(value)}, not a finite number; using ${fallback}` };
+      }
+      return { value: NaN, problem: 'finite', message: `is ${describe(value)}, not a finite number; it is shown as failed` };
+    }
+    const result = normalizeNumber(spec, number);
+    if (result.problem || typeof value === 'number') return result;
+    return { value: result.value, problem: 'type', message: `should be a number, got string ${describe(value)}; read as ${number}` };
+  }
+
+  if (!types.includes(typeOf(value))) {
+    const fallback = defaultFor(spec, props);
+    return {
+      value: fallback,
+      problem: 'type',
+      message: `should be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}, got ${typeOf(value)}`
+        + (fallback !== undefined ? `; using ${describe(fallback)}` : '; it is ignored'),
+    };
+  }
+
+  if (spec.whenTrue !== undefined && typeof value === 'boolean') {
+    return { value: value ? spec.whenTrue : defaultFor(spec, props) };
+  }
+
+  if (spec.values && typeof value === 'string' && !spec.values.includes(value)) {
+    const fallback = defaultFor(spec, props);
+    return {
+      value: fallback,
+      problem: 'value',
+      message: `is ${describe(value)}, expected one of ${spec.values.map(describe).join(', ')}`
+        + (fallback !== undefined ? `; using ${describe(fallback)}` : '; it is ignored'),
+    };
+  }
+
+  if (spec.check && !spec.check[0](value)) {
+    return { value, problem: 'value', message: `should be ${spec.check[1]}; ${spec.check[2] ?? 'it is shown as failed'}` };
+  }
+
+  return { value };
+}
+
+// Runs every spec over the props, with a quaternion or rotation matrix
+// standing in for the Euler angles. Problems with those angles are reported
+// against the orientation prop instead.
+function normalizeAll(props, report) {
+  const orientation = attitudeFromOrientation(props);
+  const given = orientation ? { ...props, ...orientation } : props;
+  const normalized = { ...given };
+  Object.keys(PROP_SPECS).forEach(name => {
+    const result = normalizeProp(PROP_SPECS[name], given[name], given);
+    if (result.value === undefined) delete normalized[name];
+    else normalized[name] = result.value;
+    if (result.problem && !(orientation && name in orientation)) {
+      report({ prop: name, problem: result.problem, message: `\`${name}\` ${result.message}` });
+    }
+  });
+  return normalized;
+}
+
+// Every problem with the props, as `[{ prop, problem, message }]`. Props
+// without a spec (custom data fields, layers, ...) are left alone.
+export function validateProps(props) {
+  const problems = [];
+  normalizeAll(props, problem => problems.push(problem));
+  return problems;
+}
+
+// The props with defaults filled in and values normalized. `onWarning` gets
+// each problem found.
+export function normalizeProps(props, onWarning = () => {}) {
+  return normalizeAll(props, onWarning);
+}
+
+// Bundlers replace `process.env.NODE_ENV`; without one, assume development
+function isDevelopment() {
+  try {
+    return process.env.NODE_ENV !== 'production';
+  } catch {
+    return true;
+  }
+}
+
+const defaultWarn = ({ message }) => console.warn(`AttitudeIndicator: ${message}`);
+
+// A normalizer for one component instance that reports each prop problem
+// once, so a bad value streaming in at 60 Hz warns once rather than every
+// update. Silent in production builds.
+export function createPropValidator(onWarning = defaultWarn) {
+  const reported = new Set();
+  const report = isDevelopment()
+    ? (warning) => {
+      const key = `${warning.prop}:${warning.problem}`;
+      if (reported.has(key)) return;
+      reported.add(key);
+      onWarning(warning);
+    }
+    : undefined;
+
+  return {
+    normalize: props => normalizeProps(props, report),
+    // For problems found elsewhere, deduplicated the same way
+    warn: warning => report?.(warning),
+  };
+}
@@ -0,0 +1,37 @@
+// ============================================================================
+// FLIGHTGEAR GENERIC PROTOCOL
+// ============================================================================
+//
+// FlightGear's generic protocol writes whatever properties a protocol file
+// lists as separated text, one line per update. attitude-indicator.xml (next
+// to this file) outputs the fields below, comma separated.
+
+// Field order of attitude-indicator.xml, with the conversion into props
+export const FLIGHTGEAR_FIELDS = [
+  { prop: 'pitch' },
+  { prop: 'roll' },
+  { prop: 'heading' },
+  { prop: 'airspeed' },
+  { prop: 'altitude' },
+  { prop: 'verticalSpeed', scale: 60 }, // fps -> fpm
+  { prop: 'baroSetting' },
+];
+
+// Decodes one line. Empty or non-numeric values are left out.
+export function decodeFlightGearLine(line, fields = FLIGHTGEAR_FIELDS, separator = ',') {
+  const data = {};
+  line.trim().split(separator).forEach((text, i) => {
+    const field = fields[i];
+    const value = Number.parseFloat(text);
+    if (field && Number.isFinite(value)) data[field.prop] = value * (field.scale ?? 1);
+  });
+  return data;
+}
+
+// A UDP datagram may carry several lines
+export function decodeFlightGearPacket(packet, fields, separator) {
+  return packet.toString('utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => decodeFlightGearLine(line, fields, separator));
+}
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// ============================================================================
+// SIMULATOR RELAY
+// ============================================================================
+//
+// Listens for X-Plane UDP DATA packets and FlightGear generic-protocol output
+// and rebroadcasts every update over WebSocket as JSON in the component's prop
+// shape ({ pitch, roll, heading, airspeed, altitude, verticalSpeed, ... }, in
+// knots, feet and fpm), ready for createWebSocketSource. Needs nothing but
+// Node 18+:
+//
+//   node relay/simRelay.mjs
+//   node relay/simRelay.mjs --replay relay/fixtures/xplane-data.bin
+//
+// Options:
+//   --ws-port          WebSocket port (8080)
+//   --xplane-port      UDP port X-Plane sends DATA to (49003)
+//   --flightgear-port  UDP port FlightGear's generic output goes to (5500)
+//   --host             address to bind (127.0.0.1)
+//   --replay <file>    play a packet fixture in a loop instead of a simulator
+//   --rate <hz>        replay rate (20)
+
+import { createSocket } from 'node:dgram';
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { decodeFlightGearPacket } from './flightgearGeneric.mjs';
+import { createBroadcastServer } from './webSocketBroadcast.mjs';
+import { decodeXPlaneData, isXPlaneDataPacket } from './xplaneData.mjs';
+
+const { values: options } = parseArgs({
+  options: {
+    'ws-port': { type: 'string', default: '8080' },
+    'xplane-port': { type: 'string', default: '49003' },
+    'flightgear-port': { type: 'string', default: '5500' },
+    host: { type: 'string', default: '127.0.0.1' },
+    replay: { type: 'string' },
+    rate: { type: 'string', default: '20' },
+  },
+});
+
+// Latest value of every prop, sent to clients as they connect
+const latest = {};
+
+const relay = createBroadcastServer({
+  port: Number(options['ws-port']),
+  host: options.host,
+  onConnection: (socket) => {
+    if (Object.keys(latest).length) relay.send(socket, JSON.stringify(latest));
+  },
+});
+
+function publish(data) {
+  if (!Object.keys(data).length) return;
+  Object.assign(latest, data);
+  relay.broadcast(JSON.stringify(data));
+}
+
+function handleXPlane(packet) {
+  if (isXPlaneDataPacket(packet)) publish(decodeXPlaneData(packet));
+}
+
+function handleFlightGear(packet) {
+  decodeFlightGearPacket(packet).forEach(publish);
+}
+
+function listen(port, handle, name) {
+  const socket = createSocket('udp4');
+  socket.on('message', (packet) => {
+    try {
+      handle(packet);
+    } catch (error) {
+      console.warn(`${name}: ${error.message}`);
+    }
+  });
+  socket.on('error', (error) => console.error(`${name}: ${error.message}`));
+  socket.bind(port, options.host, () => console.log(`${name} on udp://${options.host}:${port}`));
+  return socket;
+}
+
+// X-Plane fixtures are one raw DATA packet; FlightGear fixtures are text, one
+// line per update
+function replay(file, rate) {
+  const fixture = readFileSync(file);
+  const packets = isXPlaneDataPacket(fixture)
+    ? [fixture]
+    : fixture.toString('utf8').split('\n').filter(line => line.trim()).map(line => Buffer.from(line));
+  const handle = isXPlaneDataPacket(fixture) ? handleXPlane : handleFlightGear;
+
+  let next = 0;
+  console.log(`Replaying ${file} (${packets.length} packets) at ${rate} Hz`);
+  return setInterval(() => {
+    handle(packets[next]);
+    next = (next + 1) % packets.length;
+  }, 1000 / rate);
+}
+
+if (options.replay) {
+  replay(options.replay, Number(options.rate));
+} else {
+  listen(Number(options['xplane-port']), handleXPlane, 'X-Plane');
+  listen(Number(options['flightgear-port']), handleFlightGear, 'FlightGear');
+}
+console.log(`WebSocket on ws://${options.host}:${options['ws-port']}`);
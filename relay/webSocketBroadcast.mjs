@@ -0,0 +1,90 @@
+// ============================================================================
+// WEBSOCKET BROADCAST
+// ============================================================================
+//
+// Just enough of RFC 6455 to push text messages to browsers, so the relay
+// runs on a bare Node install. Clients can't send anything but a close.
+
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0, length]);
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+export function createBroadcastServer({ port, host = '127.0.0.1', onConnection = () => {} }) {
+  const clients = new Set();
+
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket only\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n'));
+
+    clients.add(socket);
+    socket.on('data', (data) => {
+      if ((data[0] & 0x0f) === OPCODE_CLOSE) socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+    });
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+    onConnection(socket);
+  });
+
+  server.listen(port, host);
+
+  return {
+    server,
+
+    get clientCount() {
+      return clients.size;
+    },
+
+    send(socket, message) {
+      socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(message)));
+    },
+
+    broadcast(message) {
+      const frame = encodeFrame(OPCODE_TEXT, Buffer.from(message));
+      clients.forEach(socket => socket.write(frame));
+    },
+
+    close() {
+      clients.forEach(socket => socket.destroy());
+      server.close();
+    },
+  };
+}
@@ -0,0 +1,64 @@
+// ============================================================================
+// X-PLANE UDP DATA PACKETS
+// ============================================================================
+//
+// X-Plane's "Data Output" screen sends the ticked rows of its data table as
+// UDP `DATA` packets: a 5-byte header ("DATA" and one internal byte) followed
+// by 36-byte records, each a little-endian int32 row index and eight float32
+// values. Unused slots hold -999.
+//
+// Tick these rows (X-Plane 11/12 numbering) and send to the relay's port:
+//
+//    3  Speeds                  Vind kias
+//    4  Mach, VVI, g-load       VVI fpm
+//   17  Pitch, roll, headings   pitch, roll, hding mag
+//   20  Latitude, longitude     alt ftmsl
+
+const HEADER = 5;
+const RECORD = 36;
+const UNUSED = -999;
+
+// Row index -> { value slot: prop }. Add rows here to decode more of the table.
+export const XPLANE_DATA_ROWS = {
+  3: { 0: 'airspeed' },
+  4: { 2: 'verticalSpeed' },
+  17: { 0: 'pitch', 1: 'roll', 3: 'heading' },
+  20: { 2: 'altitude' },
+};
+
+export function isXPlaneDataPacket(packet) {
+  return packet.length >= HEADER && packet.toString('latin1', 0, 4) === 'DATA';
+}
+
+// Decodes a DATA packet (a Buffer) into component props. Rows that aren't in
+// `rows` are skipped, and so is a truncated trailing record.
+export function decodeXPlaneData(packet, rows = XPLANE_DATA_ROWS) {
+  if (!isXPlaneDataPacket(packet)) throw new Error('Not an X-Plane DATA packet');
+
+  const data = {};
+  for (let offset = HEADER; offset + RECORD <= packet.length; offset += RECORD) {
+    const row = rows[packet.readInt32LE(offset)];
+    if (!row) continue;
+    Object.keys(row).forEach(slot => {
+      const value = packet.readFloatLE(offset + 4 + slot * 4);
+      if (value !== UNUSED) data[row[slot]] = value;
+    });
+  }
+  return data;
+}
+
+// Builds a DATA packet from { row: [eight values] }, for fixtures and tests
+export function encodeXPlaneData(records) {
+  const indices = Object.keys(records);
+  const packet = Buffer.alloc(HEADER + indices.length * RECORD);
+  packet.write('DATA', 0, 'latin1');
+  packet.writeUInt8(0x2a, 4);
+  indices.forEach((index, i) => {
+    const offset = HEADER + i * RECORD;
+    packet.writeInt32LE(Number(index), offset);
+    for (let slot = 0; slot < 8; slot++) {
+      packet.writeFloatLE(records[index][slot] ?? UNUSED, offset + 4 + slot * 4);
+    }
+  });
+  return packet;
+}
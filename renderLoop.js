@@ -0,0 +1,187 @@
+// ============================================================================
+// RENDER LOOP
+// ============================================================================
+//
+// Drives the smoothing and layer painting for one canvas. The loop only runs
+// while something is moving: `wake()` starts it, and it stops by itself once
+// every channel has settled. Shared by the component (main thread) and the
+// worker renderer, which is why it doesn't touch React or the DOM.
+//
+// The loop also runs the alert monitor (see alerts.js) whenever it is woken,
+// drawn or not, and reports alert changes through `onAlert` (by default the
+// `onAlert` prop). With `staleAfter` set it wakes itself when the data goes
+// stale, since nothing else would. `dataAge()` is the age of the data it
+// goes by (see `createDataClock` in alerts.js), for anything else that
+// should agree with it about stale data.
+//
+// The frame is as big as the canvas, read on every frame; `resize` changes
+// the canvas (in its own pixels) and repaints.
+//
+// After each painted frame `onFrame` (by default the `onFrame` prop) gets the
+// frame the layers drew from, so something drawn elsewhere can follow the
+// same smoothed values (see AttitudeIndicator3D.jsx).
+
+import { createAlertMonitor, createDataClock } from './alerts';
+import { createLayerCache, createLayerFrame, drawLayers, resolveLayers } from './instrumentLayers';
+import { SMOOTHED_CHANNELS, createChannels, resolveSmoothing, settleChannels, stepChannels } from './smoothing';
+import { resolveUnits, toDisplayUnits } from './units';
+
+const defaultRequestFrame = callback => requestAnimationFrame(callback);
+const defaultCancelFrame = id => cancelAnimationFrame(id);
+
+export function createRenderLoop(canvas, {
+  getProps,
+  requestFrame = defaultRequestFrame,
+  cancelFrame = defaultCancelFrame,
+  now = () => performance.now(),
+  onAlert = alert => getProps().onAlert?.(alert),
+  onFrame = frame => getProps().onFrame?.(frame),
+}) {
+  // Everything downstream works in display units
+  const readProps = () => toDisplayUnits(getProps());
+  const channels = createChannels(readProps());
+  const layerCache = createLayerCache();
+  const alertMonitor = createAlertMonitor(onAlert);
+  let lastFrameTime = null;
+  let animationId = null;
+  let visible = true;
+  const dataClock = createDataClock();
+  let staleTimer = null;
+  let staleDeadline = null;
+
+  const clearStaleTimer = () => {
+    if (staleTimer !== null) clearTimeout(staleTimer);
+    staleTimer = null;
+    staleDeadline = null;
+  };
+
+  // Ages the data by how long the data inputs have held their values, then
+  // evaluates the alerts
+  const monitor = (time) => {
+    const lastUpdate = dataClock.update(getProps(), time);
+    const props = readProps();
+    const dataAge = (time - lastUpdate) / 1000;
+
+    // Wake up just after the data would go stale
+    const deadline = props.staleAfter > 0 && dataAge <= props.staleAfter
+      ? lastUpdate + props.staleAfter * 1000
+      : null;
+    if (deadline !== staleDeadline) {
+      clearStaleTimer();
+      if (deadline !== null) {
+        staleDeadline = deadline;
+        staleTimer = setTimeout(() => {
+          clearStaleTimer();
+          wake();
+        }, deadline - time + 1);
+      }
+    }
+
+    return alertMonitor.update(props, resolveUnits(props.units), dataAge);
+  };
+
+  // Paints one frame and reports whether it can stop: the needles have
+  // settled and no layer is animating
+  const draw = (time) => {
+    const { alerts, invalid } = monitor(time);
+    const props = readProps();
+    const ctx = canvas.getContext('2d');
+
+    // Smooth animations over the real time elapsed since the last frame
+    const dt = lastFrameTime === null ? 0 : (time - lastFrameTime) / 1000;
+    lastFrameTime = time;
+    // Failed inputs, and any other channel fed something that isn't a finite
+    // number, hold their last good value until good data comes back
+    const held = SMOOTHED_CHANNELS.filter(name => (
+      invalid[name] || (props[name] !== undefined && !Number.isFinite(props[name]))
+    ));
+    let targets = props;
+    if (held.length) {
+      targets = { ...props };
+      held.forEach(name => {
+        targets[name] = channels[name].value;
+      });
+    }
+    stepChannels(channels, targets, resolveSmoothing(props.smoothing), dt);
+    const settled = settleChannels(channels, targets);
+
+    const state = {};
+    const trends = {};
+    Object.keys(channels).forEach(name => {
+      state[name] = channels[name].value;
+      trends[name] = channels[name].trend;
+    });
+
+    const stack = resolveLayers(props.layers, props.hiddenLayers);
+    const layerFrame = createLayerFrame({
+      width: canvas.width,
+      height: canvas.height,
+      props,
+      state,
+      trends,
+      time: time / 1000,
+      alerts,
+      invalid,
+    });
+    // A stack may leave parts of the canvas transparent
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawLayers(ctx, stack, layerFrame, layerCache);
+    onFrame(layerFrame);
+
+    // Flashing layers keep the loop running after the needles settle
+    return settled && !stack.some(layer => layer.isAnimating?.(layerFrame));
+  };
+
+  const frame = (time) => {
+    animationId = null;
+    if (!draw(time)) {
+      animationId = requestFrame(frame);
+    }
+  };
+
+  const sleep = () => {
+    if (animationId !== null) cancelFrame(animationId);
+    animationId = null;
+  };
+
+  // Starts the loop unless it's already running or nobody can see it.
+  // Alerts are checked either way.
+  const wake = () => {
+    if (animationId !== null) return;
+    const time = now();
+    monitor(time);
+    if (!visible) return;
+    lastFrameTime = time;
+    animationId = requestFrame(frame);
+  };
+
+  return {
+    wake,
+
+    dataAge() {
+      const time = now();
+      return (time - dataClock.update(getProps(), time)) / 1000;
+    },
+
+    resize(width, height) {
+      if (canvas.width === width && canvas.height === height) return;
+      // Resizing clears the canvas, so it is painted again even if nothing
+      // is moving
+      canvas.width = width;
+      canvas.height = height;
+      wake();
+    },
+
+    setVisible(isVisible) {
+      visible = isVisible;
+      if (visible) wake();
+      else sleep();
+    },
+
+    destroy() {
+      sleep();
+      clearStaleTimer();
+      layerCache.clear();
+    },
+  };
+}
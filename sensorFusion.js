@@ -0,0 +1,367 @@
+// ============================================================================
+// SENSOR FUSION
+// ============================================================================
+//
+// Turns raw IMU samples into the attitude props. Each filter takes samples
+//
+//   { time, gyro: [x, y, z], accel: [x, y, z], mag: [x, y, z] }
+//
+// in the body frame of attitudeMath.js (x forward, y right wing, z down) and
+// returns `{ pitch, roll, heading, slip }` after each one:
+//
+//   time    seconds, or pass `dt` (seconds since the last sample) instead
+//   gyro    angular rate, rad/s (or deg/s with `gyroUnits: 'deg/s'`)
+//   accel   specific force in any unit, as accelerometers report it: level
+//           and still reads [0, 0, -1 g]
+//   mag     magnetic field in any unit; optional, and without it there is
+//           no `heading` (gyro-only heading drifts)
+//
+// Three filters, all keeping a body-to-NED quaternion:
+//
+//   complementary   gyro integration pulled towards the accelerometer and
+//                   magnetometer attitude with `timeConstant` (seconds)
+//   madgwick        gradient descent correction, gain `beta` (rad/s)
+//   mahony          PI feedback on the gravity and field error, gains `kp`
+//                   and `ki`
+//
+// `slip` comes straight from the accelerometer: the ball sits where the
+// apparent gravity points across the tube, full scale at `slipRange` degrees.
+//
+// `axes` maps sensor axes onto body axes for IMUs mounted another way, e.g.
+// ['x', '-y', '-z'] for a board with y to the left and z up.
+
+import {
+  conjugateQuaternion,
+  eulerToQuaternion,
+  multiplyQuaternions,
+  normalizeQuaternion,
+  quaternionToEuler,
+  rotateVector,
+} from './attitudeMath';
+
+export const FUSION_FILTERS = ['complementary', 'madgwick', 'mahony'];
+
+export const DEFAULT_SLIP_RANGE = 10; // degrees of apparent gravity tilt for full ball deflection
+
+const DEG = 180 / Math.PI;
+const RAD = Math.PI / 180;
+const MAX_STEP = 1; // seconds; longer gaps aren't integrated in one step
+const MIN_HORIZONTAL_FIELD = 0.05; // squared; near the magnetic poles heading gets no boost past this
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+function unit(vector) {
+  const norm = Math.hypot(...vector);
+  return norm > 0 ? vector.map(v => v / norm) : null;
+}
+
+const cross = ([ax, ay, az], [bx, by, bz]) => [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+
+// Body vector -> NED and back
+const toEarth = (q, vector) => rotateVector(q, vector);
+const toBody = (q, vector) => rotateVector(conjugateQuaternion(q), vector);
+
+// Reads sensor axes as body axes: axes[i] names the sensor axis (with an
+// optional sign) that lies along body x, y, z
+export function remapAxes(vector, axes) {
+  if (!axes) return vector;
+  return axes.map((axis) => {
+    const sign = axis.startsWith('-') ? -1 : 1;
+    return sign * vector['xyz'.indexOf(axis.replace(/^[-+]/, ''))];
+  });
+}
+
+// Ball deflection, -1 (left) to 1 (right), from the specific force
+export function slipFromAcceleration([, ay, az], range = DEFAULT_SLIP_RANGE) {
+  return clamp(Math.atan2(-ay, -az) * DEG / range, -1, 1);
+}
+
+// Absolute attitude from the down direction and, when there is one, the
+// magnetic field. Without a field the heading is `heading`.
+export function attitudeFromSensors(down, mag, heading = 0) {
+  const [dx, dy, dz] = down;
+  const roll = Math.atan2(dy, dz);
+  const pitch = Math.asin(clamp(-dx, -1, 1));
+  let yaw = heading * RAD;
+  if (mag) {
+    // Tilt-compensated: the field in the level frame
+    const [mx, my, mz] = mag;
+    const hx = mx * Math.cos(pitch) + (my * Math.sin(roll) + mz * Math.cos(roll)) * Math.sin(pitch);
+    const hy = my * Math.cos(roll) - mz * Math.sin(roll);
+    yaw = Math.atan2(-hy, hx);
+  }
+  return eulerToQuaternion({ pitch: pitch * DEG, roll: roll * DEG, heading: yaw * DEG });
+}
+
+// One step of q' = q ⊗ (0, ω) / 2
+function integrateGyro(q, [gx, gy, gz], dt) {
+  const dq = multiplyQuaternions(q, [0, gx, gy, gz]);
+  return normalizeQuaternion(q.map((value, i) => value + 0.5 * dq[i] * dt)) ?? q;
+}
+
+// The field's direction in NED with its east component removed, so the
+// magnetometer only ever corrects heading
+function earthField(q, mag) {
+  const [hx, hy, hz] = toEarth(q, mag);
+  return [Math.hypot(hx, hy), 0, hz];
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+function complementaryStep({ timeConstant = 1 }) {
+  return (q, gyro, down, mag, dt) => {
+    const predicted = integrateGyro(q, gyro, dt);
+    if (!down) return predicted;
+
+    const measured = attitudeFromSensors(down, mag, quaternionToEuler(predicted).heading);
+    const k = dt / (timeConstant + dt);
+    // Same hemisphere, so the blend takes the short way
+    const sign = predicted.reduce((sum, value, i) => sum + value * measured[i], 0) < 0 ? -1 : 1;
+    return normalizeQuaternion(predicted.map((value, i) => value * (1 - k) + sign * measured[i] * k)) ?? predicted;
+  };
+}
+
+function madgwickStep({ beta = 0.1 }) {
+  return (q, [gx, gy, gz], down, mag, dt) => {
+    if (!down) return integrateGyro(q, [gx, gy, gz], dt);
+    const [q0, q1, q2, q3] = q;
+    const rate = multiplyQuaternions(q, [0, gx, gy, gz]).map(value => value * 0.5);
+
+    // Gradient of |estimated - measured|² for gravity, and for the field
+    const [ax, ay, az] = down;
+    const f = [
+      2 * (q1 * q3 - q0 * q2) - ax,
+      2 * (q0 * q1 + q2 * q3) - ay,
+      2 * (0.5 - q1 * q1 - q2 * q2) - az,
+    ];
+    const J = [
+      [-2 * q2, 2 * q3, -2 * q0, 2 * q1],
+      [2 * q1, 2 * q0, 2 * q3, 2 * q2],
+      [0, -4 * q1, -4 * q2, 0],
+    ];
+    if (mag) {
+      const [bx, , bz] = earthField(q, mag);
+      const [mx, my, mz] = mag;
+      f.push(
+        2 * bx * (0.5 - q2 * q2 - q3 * q3) + 2 * bz * (q1 * q3 - q0 * q2) - mx,
+        2 * bx * (q1 * q2 - q0 * q3) + 2 * bz * (q0 * q1 + q2 * q3) - my,
+        2 * bx * (q0 * q2 + q1 * q3) + 2 * bz * (0.5 - q1 * q1 - q2 * q2) - mz,
+      );
+      J.push(
+        [-2 * bz * q2, 2 * bz * q3, -4 * bx * q2 - 2 * bz * q0, -4 * bx * q3 + 2 * bz * q1],
+        [-2 * bx * q3 + 2 * bz * q1, 2 * bx * q2 + 2 * bz * q0, 2 * bx * q1 + 2 * bz * q3, -2 * bx * q0 + 2 * bz * q2],
+        [2 * bx * q2, 2 * bx * q3 - 4 * bz * q1, 2 * bx * q0 - 4 * bz * q2, 2 * bx * q1],
+      );
+    }
+    const step = normalizeQuaternion([0, 1, 2, 3].map(i => J.reduce((sum, row, r) => sum + row[i] * f[r], 0)));
+
+    const next = q.map((value, i) => value + (rate[i] - (step ? beta * step[i] : 0)) * dt);
+    return normalizeQuaternion(next) ?? q;
+  };
+}
+
+function mahonyStep({ kp = 1, ki = 0 }) {
+  let integral = [0, 0, 0];
+  return (q, gyro, down, mag, dt) => {
+    if (!down) return integrateGyro(q, gyro, dt);
+
+    // Rotation that would bring the estimate onto the measurement
+    const vertical = toBody(q, [0, 0, 1]);
+    let error = cross(down, vertical);
+    if (mag) {
+      // Only the part about the vertical, so the field can't tilt the
+      // horizon while the heading comes round, and scaled up by the dip so
+      // the heading comes round as fast as the horizon
+      const reference = earthField(q, mag);
+      const fieldError = cross(mag, toBody(q, reference));
+      const horizontal = Math.max(reference[0] ** 2, MIN_HORIZONTAL_FIELD);
+      const turn = fieldError.reduce((sum, value, i) => sum + value * vertical[i], 0) / horizontal;
+      error = error.map((value, i) => value + turn * vertical[i]);
+    }
+    if (ki > 0) integral = integral.map((value, i) => value + ki * error[i] * dt);
+    return integrateGyro(q, gyro.map((value, i) => value + kp * error[i] + integral[i]), dt);
+  };
+}
+
+const FILTER_STEPS = {
+  complementary: complementaryStep,
+  madgwick: madgwickStep,
+  mahony: mahonyStep,
+};
+
+// The sample handling the filters share: units, axes, timing, the initial
+// alignment and the props they produce
+function createFilter(type, {
+  gyroUnits = 'rad/s',
+  axes,
+  declination = 0,
+  slipRange = DEFAULT_SLIP_RANGE,
+  ...gains
+} = {}) {
+  let step;
+  let q;
+  let lastTime;
+  let hasMag;
+
+  const reset = () => {
+    step = FILTER_STEPS[type](gains);
+    q = null;
+    lastTime = null;
+    hasMag = false;
+  };
+  reset();
+
+  return {
+    get quaternion() {
+      return q;
+    },
+
+    update({ time, dt, gyro, accel, mag }) {
+      const scale = gyroUnits === 'deg/s' ? RAD : 1;
+      const rates = isVector(gyro) ? remapAxes(gyro, axes).map(value => value * scale) : [0, 0, 0];
+      const force = isVector(accel) ? remapAxes(accel, axes) : null;
+      const down = force && unit(force.map(value => -value));
+      const field = isVector(mag) ? unit(remapAxes(mag, axes)) : null;
+      if (field) hasMag = true;
+
+      let elapsed = Number.isFinite(dt) ? dt : 0;
+      if (!Number.isFinite(dt) && Number.isFinite(time) && lastTime !== null) elapsed = time - lastTime;
+      if (Number.isFinite(time)) lastTime = time;
+
+      // The first sample aligns the filter with gravity and the field
+      if (!q) q = down ? attitudeFromSensors(down, field) : [1, 0, 0, 0];
+      else q = step(q, rates, down, field, clamp(elapsed, 0, MAX_STEP));
+
+      const { pitch, roll, heading } = quaternionToEuler(q);
+      const attitude = { pitch, roll };
+      if (hasMag) attitude.heading = (heading + declination + 360) % 360;
+      if (force) attitude.slip = slipFromAcceleration(force, slipRange);
+      return attitude;
+    },
+
+    reset,
+  };
+}
+
+export function createComplementaryFilter(options) {
+  return createFilter('complementary', options);
+}
+
+export function createMadgwickFilter(options) {
+  return createFilter('madgwick', options);
+}
+
+export function createMahonyFilter(options) {
+  return createFilter('mahony', options);
+}
+
+export function createAttitudeFilter(type = 'madgwick', options) {
+  if (!FILTER_STEPS[type]) throw new Error(`Unknown fusion filter '${type}' (expected ${FUSION_FILTERS.join(', ')})`);
+  return createFilter(type, options);
+}
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+// Wraps a flight data source whose messages carry `gyro`, `accel` and
+// optionally `mag` and `time` (map them with the source's `mapping`) so it
+// emits the fused attitude instead. Other fields pass through. `filter` is a
+// filter name or a filter object; a named one is created afresh for each
+// subscription.
+export function createFusionSource(source, { filter = 'madgwick', ...options } = {}) {
+  return {
+    subscribe({ onData, onStatus }) {
+      const fusion = typeof filter === 'string' ? createAttitudeFilter(filter, options) : filter;
+      return source.subscribe({
+        onData: ({ gyro, accel, mag, time, dt, ...data }) => {
+          if (!isVector(gyro) && !isVector(accel)) {
+            onData(data);
+            return;
+          }
+          onData({ ...data, ...fusion.update({ time, dt, gyro, accel, mag }) });
+        },
+        onStatus,
+      });
+    },
+  };
+}
+
+// ============================================================================
+// SYNTHETIC TRACES
+// ============================================================================
+
+// Small seeded generator (mulberry32), so traces with noise are repeatable
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The samples an ideal IMU would give while flying `attitude(t)` (degrees),
+// for fixtures and tests. `lateral(t)` adds a sideways specific force (g,
+// + right) for slip, `dip` is the field's inclination, and `noise` the
+// standard deviation added to each sensor ({ gyro (rad/s), accel (g),
+// mag }). `gyroBias` is a constant rate error (rad/s). Each sample carries
+// the true attitude as `truth`.
+export function synthesizeImuTrace({
+  attitude,
+  duration = 10,
+  rate = 100,
+  lateral = () => 0,
+  dip = 60,
+  noise = {},
+  gyroBias = [0, 0, 0],
+  seed = 1,
+} = {}) {
+  const random = createRandom(seed);
+  const gaussian = (sigma) => {
+    if (!sigma) return 0;
+    // Sum of uniforms: close enough to normal, and cheap
+    let sum = 0;
+    for (let i = 0; i < 12; i++) sum += random();
+    return (sum - 6) * sigma;
+  };
+  const field = [Math.cos(dip * RAD), 0, Math.sin(dip * RAD)];
+  const dt = 1 / rate;
+  const samples = [];
+  let previous = null;
+
+  for (let i = 0; i <= Math.round(duration * rate); i++) {
+    const time = i * dt;
+    const truth = attitude(time);
+    const q = eulerToQuaternion(truth);
+
+    // Body rate that turns the previous attitude into this one over dt
+    let gyro = [0, 0, 0];
+    if (previous) {
+      let delta = multiplyQuaternions(conjugateQuaternion(previous), q);
+      if (delta[0] < 0) delta = delta.map(value => -value);
+      const sin = Math.hypot(delta[1], delta[2], delta[3]);
+      const angle = 2 * Math.atan2(sin, delta[0]);
+      gyro = sin > 0 ? delta.slice(1).map(value => (value / sin) * angle / dt) : gyro;
+    }
+    previous = q;
+
+    const force = toBody(q, [0, 0, -1]);
+    force[1] += lateral(time);
+
+    samples.push({
+      time: Number(time.toFixed(6)),
+      gyro: gyro.map((value, axis) => value + gyroBias[axis] + gaussian(noise.gyro)),
+      accel: force.map(value => value + gaussian(noise.accel)),
+      mag: toBody(q, field).map(value => value + gaussian(noise.mag)),
+      truth,
+    });
+  }
+  return samples;
+}
@@ -0,0 +1,244 @@
+// ============================================================================
+// SMOOTHING
+// ============================================================================
+//
+// Time-based smoothing for the animated channels, so needle response is the
+// same at 60 Hz, 120 Hz or on a dropped frame. Each channel takes one of:
+//
+//   { type: 'exponential', timeConstant: 0.1 }   first-order lag (seconds)
+//   { type: 'spring', frequency: 12, damping: 0.8 }
+//                                                second-order spring/damper,
+//                                                natural frequency in rad/s
+//   { type: 'none' }                             raw data
+//
+// A bare number is shorthand for an exponential time constant, and 'none' for
+// `{ type: 'none' }`. A spring left without `frequency` gets
+// DEFAULT_SPRING_FREQUENCY, and without `damping` is critically damped. A
+// config that can't be integrated (an unknown type, a negative or missing
+// time constant, a frequency that isn't positive) is replaced by the
+// channel's default.
+
+// Matches the old per-frame lerp factors (0.15, slip 0.12) at 60 fps
+export const DEFAULT_SMOOTHING = {
+  pitch: { type: 'exponential', timeConstant: 0.1 },
+  roll: { type: 'exponential', timeConstant: 0.1 },
+  heading: { type: 'exponential', timeConstant: 0.1 },
+  slip: { type: 'exponential', timeConstant: 0.13 },
+  airspeed: { type: 'exponential', timeConstant: 0.1 },
+  altitude: { type: 'exponential', timeConstant: 0.1 },
+  verticalSpeed: { type: 'exponential', timeConstant: 0.1 },
+  fdPitch: { type: 'exponential', timeConstant: 0.1 },
+  fdRoll: { type: 'exponential', timeConstant: 0.1 },
+  flightPathAngle: { type: 'exponential', timeConstant: 0.1 },
+  drift: { type: 'exponential', timeConstant: 0.1 },
+  angleOfAttack: { type: 'exponential', timeConstant: 0.1 },
+  headingBug: { type: 'exponential', timeConstant: 0.1 },
+  course: { type: 'exponential', timeConstant: 0.1 },
+  track: { type: 'exponential', timeConstant: 0.1 },
+  courseDeviation: { type: 'exponential', timeConstant: 0.1 },
+};
+
+export const SMOOTHED_CHANNELS = Object.keys(DEFAULT_SMOOTHING);
+
+// About as quick as the default time constant when critically damped
+export const DEFAULT_SPRING_FREQUENCY = 12;
+
+// Channels that wrap around, with the range they are kept in. Roll wraps so
+// a roll through ±180° (inverted) takes the short way round.
+export const WRAPPED_CHANNELS = {
+  heading: { min: 0, period: 360 },
+  roll: { min: -180, period: 360 },
+  fdRoll: { min: -180, period: 360 },
+  headingBug: { min: 0, period: 360 },
+  course: { min: 0, period: 360 },
+  track: { min: 0, period: 360 },
+};
+
+// Channels that also track a rate-of-change trend (units per second), used
+// for the tape trend vectors. The raw frame-to-frame rate is low-passed with
+// this time constant so the vectors don't flicker with every data packet.
+const TREND_CHANNELS = ['airspeed', 'altitude'];
+const TREND_TIME_CONSTANT = 0.5;
+
+// How close a channel has to be to its target, with negligible velocity,
+// before it counts as settled and the render loop can go idle
+const SETTLE_TOLERANCE = {
+  pitch: 0.01,
+  roll: 0.01,
+  heading: 0.01,
+  slip: 0.001,
+  airspeed: 0.01,
+  altitude: 0.1,
+  verticalSpeed: 0.01, // small enough for m/s as well as fpm
+  fdPitch: 0.01,
+  fdRoll: 0.01,
+  flightPathAngle: 0.01,
+  drift: 0.01,
+  angleOfAttack: 0.001, // small enough for normalized AoA as well as degrees
+  headingBug: 0.01,
+  course: 0.01,
+  track: 0.01,
+  courseDeviation: 0.001,
+};
+
+// Longest step we integrate in one go. After a stall (e.g. a background tab)
+// the needles continue from where they were instead of jumping.
+const MAX_STEP = 0.1;
+
+// Spring integration sub-step, small enough to stay stable for stiff springs
+const SPRING_SUBSTEP = 1 / 240;
+
+function normalizeConfig(config) {
+  if (config === 'none') return { type: 'none' };
+  if (typeof config === 'number') return { type: 'exponential', timeConstant: config };
+  return config;
+}
+
+const isOptional = (value, test) => value === undefined || (Number.isFinite(value) && test(value));
+
+// Whether one channel's config can be integrated
+export function isSmoothingConfig(config) {
+  const normalized = normalizeConfig(config);
+  if (typeof normalized !== 'object' || normalized === null) return false;
+  switch (normalized.type) {
+    case 'none':
+      return true;
+    case 'spring':
+      return isOptional(normalized.frequency, frequency => frequency > 0)
+        && isOptional(normalized.damping, damping => damping >= 0);
+    case 'exponential':
+      return Number.isFinite(normalized.timeConstant) && normalized.timeConstant >= 0;
+    default:
+      return false;
+  }
+}
+
+// Whether a `smoothing` prop names only smoothed channels, each with a
+// config that can be integrated
+export function isValidSmoothing(smoothing) {
+  return Object.keys(smoothing).every(channel => (
+    SMOOTHED_CHANNELS.includes(channel) && isSmoothingConfig(smoothing[channel])
+  ));
+}
+
+// Merges a `smoothing` prop over the defaults, per channel
+export function resolveSmoothing(smoothing = {}) {
+  const resolved = {};
+  SMOOTHED_CHANNELS.forEach(channel => {
+    const config = smoothing[channel];
+    resolved[channel] = normalizeConfig(isSmoothingConfig(config) ? config : DEFAULT_SMOOTHING[channel]);
+  });
+  return resolved;
+}
+
+export function createChannels(values) {
+  const channels = {};
+  SMOOTHED_CHANNELS.forEach(channel => {
+    const value = values[channel];
+    channels[channel] = { value: Number.isFinite(value) ? value : 0, velocity: 0, trend: 0 };
+  });
+  return channels;
+}
+
+export function wrap(value, period, min = 0) {
+  return ((((value - min) % period) + period) % period) + min;
+}
+
+// Advances one channel towards `target` by `dt` seconds
+export function stepChannel(channel, target, config, dt, range) {
+  // A channel that went non-finite would never recover, so it starts again
+  // from the target
+  if (![channel.value, channel.velocity, channel.trend].every(Number.isFinite)) {
+    channel.value = target;
+    channel.velocity = 0;
+    channel.trend = 0;
+  }
+
+  const previous = channel.value;
+  const period = range?.period;
+
+  // Chase the nearest equivalent target so 359° -> 1° goes through north
+  if (period) {
+    let diff = wrap(target - channel.value, period);
+    if (diff > period / 2) diff -= period;
+    target = channel.value + diff;
+  }
+
+  switch (config.type) {
+    case 'none':
+      channel.value = target;
+      channel.velocity = 0;
+      break;
+
+    case 'spring': {
+      const omega = config.frequency ?? DEFAULT_SPRING_FREQUENCY;
+      const zeta = config.damping ?? 1;
+      let remaining = dt;
+      while (remaining > 0) {
+        const h = Math.min(remaining, SPRING_SUBSTEP);
+        const accel = omega * omega * (target - channel.value) - 2 * zeta * omega * channel.velocity;
+        channel.velocity += accel * h;
+        channel.value += channel.velocity * h;
+        remaining -= h;
+      }
+      break;
+    }
+
+    case 'exponential':
+    default: {
+      const tau = config.timeConstant;
+      channel.value = tau > 0 ? target + (previous - target) * Math.exp(-dt / tau) : target;
+      channel.velocity = dt > 0 ? (channel.value - previous) / dt : 0;
+      break;
+    }
+  }
+
+  if (dt > 0) {
+    let delta = channel.value - previous;
+    if (period) delta = wrap(delta + period / 2, period) - period / 2;
+    channel.trend += (delta / dt - channel.trend) * (1 - Math.exp(-dt / TREND_TIME_CONSTANT));
+  }
+
+  if (period) channel.value = wrap(channel.value, period, range.min);
+  return channel.value;
+}
+
+// Advances every channel towards `targets` and returns the smoothed values
+export function stepChannels(channels, targets, configs, dt) {
+  const h = Math.min(Math.max(dt, 0), MAX_STEP);
+  const values = {};
+  SMOOTHED_CHANNELS.forEach(name => {
+    values[name] = stepChannel(channels[name], targets[name] ?? 0, configs[name], h, WRAPPED_CHANNELS[name]);
+  });
+  return values;
+}
+
+// True when every channel has converged on its target. Settled channels are
+// snapped onto the target so the last drawn frame shows the exact value.
+export function settleChannels(channels, targets) {
+  const settled = SMOOTHED_CHANNELS.every(name => {
+    const channel = channels[name];
+    const period = WRAPPED_CHANNELS[name]?.period;
+    let error = (targets[name] ?? 0) - channel.value;
+    if (period) {
+      error = wrap(error, period);
+      if (error > period / 2) error -= period;
+    }
+    const tolerance = SETTLE_TOLERANCE[name];
+    const trend = TREND_CHANNELS.includes(name) ? channel.trend : 0;
+    return Math.abs(error) < tolerance
+      && Math.abs(channel.velocity) < tolerance
+      && Math.abs(trend) < tolerance;
+  });
+
+  if (settled) {
+    SMOOTHED_CHANNELS.forEach(name => {
+      const range = WRAPPED_CHANNELS[name];
+      const target = targets[name] ?? 0;
+      channels[name].value = range ? wrap(target, range.period, range.min) : target;
+      channels[name].velocity = 0;
+      channels[name].trend = 0;
+    });
+  }
+  return settled;
+}
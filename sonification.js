@@ -0,0 +1,116 @@
+// ============================================================================
+// SONIFICATION
+// ============================================================================
+//
+// Attitude as sound, for flying without looking at the instrument: a steady
+// tone whose pitch follows the aircraft's pitch (an octave up or down at
+// `pitchRange` degrees) and which pans left or right with the bank (fully
+// over at `bankRange` degrees). The tone is silent while both are within
+// `deadband` of the reference and gets louder as they move away from it.
+//
+// The reference is level flight, or with `reference: 'flightDirector'` the
+// flight director's command bars (`fdPitch` / `fdRoll`), so the tone goes
+// quiet when the aircraft is flown onto the command.
+//
+// `sonificationTone` is the mapping and `createSonifier` plays it through the
+// Web Audio API. Both take the props; the tone glides to each new value, so
+// it needs no smoothing of its own.
+
+export const DEFAULT_SONIFICATION = {
+  volume: 0.2,              // 0-1, at full deviation
+  frequency: 440,           // Hz, on the reference pitch
+  pitchRange: 20,           // degrees of pitch for an octave
+  bankRange: 45,            // degrees of bank for full pan
+  deadband: 2,              // degrees either way that count as on reference
+  waveform: 'sine',         // OscillatorNode type
+  reference: 'level',       // 'level' or 'flightDirector'
+};
+
+// Time constant of the glide between values, in seconds
+const GLIDE = 0.05;
+
+// Quietest the tone gets outside the deadband, as a fraction of `volume`
+const MIN_LEVEL = 0.25;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// The `sonification` prop as settings: `true` for the defaults, an object
+// to change some of them, anything else for off (null)
+export function resolveSonification(sonification) {
+  if (sonification === true) return DEFAULT_SONIFICATION;
+  if (sonification && typeof sonification === 'object') return { ...DEFAULT_SONIFICATION, ...sonification };
+  return null;
+}
+
+// Bank and pitch away from the reference, in degrees
+export function attitudeDeviation(props, reference = 'level') {
+  const pitch = Number.isFinite(props.pitch) ? props.pitch : 0;
+  const roll = Number.isFinite(props.roll) ? props.roll : 0;
+  if (reference !== 'flightDirector' || !props.flightDirector) return { pitch, roll };
+  return {
+    pitch: pitch - (Number.isFinite(props.fdPitch) ? props.fdPitch : pitch),
+    roll: roll - (Number.isFinite(props.fdRoll) ? props.fdRoll : roll),
+  };
+}
+
+// `{ frequency, pan, gain }` for the props: frequency in Hz, pan from -1
+// (left) to 1, gain from 0 to `volume`
+export function sonificationTone(props, settings = DEFAULT_SONIFICATION) {
+  const { pitch, roll } = attitudeDeviation(props, settings.reference);
+  const pitchShare = clamp(pitch / settings.pitchRange, -1, 1);
+  const rollShare = clamp(roll / settings.bankRange, -1, 1);
+
+  const onReference = Math.abs(pitch) <= settings.deadband && Math.abs(roll) <= settings.deadband;
+  const deviation = Math.max(Math.abs(pitchShare), Math.abs(rollShare));
+
+  return {
+    frequency: settings.frequency * 2 ** pitchShare,
+    pan: rollShare,
+    gain: onReference ? 0 : settings.volume * (MIN_LEVEL + (1 - MIN_LEVEL) * deviation),
+  };
+}
+
+const defaultAudioContext = () => globalThis.AudioContext ?? globalThis.webkitAudioContext;
+
+// Plays the tone for the props passed to `update`. Browsers keep audio
+// suspended until the page has been interacted with, so call `resume` from
+// an input handler. Returns null where there is no Web Audio.
+export function createSonifier(settings = DEFAULT_SONIFICATION, { AudioContext = defaultAudioContext() } = {}) {
+  if (!AudioContext) return null;
+
+  const context = new AudioContext();
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  // Older browsers have no StereoPannerNode; the tone is then centred
+  const panner = context.createStereoPanner?.() ?? null;
+
+  oscillator.type = settings.waveform;
+  gain.gain.value = 0;
+  oscillator.connect(gain);
+  if (panner) {
+    gain.connect(panner);
+    panner.connect(context.destination);
+  } else {
+    gain.connect(context.destination);
+  }
+  oscillator.start();
+
+  return {
+    update(props) {
+      const tone = sonificationTone(props, settings);
+      const now = context.currentTime;
+      oscillator.frequency.setTargetAtTime(tone.frequency, now, GLIDE);
+      gain.gain.setTargetAtTime(tone.gain, now, GLIDE);
+      panner?.pan.setTargetAtTime(tone.pan, now, GLIDE);
+    },
+
+    resume() {
+      if (context.state === 'suspended') context.resume().catch(() => {});
+    },
+
+    destroy() {
+      oscillator.stop();
+      context.close().catch(() => {});
+    },
+  };
+}
@@ -0,0 +1,368 @@
+// ============================================================================
+// SVG CONTEXT
+// ============================================================================
+//
+// A stand-in for CanvasRenderingContext2D that records what is drawn as SVG,
+// so the layers can be exported as vector images without a canvas (see
+// headlessRenderer.js). It covers the part of the 2D API the layers use:
+//
+//   paths     beginPath, moveTo, lineTo, arc, rect, closePath, fill, stroke,
+//             clip, fillRect, strokeRect, clearRect
+//   text      fillText, strokeText, measureText
+//   state     save, restore, translate, rotate, scale, transform,
+//             setTransform, resetTransform, setLineDash, and the style
+//             properties (fillStyle, strokeStyle, lineWidth, lineCap,
+//             lineJoin, font, textAlign, textBaseline, globalAlpha)
+//   images    drawImage, for sources with a `toDataURL` or `src`
+//
+// Paths are recorded in output coordinates, so the transform in effect when
+// each point is added applies to it, as on a canvas. Clips open nested groups
+// that close again on the matching restore(). fill() and clip() take the
+// canvas fill rule ('nonzero' or 'evenodd'), but not a Path2D.
+//
+// There is no font engine, so measureText assumes a monospace face (the one
+// every built-in layer uses); pass `measureText` to do better.
+
+const DEFAULT_CHAR_WIDTH = 0.6; // em, typical monospace advance
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const TEXT_ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+
+// Baselines as an offset from the alphabetic one, in em. SVG's own
+// `dominant-baseline` isn't supported widely enough to rely on.
+const BASELINE_OFFSET = {
+  top: 0.8,
+  hanging: 0.8,
+  middle: 0.3,
+  alphabetic: 0,
+  ideographic: -0.2,
+  bottom: -0.2,
+};
+
+// Short, stable numbers keep the output small and diffable
+const num = value => String(Math.round(value * 100) / 100);
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2,
+  b1 * a2 + d1 * b2,
+  a1 * c2 + c1 * d2,
+  b1 * c2 + d1 * d2,
+  a1 * e2 + c1 * f2 + e1,
+  b1 * e2 + d1 * f2 + f1,
+];
+
+const apply = ([a, b, c, d, e, f], x, y) => [a * x + c * y + e, b * x + d * y + f];
+
+const matrixAttribute = m => `matrix(${m.map(num).join(' ')})`;
+
+// The parts of a CSS `font` ('bold 12px monospace') SVG takes separately
+function parseFont(font) {
+  const match = /^\s*(.*?)\s*([\d.]+)px(?:\/\S+)?\s+(.+?)\s*$/.exec(font);
+  if (!match) return { size: 10, family: 'sans-serif', weight: 'normal', style: 'normal' };
+  const words = match[1].split(/\s+/);
+  return {
+    size: parseFloat(match[2]),
+    family: match[3],
+    weight: words.find(word => /^(bold|bolder|lighter|\d{3})$/.test(word)) ?? 'normal',
+    style: words.find(word => /^(italic|oblique)$/.test(word)) ?? 'normal',
+  };
+}
+
+function defaultMeasureText(text, font) {
+  return { width: String(text).length * parseFont(font).size * DEFAULT_CHAR_WIDTH };
+}
+
+export function createSvgContext(width, height, { measureText = defaultMeasureText } = {}) {
+  const defs = [];
+  const body = [];
+  const stack = [];
+  let nextId = 0;
+  let path = [];
+  let current = null; // last point, for arcs that continue a subpath
+  let openGroups = 0;
+
+  let state = {
+    transform: IDENTITY,
+    fillStyle: '#000',
+    strokeStyle: '#000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    lineDash: [],
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    globalAlpha: 1,
+  };
+
+  const id = prefix => `${prefix}${++nextId}`;
+
+  // How much the current transform stretches lengths, for line widths and
+  // arc radii. The layers only translate and rotate, where this is exact.
+  const scaleFactor = () => {
+    const [a, b, c, d] = state.transform;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  };
+
+  const addPoint = (command, x, y) => {
+    const [px, py] = apply(state.transform, x, y);
+    path.push(`${command}${num(px)} ${num(py)}`);
+    current = [px, py];
+  };
+
+  // A fill or stroke paint as an attribute value. Gradients are defined in
+  // the coordinates in effect when they are used, as on a canvas.
+  const paint = (style) => {
+    if (typeof style === 'string') return style;
+    if (style?.type === 'linearGradient') {
+      const gradientId = id('g');
+      const stops = style.stops
+        .map(({ offset, color }) => `<stop offset="${num(offset)}" stop-color="${escapeXml(color)}"/>`)
+        .join('');
+      defs.push(
+        `<linearGradient id="${gradientId}" gradientUnits="userSpaceOnUse" x1="${num(style.x0)}" y1="${num(style.y0)}" `
+          + `x2="${num(style.x1)}" y2="${num(style.y1)}" gradientTransform="${matrixAttribute(state.transform)}">`
+          + `${stops}</linearGradient>`,
+      );
+      return `url(#${gradientId})`;
+    }
+    return '#000';
+  };
+
+  const opacity = () => (state.globalAlpha < 1 ? ` opacity="${num(state.globalAlpha)}"` : '');
+
+  const fillAttributes = () => `fill="${escapeXml(paint(state.fillStyle))}"${opacity()}`;
+
+  const strokeAttributes = () => {
+    const dash = state.lineDash.length
+      ? ` stroke-dasharray="${state.lineDash.map(length => num(length * scaleFactor())).join(' ')}"`
+      : '';
+    return `fill="none" stroke="${escapeXml(paint(state.strokeStyle))}" stroke-width="${num(state.lineWidth * scaleFactor())}" `
+      + `stroke-linecap="${state.lineCap}" stroke-linejoin="${state.lineJoin}"${dash}${opacity()}`;
+  };
+
+  const rectPath = (x, y, w, h) => {
+    const corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]]
+      .map(([px, py]) => apply(state.transform, px, py))
+      .map(([px, py]) => `${num(px)} ${num(py)}`);
+    return `M${corners.join('L')}Z`;
+  };
+
+  const textElement = (text, x, y, attributes) => {
+    const font = parseFont(state.font);
+    const baseline = BASELINE_OFFSET[state.textBaseline] ?? 0;
+    body.push(
+      `<text x="${num(x)}" y="${num(y + baseline * font.size)}" transform="${matrixAttribute(state.transform)}" `
+        + `font-family="${escapeXml(font.family)}" font-size="${num(font.size)}" font-weight="${font.weight}" `
+        + `font-style="${font.style}" text-anchor="${TEXT_ANCHOR[state.textAlign] ?? 'start'}" ${attributes}>`
+        + `${escapeXml(text)}</text>`,
+    );
+  };
+
+  const ctx = {
+    canvas: { width, height },
+
+    // --- State ---------------------------------------------------------------
+
+    save() {
+      stack.push({ ...state, groups: openGroups });
+      openGroups = 0;
+    },
+
+    restore() {
+      if (!stack.length) return;
+      for (; openGroups > 0; openGroups -= 1) body.push('</g>');
+      const { groups, ...saved } = stack.pop();
+      state = saved;
+      openGroups = groups;
+    },
+
+    translate(x, y) {
+      state.transform = multiply(state.transform, [1, 0, 0, 1, x, y]);
+    },
+
+    rotate(angle) {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      state.transform = multiply(state.transform, [cos, sin, -sin, cos, 0, 0]);
+    },
+
+    scale(x, y) {
+      state.transform = multiply(state.transform, [x, 0, 0, y, 0, 0]);
+    },
+
+    transform(a, b, c, d, e, f) {
+      state.transform = multiply(state.transform, [a, b, c, d, e, f]);
+    },
+
+    setTransform(a, b, c, d, e, f) {
+      state.transform = [a, b, c, d, e, f];
+    },
+
+    resetTransform() {
+      state.transform = IDENTITY;
+    },
+
+    setLineDash(segments) {
+      state.lineDash = [...segments];
+    },
+
+    getLineDash() {
+      return [...state.lineDash];
+    },
+
+    // --- Paths ---------------------------------------------------------------
+
+    beginPath() {
+      path = [];
+      current = null;
+    },
+
+    moveTo(x, y) {
+      addPoint('M', x, y);
+    },
+
+    lineTo(x, y) {
+      addPoint(current ? 'L' : 'M', x, y);
+    },
+
+    closePath() {
+      if (path.length) path.push('Z');
+    },
+
+    rect(x, y, w, h) {
+      path.push(rectPath(x, y, w, h));
+      current = apply(state.transform, x, y);
+    },
+
+    // Split into pieces of at most a quarter turn so SVG's endpoint arcs are
+    // never ambiguous; a whole turn needs at least two anyway
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+      const turn = Math.PI * 2;
+      let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+      sweep = sweep >= turn ? turn : ((sweep % turn) + turn) % turn;
+      const direction = anticlockwise ? -1 : 1;
+      const point = angle => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+
+      addPoint(current ? 'L' : 'M', ...point(startAngle));
+      if (!(sweep > 0) || !(radius > 0)) return;
+
+      // The circle as the transform leaves it; a mirroring transform reverses
+      // the direction of travel
+      const [a, b, c, d] = state.transform;
+      const determinant = a * d - b * c;
+      const rx = radius * Math.hypot(a, b);
+      const ry = radius * Math.abs(determinant) / Math.hypot(a, b);
+      const rotation = Math.atan2(b, a) * 180 / Math.PI;
+      const sweepFlag = (direction > 0) === (determinant > 0) ? 1 : 0;
+      const pieces = Math.max(1, Math.ceil(sweep / (Math.PI / 2) - 1e-9));
+      for (let i = 1; i <= pieces; i++) {
+        const [px, py] = apply(state.transform, ...point(startAngle + direction * sweep * (i / pieces)));
+        path.push(`A${num(rx)} ${num(ry)} ${num(rotation)} 0 ${sweepFlag} ${num(px)} ${num(py)}`);
+        current = [px, py];
+      }
+    },
+
+    fill(rule) {
+      const fillRule = rule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+      if (path.length) body.push(`<path d="${path.join('')}" ${fillAttributes()}${fillRule}/>`);
+    },
+
+    stroke() {
+      if (path.length) body.push(`<path d="${path.join('')}" ${strokeAttributes()}/>`);
+    },
+
+    clip(rule) {
+      const clipId = id('c');
+      const clipRule = rule === 'evenodd' ? ' clip-rule="evenodd"' : '';
+      defs.push(`<clipPath id="${clipId}"><path d="${path.length ? path.join('') : 'M0 0'}"${clipRule}/></clipPath>`);
+      body.push(`<g clip-path="url(#${clipId})">`);
+      openGroups += 1;
+    },
+
+    fillRect(x, y, w, h) {
+      body.push(`<path d="${rectPath(x, y, w, h)}" ${fillAttributes()}/>`);
+    },
+
+    strokeRect(x, y, w, h) {
+      body.push(`<path d="${rectPath(x, y, w, h)}" ${strokeAttributes()}/>`);
+    },
+
+    // Only a full clear can be represented: everything drawn so far goes
+    clearRect(x, y, w, h) {
+      if (x <= 0 && y <= 0 && x + w >= width && y + h >= height) body.length = 0;
+    },
+
+    createLinearGradient(x0, y0, x1, y1) {
+      const stops = [];
+      return {
+        type: 'linearGradient',
+        x0,
+        y0,
+        x1,
+        y1,
+        stops,
+        addColorStop(offset, color) {
+          stops.push({ offset, color });
+        },
+      };
+    },
+
+    // --- Text ----------------------------------------------------------------
+
+    fillText(text, x, y) {
+      textElement(text, x, y, fillAttributes());
+    },
+
+    strokeText(text, x, y) {
+      textElement(text, x, y, strokeAttributes());
+    },
+
+    measureText(text) {
+      return measureText(text, state.font);
+    },
+
+    // --- Images --------------------------------------------------------------
+
+    drawImage(image, dx, dy, dw, dh) {
+      const href = typeof image.toDataURL === 'function' ? image.toDataURL() : image.src;
+      if (!href) return;
+      body.push(
+        `<image href="${escapeXml(href)}" x="${num(dx)}" y="${num(dy)}" width="${num(dw ?? image.width)}" `
+          + `height="${num(dh ?? image.height)}" transform="${matrixAttribute(state.transform)}"${opacity()}/>`,
+      );
+    },
+
+    // The document so far, with any groups still open closed
+    toSVG() {
+      const pending = stack.reduce((count, saved) => count + saved.groups, openGroups);
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + (defs.length ? `<defs>${defs.join('')}</defs>` : '')
+        + body.join('')
+        + '</g>'.repeat(pending)
+        + '</svg>';
+    },
+  };
+
+  // Style properties read and write the current state, so save() and
+  // restore() cover them
+  ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'font', 'textAlign', 'textBaseline', 'globalAlpha']
+    .forEach((name) => {
+      Object.defineProperty(ctx, name, {
+        get: () => state[name],
+        set: (value) => {
+          state[name] = value;
+        },
+        enumerable: true,
+      });
+    });
+
+  return ctx;
+}
@@ -0,0 +1,320 @@
+// ============================================================================
+// SPEED AND ALTITUDE TAPES
+// ============================================================================
+//
+// PFD-style scrolling tapes, drawn instead of the IAS/ALT readouts when the
+// component is given `layout="tapes"`. Their scale follows the display
+// units. Both tapes have a rolling-digit drum in the pointer box and a
+// magenta trend vector showing where the value will be in TREND_SECONDS at
+// the current rate of change.
+//
+// Airspeed colour bands come from `speedBands` ([{ from, to, color }]) or are
+// derived from `vSpeeds` ({ vso, vs1, vfe, vno, vne }) the usual way:
+// white arc vso-vfe, green vs1-vno, yellow vno-vne, red above vne.
+
+import { alertColor, drawFailureX, isFlashedOff } from './alertLayers';
+import { alertForField } from './alerts';
+
+export const TAPE_LAYOUT = 'tapes';
+
+const TREND_SECONDS = 6;
+
+const TAPE = {
+  halfHeight: 0.28,   // tape extends this far above and below the centre
+  airspeedX: -0.82,   // left edge of the airspeed tape
+  airspeedWidth: 0.2,
+  altitudeX: 0.5,     // left edge of the altitude tape, clear of the VSI
+  altitudeWidth: 0.28,
+};
+
+export function speedBandsFromVSpeeds({ vso, vs1, vfe, vno, vne } = {}) {
+  const bands = [];
+  if (vso !== undefined && vfe !== undefined) bands.push({ from: vso, to: vfe, color: 'textWhite', inset: 1 });
+  if (vs1 !== undefined && vno !== undefined) bands.push({ from: vs1, to: vno, color: 'textGreen' });
+  if (vno !== undefined && vne !== undefined) bands.push({ from: vno, to: vne, color: 'textYellow' });
+  if (vne !== undefined) bands.push({ from: vne, to: Infinity, color: 'warning' });
+  return bands;
+}
+
+function mod(value, n) {
+  return ((value % n) + n) % n;
+}
+
+// Draws a rolling drum of digits, one box height apart. `value` is in drum
+// steps: 7.3 shows 7 with 8 rolling in from above. The caller clips to the
+// pointer box.
+function drawDrum(ctx, { value, step, format, x, y, height, font, color }) {
+  const base = Math.floor(value);
+  const frac = value - base;
+
+  ctx.font = font;
+  ctx.fillStyle = color;
+  ctx.textBaseline = 'middle';
+  for (let k = -1; k <= 2; k++) {
+    ctx.fillText(format(mod(base + k, step)), x, y - (k - frac) * height * 2);
+  }
+}
+
+function clipToBox(ctx, x, y, width, height) {
+  ctx.beginPath();
+  ctx.rect(x, y - height, width, height * 2);
+  ctx.clip();
+}
+
+function drawPointerBox(ctx, { x, y, width, height, pointsLeft, theme }) {
+  const arrow = height * 0.35;
+  ctx.beginPath();
+  if (pointsLeft) {
+    ctx.moveTo(x - arrow, y);
+    ctx.lineTo(x, y - arrow);
+    ctx.lineTo(x, y - height);
+    ctx.lineTo(x + width, y - height);
+    ctx.lineTo(x + width, y + height);
+    ctx.lineTo(x, y + height);
+    ctx.lineTo(x, y + arrow);
+  } else {
+    ctx.moveTo(x + width + arrow, y);
+    ctx.lineTo(x + width, y - arrow);
+    ctx.lineTo(x + width, y - height);
+    ctx.lineTo(x, y - height);
+    ctx.lineTo(x, y + height);
+    ctx.lineTo(x + width, y + height);
+    ctx.lineTo(x + width, y + arrow);
+  }
+  ctx.closePath();
+  ctx.fillStyle = theme.panel;
+  ctx.fill();
+  ctx.strokeStyle = theme.textWhite;
+  ctx.lineWidth = height * 0.055; // in proportion to the box
+  ctx.stroke();
+}
+
+function drawTapeBackground(ctx, left, top, width, height, theme) {
+  ctx.fillStyle = theme.tape;
+  ctx.fillRect(left, top, width, height);
+  ctx.beginPath();
+  ctx.rect(left, top, width, height);
+  ctx.clip();
+}
+
+// Blank tape with a red X, for when its input has failed
+function drawFailedTape(ctx, left, cy, width, halfHeight, theme, radius) {
+  ctx.fillStyle = theme.tape;
+  ctx.fillRect(left, cy - halfHeight, width, halfHeight * 2);
+  drawFailureX(ctx, left, cy - halfHeight, width, halfHeight * 2, theme, radius);
+}
+
+// Sized in proportion to the tape; too short to see is not drawn
+function drawTrendVector(ctx, x, y, trend, pixelsPerUnit, halfHeight, theme) {
+  const length = Math.max(-halfHeight, Math.min(halfHeight, trend * TREND_SECONDS * pixelsPerUnit));
+  if (Math.abs(length) < halfHeight * 0.02) return;
+  ctx.strokeStyle = theme.textMagenta;
+  ctx.lineWidth = halfHeight * 0.027;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x, y - length);
+  ctx.stroke();
+}
+
+export const airspeedTape = {
+  id: 'airspeedTape',
+  draw(ctx, { cx, cy, radius, sideOffset, state, trends, props, alerts, invalid, time, theme, units }) {
+    if (props.layout !== TAPE_LAYOUT) return;
+    if (invalid.airspeed) {
+      drawFailedTape(ctx, cx + radius * TAPE.airspeedX - sideOffset, cy, radius * TAPE.airspeedWidth, radius * TAPE.halfHeight, theme, radius);
+      return;
+    }
+
+    const scale = units.speed.tape;
+    const speed = Math.max(0, state.airspeed);
+    const left = cx + radius * TAPE.airspeedX - sideOffset;
+    const width = radius * TAPE.airspeedWidth;
+    const halfHeight = radius * TAPE.halfHeight;
+    const pixelsPerUnit = halfHeight / scale.range;
+    const yFor = value => cy - (value - speed) * pixelsPerUnit;
+
+    ctx.save();
+    drawTapeBackground(ctx, left, cy - halfHeight, width, halfHeight * 2, theme);
+
+    // Colour bands along the inner edge
+    const bands = props.speedBands ?? speedBandsFromVSpeeds(props.vSpeeds);
+    bands.forEach(({ from, to, color, inset = 0 }) => {
+      const top = yFor(Math.min(to, speed + scale.range + 1));
+      const bottom = yFor(Math.max(from, speed - scale.range - 1));
+      if (bottom <= top) return;
+      const barWidth = radius * 0.025;
+      ctx.fillStyle = theme[color] ?? color;
+      ctx.fillRect(left + width - barWidth * (inset + 1), top, barWidth, bottom - top);
+    });
+
+    // Scale
+    ctx.strokeStyle = theme.textWhite;
+    ctx.fillStyle = theme.textWhite;
+    ctx.lineWidth = radius * 0.004;
+    ctx.font = `${radius * 0.055}px monospace`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const first = Math.max(0, Math.ceil((speed - scale.range) / scale.minor));
+    for (let i = first; i * scale.minor <= speed + scale.range; i++) {
+      const value = i * scale.minor;
+      const y = yFor(value);
+      const major = value % scale.major === 0;
+      ctx.beginPath();
+      ctx.moveTo(left + width, y);
+      ctx.lineTo(left + width - radius * (major ? 0.05 : 0.03), y);
+      ctx.stroke();
+      if (major) ctx.fillText(value.toString(), left + width - radius * 0.07, y);
+    }
+    ctx.restore();
+
+    // Trend vector
+    drawTrendVector(ctx, left + width - radius * 0.01, cy, trends.airspeed, pixelsPerUnit, halfHeight, theme);
+
+    // Pointer box with rolling units digit
+    const boxHeight = radius * 0.07;
+    const boxLeft = left + radius * 0.01;
+    const boxWidth = width - radius * 0.02;
+    drawPointerBox(ctx, { x: boxLeft, y: cy, width: boxWidth, height: boxHeight, pointsLeft: false, theme });
+
+    const font = `bold ${radius * 0.08}px monospace`;
+    ctx.font = font;
+    const drumX = boxLeft + boxWidth - ctx.measureText('0').width - radius * 0.01;
+    const ones = mod(speed, 10);
+    const tens = Math.floor(speed / 10) + Math.max(0, ones - 9);
+    const alert = alertForField(alerts, 'airspeed');
+    if (isFlashedOff(alert, time)) return;
+    const color = alert ? alertColor(alert, theme) : theme.textWhite;
+
+    ctx.save();
+    clipToBox(ctx, boxLeft, cy, boxWidth, boxHeight);
+    ctx.textAlign = 'right';
+    drawDrum(ctx, {
+      value: tens,
+      step: 1e3,
+      format: v => (v > 0 ? v.toString() : ''),
+      x: drumX,
+      y: cy,
+      height: boxHeight,
+      font,
+      color,
+    });
+    ctx.textAlign = 'left';
+    drawDrum(ctx, {
+      value: ones,
+      step: 10,
+      format: v => v.toString(),
+      x: drumX,
+      y: cy,
+      height: boxHeight,
+      font,
+      color,
+    });
+    ctx.restore();
+  },
+};
+
+export const altitudeTape = {
+  id: 'altitudeTape',
+  draw(ctx, { cx, cy, radius, sideOffset, state, trends, props, alerts, invalid, time, theme, units }) {
+    if (props.layout !== TAPE_LAYOUT) return;
+    if (invalid.altitude) {
+      drawFailedTape(ctx, cx + radius * TAPE.altitudeX + sideOffset, cy, radius * TAPE.altitudeWidth, radius * TAPE.halfHeight, theme, radius);
+      return;
+    }
+
+    const scale = units.altitude.tape;
+    const altitude = state.altitude;
+    const left = cx + radius * TAPE.altitudeX + sideOffset;
+    const width = radius * TAPE.altitudeWidth;
+    const halfHeight = radius * TAPE.halfHeight;
+    const pixelsPerUnit = halfHeight / scale.range;
+    const yFor = value => cy - (value - altitude) * pixelsPerUnit;
+
+    ctx.save();
+    drawTapeBackground(ctx, left, cy - halfHeight, width, halfHeight * 2, theme);
+
+    // Scale
+    ctx.strokeStyle = theme.textWhite;
+    ctx.fillStyle = theme.textWhite;
+    ctx.lineWidth = radius * 0.004;
+    ctx.font = `${radius * 0.05}px monospace`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const first = Math.ceil((altitude - scale.range) / scale.minor);
+    for (let i = first; i * scale.minor <= altitude + scale.range; i++) {
+      const value = i * scale.minor;
+      const y = yFor(value);
+      const major = value % scale.major === 0;
+      ctx.beginPath();
+      ctx.moveTo(left, y);
+      ctx.lineTo(left + radius * (major ? 0.05 : 0.025), y);
+      ctx.stroke();
+      if (major) ctx.fillText(value.toString(), left + radius * 0.065, y);
+    }
+
+    // Selected altitude bug, parked at the tape end when off scale
+    if (Number.isFinite(props.selectedAltitude)) {
+      const y = Math.max(cy - halfHeight, Math.min(cy + halfHeight, yFor(props.selectedAltitude)));
+      const bug = radius * 0.035;
+      ctx.fillStyle = theme.textCyan;
+      ctx.beginPath();
+      ctx.moveTo(left, y - bug);
+      ctx.lineTo(left + bug, y - bug);
+      ctx.lineTo(left + bug, y - bug * 0.4);
+      ctx.lineTo(left + bug * 0.5, y);
+      ctx.lineTo(left + bug, y + bug * 0.4);
+      ctx.lineTo(left + bug, y + bug);
+      ctx.lineTo(left, y + bug);
+      ctx.closePath();
+      ctx.fill();
+    }
+    ctx.restore();
+
+    // Trend vector
+    drawTrendVector(ctx, left + radius * 0.01, cy, trends.altitude, pixelsPerUnit, halfHeight, theme);
+
+    // Pointer box with the last two digits on a drum (20 ft or 10 m steps)
+    const boxHeight = radius * 0.07;
+    const boxLeft = left + radius * 0.015;
+    const boxWidth = width - radius * 0.015;
+    drawPointerBox(ctx, { x: boxLeft, y: cy, width: boxWidth, height: boxHeight, pointsLeft: true, theme });
+
+    const hundredsFont = `bold ${radius * 0.065}px monospace`;
+    const drumFont = `bold ${radius * 0.05}px monospace`;
+    ctx.font = drumFont;
+    const drumX = boxLeft + boxWidth - ctx.measureText('00').width - radius * 0.01;
+    const magnitude = Math.abs(altitude);
+    const sign = altitude < 0 ? '-' : '';
+    const tail = mod(magnitude, 100);
+    const hundreds = Math.floor(magnitude / 100) + Math.max(0, (tail - (100 - scale.drum)) / scale.drum);
+    const alert = alertForField(alerts, 'altitude');
+    if (isFlashedOff(alert, time)) return;
+    const color = alert ? alertColor(alert, theme) : theme.textWhite;
+
+    ctx.save();
+    clipToBox(ctx, boxLeft, cy, boxWidth, boxHeight);
+    ctx.textAlign = 'right';
+    drawDrum(ctx, {
+      value: hundreds,
+      step: 1e4,
+      format: v => (v === 0 ? sign : sign + v.toString()),
+      x: drumX,
+      y: cy,
+      height: boxHeight,
+      font: hundredsFont,
+      color,
+    });
+    ctx.textAlign = 'left';
+    drawDrum(ctx, {
+      value: tail / scale.drum,
+      step: 100 / scale.drum,
+      format: v => (v * scale.drum).toString().padStart(2, '0'),
+      x: drumX,
+      y: cy,
+      height: boxHeight,
+      font: drumFont,
+      color,
+    });
+    ctx.restore();
+  },
+};
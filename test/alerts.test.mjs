@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  alertForField,
+  createAlertMonitor,
+  createDataClock,
+  evaluateAlerts,
+  findInvalidInputs,
+  resolveAlerts,
+} from '../alerts.js';
+import { describeAttitude } from '../announcements.js';
+import { renderAttitudeToSVG } from '../headlessRenderer.js';
+import { resolveUnits } from '../units.js';
+
+const UNITS = resolveUnits('imperial');
+
+const ids = (props, invalid = findInvalidInputs(props)) => evaluateAlerts(props, UNITS, invalid).map(alert => alert.id);
+
+describe('findInvalidInputs', () => {
+  it('flags given inputs that are not finite numbers', () => {
+    assert.deepEqual(findInvalidInputs({ pitch: NaN, roll: 0, heading: null, airspeed: Infinity, altitude: '100' }), {
+      pitch: true, heading: true, airspeed: true, altitude: true,
+    });
+    assert.deepEqual(findInvalidInputs({}), {});
+  });
+
+  it('flags every input once the data is older than staleAfter', () => {
+    assert.deepEqual(findInvalidInputs({ pitch: 0, staleAfter: 2 }, 2), {});
+    const stale = findInvalidInputs({ pitch: 0, staleAfter: 2 }, 2.1);
+    ['pitch', 'roll', 'heading', 'airspeed', 'distance', 'baroSetting'].forEach(name => assert.ok(stale[name], name));
+    assert.deepEqual(findInvalidInputs({ pitch: 0 }, 100), {}, 'no staleAfter, never stale');
+  });
+});
+
+describe('evaluateAlerts', () => {
+  it('raises the default limit alerts', () => {
+    assert.deepEqual(ids({ roll: -50 }), ['bankAngle']);
+    assert.deepEqual(ids({ roll: 45 }), []);
+    assert.deepEqual(ids({ verticalSpeed: -2500 }), ['sinkRate']);
+    assert.deepEqual(ids({ airspeed: 45 }), [], 'off without vSpeeds');
+    assert.deepEqual(ids({ airspeed: 45, vSpeeds: { vso: 40, vs1: 48 } }), ['lowAirspeed']);
+    assert.deepEqual(ids({ altitude: 5300, selectedAltitude: 5000 }), ['altitudeDeviation']);
+  });
+
+  it('works in display units', () => {
+    const metric = resolveUnits('metric');
+    const sinking = props => evaluateAlerts(props, metric).map(alert => alert.id);
+    assert.deepEqual(sinking({ verticalSpeed: -9 }), []);
+    assert.deepEqual(sinking({ verticalSpeed: -11 }), ['sinkRate']);
+  });
+
+  it('sorts the most severe first, failures ahead of limits', () => {
+    const props = { pitch: NaN, roll: 60, verticalSpeed: -3000 };
+    const alerts = evaluateAlerts(props, UNITS, findInvalidInputs(props));
+    assert.deepEqual(alerts.map(alert => alert.id), ['attitudeFail', 'sinkRate', 'bankAngle']);
+    assert.equal(alerts[0].flash, false, 'failures are steady');
+    assert.equal(alerts[1].flash, true, 'warnings flash');
+  });
+
+  it('leaves out limit alerts on a failed input', () => {
+    const props = { roll: 60, staleAfter: 1 };
+    assert.deepEqual(evaluateAlerts(props, UNITS, findInvalidInputs(props, 5)).map(alert => alert.id), [
+      'attitudeFail', 'headingFail', 'airspeedFail', 'altitudeFail', 'verticalSpeedFail',
+    ]);
+  });
+
+  it('merges the alerts prop over the defaults', () => {
+    const alerts = {
+      bankAngle: { above: 30 },
+      sinkRate: null,
+      fuel: { level: 'caution', message: 'FUEL', value: ({ props }) => props.fuel, below: 10, flash: true },
+    };
+    assert.deepEqual(ids({ roll: 35, verticalSpeed: -3000, fuel: 5, alerts }), ['bankAngle', 'fuel']);
+    const fuel = evaluateAlerts({ fuel: 5, alerts }, UNITS).find(alert => alert.id === 'fuel');
+    assert.deepEqual(fuel, { id: 'fuel', level: 'caution', message: 'FUEL', field: undefined, flash: true });
+    assert.equal(resolveAlerts({ bankAngle: { above: 30 } }).bankAngle.value, 'roll');
+  });
+
+  it('finds the alert on a readout', () => {
+    const alerts = evaluateAlerts({ roll: 60 }, UNITS);
+    assert.equal(alertForField(alerts, 'roll').id, 'bankAngle');
+    assert.equal(alertForField(alerts, 'pitch'), undefined);
+  });
+});
+
+describe('createAlertMonitor', () => {
+  it('reports each alert once when raised and once when cleared', () => {
+    const changes = [];
+    const monitor = createAlertMonitor(change => changes.push(`${change.id}:${change.active}`));
+    monitor.update({ roll: 50 }, UNITS, 0);
+    monitor.update({ roll: 55 }, UNITS, 0);
+    monitor.update({ roll: 55, verticalSpeed: -3000 }, UNITS, 0);
+    monitor.update({ roll: 10, verticalSpeed: -3000 }, UNITS, 0);
+    monitor.update({ roll: 10 }, UNITS, 0);
+    monitor.update({ roll: 10 }, UNITS, 0);
+    assert.deepEqual(changes, ['bankAngle:true', 'sinkRate:true', 'bankAngle:false', 'sinkRate:false']);
+  });
+
+  it('reports the alert as it was raised when it clears', () => {
+    const changes = [];
+    const monitor = createAlertMonitor(change => changes.push(change));
+    monitor.update({ verticalSpeed: -3000 }, UNITS, 0);
+    monitor.update({}, UNITS, 0);
+    assert.deepEqual(changes[1], { id: 'sinkRate', level: 'warning', message: 'SINK RATE', field: 'verticalSpeed', flash: true, active: false });
+  });
+
+  it('goes from a limit alert to a failure as the data goes stale, and back', () => {
+    const changes = [];
+    const monitor = createAlertMonitor(change => changes.push(`${change.id}:${change.active}`));
+    const props = { roll: 50, staleAfter: 1 };
+    monitor.update(props, UNITS, 0.5);
+    const { invalid } = monitor.update(props, UNITS, 1.5);
+    assert.ok(invalid.roll);
+    monitor.update(props, UNITS, 0);
+    assert.deepEqual(changes.filter(change => /bankAngle|attitudeFail/.test(change)), [
+      'bankAngle:true', 'attitudeFail:true', 'bankAngle:false', 'bankAngle:true', 'attitudeFail:false',
+    ]);
+  });
+
+  it('returns the active alerts and invalid inputs', () => {
+    const monitor = createAlertMonitor();
+    const { alerts, invalid } = monitor.update({ pitch: NaN }, UNITS, 0);
+    assert.deepEqual(alerts.map(alert => alert.id), ['attitudeFail']);
+    assert.deepEqual(invalid, { pitch: true });
+  });
+});
+
+describe('createDataClock', () => {
+  it('moves on only when a data input changes', () => {
+    const clock = createDataClock();
+    const props = { pitch: 1, roll: 2 };
+    assert.equal(clock.update(props, 100), 100);
+    assert.equal(clock.update(props, 200), 100);
+    assert.equal(clock.update({ ...props, knobState: { active: true } }, 300), 100);
+    assert.equal(clock.update({ ...props, theme: 'night' }, 400), 100);
+    assert.equal(clock.update({ ...props, pitch: 1.5 }, 500), 500);
+    assert.equal(clock.update({ ...props, pitch: 1.5, courseDeviation: 0.2 }, 600), 600);
+    assert.equal(clock.update({ pitch: NaN }, 700), 700);
+    assert.equal(clock.update({ pitch: NaN }, 800), 700, 'NaN is the same data as NaN');
+  });
+});
+
+describe('announcements of stale data', () => {
+  it('read stale data as failed, as the instrument shows it', () => {
+    const props = { pitch: 5, roll: 0, heading: 90, altitude: 1000, staleAfter: 2 };
+    assert.equal(describeAttitude(props, UNITS, undefined, 1), 'Wings level, pitch 5° up, heading 090, altitude 1,000 ft');
+    assert.equal(describeAttitude(props, UNITS, undefined, 3), 'Bank failed, pitch failed, heading failed, altitude failed');
+  });
+});
+
+describe('angle of attack', () => {
+  it('raises the stall warning above aoaStallWarning', () => {
+    assert.deepEqual(ids({ angleOfAttack: 0.85 }), []);
+    assert.deepEqual(ids({ angleOfAttack: 0.95 }), ['stall']);
+    assert.deepEqual(ids({ angleOfAttack: 0.85, aoaStallWarning: 0.8 }), ['stall']);
+    const [stall] = evaluateAlerts({ angleOfAttack: 0.95 }, UNITS);
+    assert.equal(stall.message, 'STALL');
+    assert.equal(stall.field, 'angleOfAttack');
+    assert.equal(stall.flash, true);
+  });
+
+  it('normalizes degrees with aoaRange', () => {
+    const aoaRange = { zeroLift: -2, critical: 16 };
+    assert.deepEqual(ids({ angleOfAttack: 12, aoaRange }), []);
+    assert.deepEqual(ids({ angleOfAttack: 15, aoaRange }), ['stall']);
+  });
+
+  it('can be turned off', () => {
+    assert.deepEqual(ids({ angleOfAttack: 0.95, alerts: { stall: null } }), []);
+  });
+
+  it('fails a non-finite AoA, and then raises no stall warning from it', () => {
+    assert.deepEqual(findInvalidInputs({ angleOfAttack: NaN }), { angleOfAttack: true });
+    assert.deepEqual(findInvalidInputs({ angleOfAttack: null }), { angleOfAttack: true });
+    assert.deepEqual(ids({ angleOfAttack: NaN }), ['angleOfAttackFail']);
+  });
+
+  it('is only monitored when given', () => {
+    const stale = findInvalidInputs({ pitch: 0, staleAfter: 1 }, 2);
+    assert.ok(stale.pitch);
+    assert.ok(!stale.angleOfAttack);
+    assert.ok(findInvalidInputs({ angleOfAttack: 0.5, staleAfter: 1 }, 2).angleOfAttack);
+  });
+
+  it('is crossed out when failed, with dashes for the readout', () => {
+    const good = renderAttitudeToSVG({ angleOfAttack: 0.5 }, { aoaReadout: true });
+    const failed = renderAttitudeToSVG({ angleOfAttack: NaN }, { aoaReadout: true });
+    assert.match(good, />0\.50</);
+    assert.doesNotMatch(failed, />0\.50</);
+    const dashes = svg => svg.split('>----<').length;
+    assert.equal(dashes(failed), dashes(good) + 1);
+    assert.match(failed, />AOA FAIL</);
+  });
+});
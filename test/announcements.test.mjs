@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  DESCRIPTION_FIELDS,
+  describe as describeWhat,
+  describeAlert,
+  describeAlerts,
+  describeAttitude,
+  describeField,
+} from '../announcements.js';
+import { resolveUnits } from '../units.js';
+
+const IMPERIAL = resolveUnits('imperial');
+const METRIC = resolveUnits('metric');
+
+const PROPS = { pitch: -3.6, roll: -20.4, heading: 5, altitude: 12345, airspeed: 110, verticalSpeed: 700 };
+
+describe('describeAttitude', () => {
+  it('reads the summary as one sentence', () => {
+    assert.equal(describeAttitude(PROPS, IMPERIAL), 'Bank 20° left, pitch 4° down, heading 005, altitude 12,345 ft');
+    assert.equal(describeAttitude({ pitch: 0.4, roll: -0.4, heading: 359.6, altitude: 0 }, IMPERIAL),
+      'Wings level, pitch level, heading 360, altitude 0 ft');
+  });
+
+  it('reads the full description in the display units', () => {
+    assert.equal(describeAttitude(PROPS, IMPERIAL, DESCRIPTION_FIELDS),
+      'Bank 20° left, pitch 4° down, heading 005, altitude 12,345 ft, airspeed 110 kts, climbing 700 fpm');
+    const metric = { ...PROPS, altitude: 3000, airspeed: 200, verticalSpeed: -2.46 };
+    assert.equal(describeAttitude(metric, METRIC, DESCRIPTION_FIELDS),
+      'Bank 20° left, pitch 4° down, heading 005, altitude 3,000 m, airspeed 200 km/h, descending 2.5 m/s');
+  });
+
+  it('says a tenth of vertical speed in m/s but not in fpm', () => {
+    assert.equal(describeField('verticalSpeed', { verticalSpeed: 0.36 }, METRIC), 'climbing 0.4 m/s');
+    assert.equal(describeField('verticalSpeed', { verticalSpeed: 0.04 }, METRIC), 'no vertical speed');
+    assert.equal(describeField('verticalSpeed', { verticalSpeed: 0.4 }, IMPERIAL), 'no vertical speed');
+    assert.equal(describeField('verticalSpeed', { verticalSpeed: -1250.4 }, IMPERIAL), 'descending 1,250 fpm');
+  });
+
+  it('reads failed inputs as failed', () => {
+    const props = { ...PROPS, pitch: NaN, roll: NaN, heading: null, airspeed: Infinity };
+    assert.equal(describeAttitude(props, IMPERIAL, DESCRIPTION_FIELDS),
+      'Bank failed, pitch failed, heading failed, altitude 12,345 ft, airspeed failed, climbing 700 fpm');
+    assert.equal(describeField('verticalSpeed', { verticalSpeed: 'fast' }, IMPERIAL), 'vertical speed failed');
+  });
+
+  it('reads stale data as failed', () => {
+    const props = { ...PROPS, staleAfter: 2 };
+    assert.equal(describeAttitude(props, IMPERIAL, ['altitude'], 2), 'Altitude 12,345 ft');
+    assert.equal(describeAttitude(props, IMPERIAL, ['altitude'], 2.5), 'Altitude failed');
+  });
+});
+
+describe('describeAlert', () => {
+  it('reads the level and the spoken name', () => {
+    assert.equal(describeAlert({ id: 'sinkRate', level: 'warning', message: 'SINK RATE' }), 'Warning: sink rate');
+    assert.equal(describeAlert({ id: 'attitudeFail', level: 'warning', message: 'ATT FAIL' }), 'Warning: attitude failed');
+    assert.equal(describeAlert({ id: 'angleOfAttackFail', level: 'warning', message: 'AOA FAIL' }),
+      'Warning: angle of attack failed');
+  });
+
+  it('reads an alert it has no name for as its message', () => {
+    assert.equal(describeAlert({ id: 'fuel', level: 'caution', message: 'LOW FUEL' }), 'Caution: low fuel');
+  });
+
+  it('says when an alert clears', () => {
+    assert.equal(describeAlert({ id: 'bankAngle', level: 'warning', message: 'BANK ANGLE', active: false }),
+      'Warning: bank angle cleared');
+    assert.equal(describeAlert({ id: 'bankAngle', level: 'warning', message: 'BANK ANGLE', active: true }),
+      'Warning: bank angle');
+  });
+
+  it('reads all alerts, or that there are none', () => {
+    assert.equal(describeAlerts([]), 'No alerts');
+    assert.equal(describeAlerts([
+      { id: 'attitudeFail', level: 'warning', message: 'ATT FAIL' },
+      { id: 'altitudeDeviation', level: 'caution', message: 'ALTITUDE' },
+    ]), 'Warning: attitude failed. Caution: altitude deviation');
+  });
+});
+
+describe('describe', () => {
+  it('reads what each key asks for', () => {
+    assert.equal(describeWhat('heading', PROPS, IMPERIAL), 'Heading 005');
+    assert.equal(describeWhat('airspeed', PROPS, IMPERIAL), 'Airspeed 110 kts');
+    assert.equal(describeWhat('description', PROPS, IMPERIAL), describeAttitude(PROPS, IMPERIAL, DESCRIPTION_FIELDS));
+    assert.equal(describeWhat('alerts', PROPS, IMPERIAL), 'No alerts');
+    assert.equal(describeWhat('pitch', { pitch: 5, staleAfter: 1 }, IMPERIAL, [], 3), 'Pitch failed');
+  });
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  attitudeFromOrientation,
+  eulerToQuaternion,
+  normalizeQuaternion,
+  quaternionToEuler,
+  quaternionToRotationMatrix,
+  rotateVector,
+  rotationMatrixToEuler,
+  toQuaternion,
+  toRotationMatrix,
+} from '../attitudeMath.js';
+
+const ATTITUDES = [
+  { pitch: 0, roll: 0, heading: 0 },
+  { pitch: 12, roll: -35, heading: 87 },
+  { pitch: -60, roll: 170, heading: 301 },
+  { pitch: 85, roll: 20, heading: 10 },
+  { pitch: -5, roll: -179, heading: 359 },
+];
+
+// Angles as the props take them compare equal across the ±180 / 0-360 seams
+const angleDifference = (a, b) => ((a - b + 540) % 360) - 180;
+
+function assertAttitude(actual, expected, tolerance = 1e-9) {
+  ['pitch', 'roll', 'heading'].forEach(name => {
+    const error = Math.abs(angleDifference(actual[name], expected[name]));
+    assert.ok(error < tolerance, `${name} ${actual[name]} != ${expected[name]}`);
+  });
+}
+
+const multiplyMatrixVector = (m, v) => m.map(row => row.reduce((sum, value, i) => sum + value * v[i], 0));
+
+describe('Euler angles and quaternions', () => {
+  it('round-trip', () => {
+    ATTITUDES.forEach(attitude => assertAttitude(quaternionToEuler(eulerToQuaternion(attitude)), attitude));
+  });
+
+  it('give unit quaternions', () => {
+    ATTITUDES.forEach(attitude => {
+      assert.ok(Math.abs(Math.hypot(...eulerToQuaternion(attitude)) - 1) < 1e-12);
+    });
+  });
+
+  it('read q and -q as the same attitude', () => {
+    const q = eulerToQuaternion(ATTITUDES[1]);
+    assertAttitude(quaternionToEuler(q.map(value => -value)), ATTITUDES[1]);
+  });
+
+  it('rotate the nose along the heading and pitch', () => {
+    const [north, east, down] = rotateVector(eulerToQuaternion({ pitch: 30, heading: 90 }), [1, 0, 0]);
+    assert.ok(Math.abs(north) < 1e-12);
+    assert.ok(Math.abs(east - Math.cos(Math.PI / 6)) < 1e-12);
+    assert.ok(Math.abs(down + 0.5) < 1e-12);
+  });
+});
+
+describe('rotation matrices', () => {
+  it('round-trip through quaternions', () => {
+    ATTITUDES.forEach(attitude => {
+      const matrix = quaternionToRotationMatrix(eulerToQuaternion(attitude));
+      assertAttitude(rotationMatrixToEuler(matrix), attitude);
+    });
+  });
+
+  it('rotate vectors the same way as the quaternion', () => {
+    const q = eulerToQuaternion(ATTITUDES[2]);
+    const matrix = quaternionToRotationMatrix(q);
+    [[1, 0, 0], [0, 1, 0], [0.3, -0.4, 0.866]].forEach(vector => {
+      const byMatrix = multiplyMatrixVector(matrix, vector);
+      rotateVector(q, vector).forEach((value, i) => assert.ok(Math.abs(value - byMatrix[i]) < 1e-12));
+    });
+  });
+
+  it('are orthonormal', () => {
+    const m = quaternionToRotationMatrix(eulerToQuaternion(ATTITUDES[1]));
+    m.forEach((row, i) => m.forEach((other, j) => {
+      const dot = row.reduce((sum, value, k) => sum + value * other[k], 0);
+      assert.ok(Math.abs(dot - (i === j ? 1 : 0)) < 1e-12);
+    }));
+  });
+});
+
+describe('accepted forms', () => {
+  it('takes quaternions as arrays or objects', () => {
+    assert.deepEqual(toQuaternion({ w: 1, x: 0, y: 0, z: 0 }), [1, 0, 0, 0]);
+    assert.deepEqual(toQuaternion([1, 0, 0, 0]), [1, 0, 0, 0]);
+    assert.equal(toQuaternion([1, 0, 0]), null);
+    assert.equal(toQuaternion({ w: 1, x: 0, y: NaN, z: 0 }), null);
+    assert.equal(normalizeQuaternion([0, 0, 0, 0]), null);
+  });
+
+  it('takes matrices as rows or 9 numbers', () => {
+    const rows = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    assert.deepEqual(toRotationMatrix(rows), rows);
+    assert.deepEqual(toRotationMatrix(rows.flat()), rows);
+    assert.equal(toRotationMatrix([1, 0, 0]), null);
+  });
+
+  it('reads the orientation props, failing ones that cannot be read', () => {
+    const q = eulerToQuaternion(ATTITUDES[1]);
+    assertAttitude(attitudeFromOrientation({ quaternion: q.map(value => value * 3) }), ATTITUDES[1]);
+    assertAttitude(attitudeFromOrientation({ rotationMatrix: quaternionToRotationMatrix(q).flat() }), ATTITUDES[1]);
+    assert.ok(Number.isNaN(attitudeFromOrientation({ quaternion: [0, 0, 0, 0] }).pitch));
+    assert.ok(Number.isNaN(attitudeFromOrientation({ rotationMatrix: [1, 2] }).roll));
+    assert.equal(attitudeFromOrientation({}), null);
+  });
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  headingToU,
+  sphereOverlay,
+  sphereQuaternion,
+  sphereRadius,
+  sphereTextureSize,
+  sphereWindow,
+} from '../attitudeSphere.js';
+import { GEOMETRY } from '../geometry.js';
+import { createLayerFrame, getDefaultLayers } from '../instrumentLayers.js';
+import { createSvgContext } from '../svgContext.js';
+
+const DEG = Math.PI / 180;
+
+// Rotates `v` by the three.js quaternion `[x, y, z, w]`
+function rotate([qx, qy, qz, qw], [vx, vy, vz]) {
+  const tx = 2 * (qy * vz - qz * vy);
+  const ty = 2 * (qz * vx - qx * vz);
+  const tz = 2 * (qx * vy - qy * vx);
+  return [
+    vx + qw * tx + (qy * tz - qz * ty),
+    vy + qw * ty + (qz * tx - qx * tz),
+    vz + qw * tz + (qx * ty - qy * tx),
+  ];
+}
+
+function assertVector(actual, expected) {
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} != ${expected}`));
+}
+
+// A point on the ball at `elevation` above the horizon, towards `heading`,
+// in ball coordinates (east, up, north)
+const ballPoint = (heading, elevation) => [
+  Math.cos(elevation * DEG) * Math.sin(heading * DEG),
+  Math.sin(elevation * DEG),
+  Math.cos(elevation * DEG) * Math.cos(heading * DEG),
+];
+
+const TOWARDS_VIEWER = [0, 0, 1];
+
+describe('sphereQuaternion', () => {
+  it('is the identity level and heading north', () => {
+    assertVector(sphereQuaternion({}), [0, 0, 0, 1]);
+  });
+
+  it('is a unit quaternion', () => {
+    const q = sphereQuaternion({ pitch: 23, roll: -140, heading: 311 });
+    assert.ok(Math.abs(Math.hypot(...q) - 1) < 1e-12);
+  });
+
+  it('turns the point the nose points at towards the viewer', () => {
+    [
+      { pitch: 0, heading: 90 },
+      { pitch: 30, heading: 0 },
+      { pitch: -45, heading: 200 },
+      { pitch: 10, roll: 60, heading: 135 },
+    ].forEach(attitude => {
+      const q = sphereQuaternion(attitude);
+      assertVector(rotate(q, ballPoint(attitude.heading, attitude.pitch)), TOWARDS_VIEWER);
+    });
+  });
+
+  it('tilts the sky to the left in a right bank', () => {
+    const [x, y, z] = rotate(sphereQuaternion({ roll: 30 }), [0, 1, 0]);
+    assertVector([x, y, z], [-Math.sin(30 * DEG), Math.cos(30 * DEG), 0]);
+  });
+
+  it('shows the ground when inverted', () => {
+    const [, y] = rotate(sphereQuaternion({ roll: 180 }), [0, 1, 0]);
+    assert.ok(Math.abs(y + 1) < 1e-9);
+  });
+});
+
+describe('sphereRadius', () => {
+  it('matches the canvas pitch scale at the centre of the ball', () => {
+    [50, 195, 390].forEach(radius => {
+      const pixelsPerDegree = sphereRadius(radius) * DEG;
+      assert.ok(Math.abs(pixelsPerDegree - radius * GEOMETRY.pitchScale) < 1e-9);
+    });
+  });
+
+  it('scales with the dial radius', () => {
+    assert.equal(sphereRadius(0), 0);
+    assert.ok(Math.abs(sphereRadius(400) - 2 * sphereRadius(200)) < 1e-9);
+  });
+});
+
+describe('sphereTextureSize', () => {
+  it('is a power of two within bounds', () => {
+    [0, 10, 100, 390, 2000].forEach(radius => {
+      const width = sphereTextureSize(radius);
+      assert.equal(Math.log2(width) % 1, 0);
+      assert.ok(width >= 1024 && width <= 4096);
+    });
+  });
+
+  it('has at least a texel per pixel round the equator until the cap', () => {
+    assert.ok(sphereTextureSize(500) >= 2 * Math.PI * 500);
+  });
+});
+
+describe('headingToU', () => {
+  it('puts north a quarter of the way across', () => {
+    assert.equal(headingToU(0), 0.25);
+    assert.equal(headingToU(90), 0.5);
+    assert.equal(headingToU(270), 0);
+    assert.equal(headingToU(-90), 0);
+  });
+});
+
+describe('sphereOverlay', () => {
+  it('leaves out what the ball shows and cuts a window in the background', () => {
+    const stack = sphereOverlay(getDefaultLayers());
+    const ids = stack.map(layer => layer.id);
+    assert.ok(!ids.includes('attitudeBall'));
+    assert.ok(!ids.includes('horizonCue'));
+    assert.equal(stack[ids.indexOf('background')], sphereWindow);
+  });
+
+  it('fills the window even-odd, so the ball shows through in SVG too', () => {
+    const ctx = createSvgContext(400, 400);
+    const frame = createLayerFrame({ width: 400, height: 400, props: {}, state: {}, trends: {}, time: 0, alerts: [], invalid: {} });
+    sphereWindow.draw(ctx, frame);
+    assert.match(ctx.toSVG(), /<path d="[^"]+" fill="[^"]+" fill-rule="evenodd"\/>/);
+  });
+});
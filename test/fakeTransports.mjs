@@ -0,0 +1,105 @@
+// ============================================================================
+// FAKE TRANSPORTS
+// ============================================================================
+//
+// Stand-ins for the browser's WebSocket and EventSource, to inject into the
+// flight data sources. Each class keeps the instances it made in `instances`
+// (reset with `reset()`), and the test drives them: `connect()`, `receive()`,
+// `drop()`. `closed` records whether the source closed its side. Set
+// `refuse` to an error to have the constructor throw it, as a browser does
+// for a malformed URL.
+
+export class FakeWebSocket {
+  static instances = [];
+
+  static refuse = null;
+
+  static reset() {
+    FakeWebSocket.instances = [];
+    FakeWebSocket.refuse = null;
+  }
+
+  static get last() {
+    return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  }
+
+  constructor(url) {
+    if (FakeWebSocket.refuse) throw FakeWebSocket.refuse;
+    this.url = url;
+    this.binaryType = 'blob';
+    this.closed = false;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    FakeWebSocket.instances.push(this);
+  }
+
+  connect() {
+    this.onopen?.({ type: 'open' });
+  }
+
+  // Text as is; bytes as an ArrayBuffer, like a socket with binaryType
+  // 'arraybuffer'
+  receive(data) {
+    const payload = data instanceof Uint8Array ? data.slice().buffer : data;
+    this.onmessage?.({ type: 'message', data: payload });
+  }
+
+  drop(code = 1006) {
+    this.onclose?.({ type: 'close', code });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+export class FakeEventSource {
+  static instances = [];
+
+  static refuse = null;
+
+  static reset() {
+    FakeEventSource.instances = [];
+    FakeEventSource.refuse = null;
+  }
+
+  static get last() {
+    return FakeEventSource.instances[FakeEventSource.instances.length - 1];
+  }
+
+  constructor(url, options = {}) {
+    if (FakeEventSource.refuse) throw FakeEventSource.refuse;
+    this.url = url;
+    this.withCredentials = Boolean(options.withCredentials);
+    this.closed = false;
+    this.onopen = null;
+    this.onerror = null;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ??= []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] ?? []).filter(l => l !== listener);
+  }
+
+  connect() {
+    this.onopen?.({ type: 'open' });
+  }
+
+  receive(data, type = 'message') {
+    (this.listeners[type] ?? []).forEach(listener => listener({ type, data }));
+  }
+
+  drop() {
+    this.onerror?.({ type: 'error' });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
@@ -0,0 +1,234 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import {
+  createEventSourceSource,
+  createWebSocketSource,
+  lineDecoder,
+  mapFields,
+  parseSerialLine,
+} from '../flightDataSources.js';
+import { FakeEventSource, FakeWebSocket } from './fakeTransports.mjs';
+
+// Subscribes and records every status and data callback in order
+function record(source) {
+  const events = [];
+  const unsubscribe = source.subscribe({
+    onData: data => events.push(['data', data]),
+    onStatus: (status, error) => events.push(error ? [status, error.message] : [status]),
+  });
+  return { events, unsubscribe };
+}
+
+const statuses = events => events.filter(([kind]) => kind !== 'data').map(([status]) => status);
+const data = events => events.filter(([kind]) => kind === 'data').map(([, value]) => value);
+
+beforeEach(() => {
+  FakeWebSocket.reset();
+  FakeEventSource.reset();
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+describe('mapFields', () => {
+  it('passes prop-named fields through and drops the rest', () => {
+    assert.deepEqual(mapFields({ pitch: 3, roll: -2, battery: 80 }), { pitch: 3, roll: -2 });
+  });
+
+  it('reads dotted paths and functions, and ignores fields mapped to null', () => {
+    const mapping = {
+      pitch: 'attitude.pitch_deg',
+      slip: message => message.slip_deg / 15,
+      heading: null,
+      altitude: 'missing.path',
+    };
+    const message = { attitude: { pitch_deg: 4 }, slip_deg: 3, heading: 90 };
+    assert.deepEqual(mapFields(message, mapping), { pitch: 4, slip: 0.2 });
+  });
+
+  it('gives nothing for a message that is not an object', () => {
+    assert.deepEqual(mapFields(null), {});
+    assert.deepEqual(mapFields('pitch'), {});
+  });
+});
+
+describe('WebSocket source', () => {
+  const subscribe = options => record(createWebSocketSource('ws://fake', { WebSocket: FakeWebSocket, ...options }));
+
+  it('reports connecting, connected and disconnected', () => {
+    const { events, unsubscribe } = subscribe();
+    assert.equal(FakeWebSocket.last.url, 'ws://fake');
+    assert.deepEqual(statuses(events), ['connecting']);
+    FakeWebSocket.last.connect();
+    assert.deepEqual(statuses(events), ['connecting', 'connected']);
+    unsubscribe();
+    assert.deepEqual(statuses(events), ['connecting', 'connected', 'disconnected']);
+    assert.ok(FakeWebSocket.last.closed);
+  });
+
+  it('parses JSON messages through the mapping and skips malformed ones', () => {
+    const { events } = subscribe({ mapping: { airspeed: 'ias' } });
+    const socket = FakeWebSocket.last;
+    socket.connect();
+    socket.receive('{"pitch": 2, "ias": 95}');
+    socket.receive('{"pitch": ');
+    socket.receive('{"roll": -10}');
+    assert.deepEqual(data(events), [{ pitch: 2, airspeed: 95 }, { roll: -10 }]);
+  });
+
+  it('hands binary frames to `decode` as bytes', () => {
+    const chunks = [];
+    const { events } = subscribe({
+      decode: () => bytes => {
+        chunks.push(bytes);
+        return [{ pitch: bytes[0] }, { roll: bytes[1] }];
+      },
+    });
+    const socket = FakeWebSocket.last;
+    assert.equal(socket.binaryType, 'arraybuffer');
+    socket.connect();
+    socket.receive(new Uint8Array([7, 9]));
+    assert.ok(chunks[0] instanceof Uint8Array);
+    assert.deepEqual(data(events), [{ pitch: 7 }, { roll: 9 }]);
+  });
+
+  it('reconnects with a doubling delay up to the cap', () => {
+    const { events } = subscribe({ reconnect: { initialDelay: 100, maxDelay: 300 } });
+    FakeWebSocket.last.drop(1006);
+    assert.deepEqual(events.at(-1), ['reconnecting', 'WebSocket closed (1006)']);
+
+    [100, 200, 300, 300].forEach((delay, i) => {
+      mock.timers.tick(delay - 1);
+      assert.equal(FakeWebSocket.instances.length, i + 1, `no retry before ${delay} ms`);
+      mock.timers.tick(1);
+      assert.equal(FakeWebSocket.instances.length, i + 2, `retry after ${delay} ms`);
+      FakeWebSocket.last.drop();
+    });
+    assert.deepEqual(statuses(events), ['connecting', 'reconnecting', 'reconnecting', 'reconnecting', 'reconnecting', 'reconnecting']);
+  });
+
+  it('starts the backoff again once a retry connects', () => {
+    const { events } = subscribe({ reconnect: { initialDelay: 100 } });
+    FakeWebSocket.last.drop();
+    mock.timers.tick(100);
+    FakeWebSocket.last.drop();
+    mock.timers.tick(200);
+    FakeWebSocket.last.connect();
+    FakeWebSocket.last.drop();
+    mock.timers.tick(100);
+    assert.equal(FakeWebSocket.instances.length, 4);
+    assert.deepEqual(statuses(events), ['connecting', 'reconnecting', 'reconnecting', 'connected', 'reconnecting']);
+  });
+
+  it('gives up with an error after `retries`', () => {
+    const { events } = subscribe({ reconnect: { initialDelay: 100, retries: 2 } });
+    FakeWebSocket.last.drop();
+    mock.timers.tick(100);
+    FakeWebSocket.last.drop();
+    mock.timers.tick(200);
+    FakeWebSocket.last.drop(1011);
+    mock.timers.tick(10000);
+    assert.equal(FakeWebSocket.instances.length, 3);
+    assert.deepEqual(events.at(-1), ['error', 'WebSocket closed (1011)']);
+  });
+
+  it('fails straight away without reconnects', () => {
+    const { events } = subscribe({ reconnect: false });
+    FakeWebSocket.last.connect();
+    FakeWebSocket.last.drop();
+    mock.timers.tick(10000);
+    assert.equal(FakeWebSocket.instances.length, 1);
+    assert.deepEqual(statuses(events), ['connecting', 'connected', 'error']);
+  });
+
+  it('reports a socket that cannot be opened instead of throwing', () => {
+    FakeWebSocket.refuse = new SyntaxError('Invalid URL');
+    const { events } = subscribe({ reconnect: { initialDelay: 100, retries: 1 } });
+    assert.deepEqual(events, [['connecting'], ['reconnecting', 'Invalid URL']]);
+    mock.timers.tick(100);
+    assert.deepEqual(events.at(-1), ['error', 'Invalid URL']);
+    assert.equal(FakeWebSocket.instances.length, 0);
+  });
+
+  it('backs off when a retry cannot open the socket', () => {
+    const { events } = subscribe({ reconnect: { initialDelay: 100 } });
+    FakeWebSocket.last.drop();
+    FakeWebSocket.refuse = new Error('blocked');
+    mock.timers.tick(100);
+    assert.deepEqual(events.at(-1), ['reconnecting', 'blocked']);
+    FakeWebSocket.refuse = null;
+    mock.timers.tick(199);
+    assert.equal(FakeWebSocket.instances.length, 1);
+    mock.timers.tick(1);
+    assert.equal(FakeWebSocket.instances.length, 2);
+    FakeWebSocket.last.connect();
+    assert.equal(statuses(events).at(-1), 'connected');
+  });
+
+  it('stops retrying and delivering once unsubscribed', () => {
+    const { events, unsubscribe } = subscribe();
+    const socket = FakeWebSocket.last;
+    socket.drop();
+    unsubscribe();
+    mock.timers.tick(10000);
+    socket.receive('{"pitch": 1}');
+    assert.equal(FakeWebSocket.instances.length, 1);
+    assert.deepEqual(statuses(events), ['connecting', 'reconnecting', 'disconnected']);
+    assert.deepEqual(data(events), []);
+  });
+});
+
+describe('EventSource source', () => {
+  const subscribe = options => record(createEventSourceSource('/events', { EventSource: FakeEventSource, ...options }));
+
+  it('reads the named event and skips malformed data', () => {
+    const { events } = subscribe({ event: 'attitude', withCredentials: true });
+    const stream = FakeEventSource.last;
+    assert.equal(stream.withCredentials, true);
+    stream.connect();
+    stream.receive('{"pitch": 5}', 'attitude');
+    stream.receive('{"pitch": 6}', 'message');
+    stream.receive('not json', 'attitude');
+    assert.deepEqual(statuses(events), ['connecting', 'connected']);
+    assert.deepEqual(data(events), [{ pitch: 5 }]);
+  });
+
+  it('reports a stream that cannot be opened', () => {
+    FakeEventSource.refuse = new TypeError('Invalid URL');
+    const { events } = subscribe({ reconnect: false });
+    assert.deepEqual(events, [['connecting'], ['error', 'Invalid URL']]);
+  });
+
+  it('closes on error and reconnects itself with backoff', () => {
+    const { events } = subscribe({ reconnect: { initialDelay: 250 } });
+    const first = FakeEventSource.last;
+    first.connect();
+    first.drop();
+    assert.ok(first.closed);
+    assert.deepEqual(first.listeners.message, []);
+    assert.deepEqual(events.at(-1), ['reconnecting', 'EventSource connection lost']);
+    mock.timers.tick(249);
+    assert.equal(FakeEventSource.instances.length, 1);
+    mock.timers.tick(1);
+    assert.equal(FakeEventSource.instances.length, 2);
+    FakeEventSource.last.connect();
+    assert.deepEqual(statuses(events), ['connecting', 'connected', 'reconnecting', 'connected']);
+  });
+});
+
+describe('serial line protocol', () => {
+  it('reads JSON lines and CSV named by columns', () => {
+    assert.deepEqual(parseSerialLine('{"pitch": 1}', []), { pitch: 1 });
+    assert.deepEqual(parseSerialLine(' -3.5,2,270\r', ['roll', 'pitch', 'heading']), { roll: -3.5, pitch: 2, heading: 270 });
+    assert.equal(parseSerialLine('  ', ['roll']), null);
+  });
+
+  it('splits lines across chunks and skips bad ones', () => {
+    const decode = lineDecoder(line => parseSerialLine(line, ['roll', 'pitch']))();
+    const bytes = text => new TextEncoder().encode(text);
+    assert.deepEqual(decode(bytes('1,2\n3,')), [{ roll: 1, pitch: 2 }]);
+    assert.deepEqual(decode(bytes('4\n{bad\n5,6\n')), [{ roll: 3, pitch: 4 }, { roll: 5, pitch: 6 }]);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  recordingDuration,
+  recordingFromCSV,
+  recordingToCSV,
+  sampleAt,
+} from '../flightRecording.js';
+
+// A log on its own clock, starting 100 s in
+const recording = {
+  version: 1,
+  startedAt: null,
+  samples: [
+    { time: 100, pitch: 0, heading: 350 },
+    { time: 102, pitch: 10, heading: 10 },
+    { time: 104, pitch: 20, heading: 30 },
+  ],
+};
+
+describe('playback', () => {
+  it('counts from the first sample', () => {
+    assert.equal(recordingDuration(recording), 4);
+    assert.deepEqual(sampleAt(recording, 0), { pitch: 0, heading: 350 });
+    assert.deepEqual(sampleAt(recording, 3), { pitch: 15, heading: 20 });
+    assert.deepEqual(sampleAt(recording, 10), { pitch: 20, heading: 30 });
+  });
+
+  it('interpolates headings through north', () => {
+    assert.equal(sampleAt(recording, 1).heading, 0);
+  });
+
+  it('is empty without samples', () => {
+    assert.equal(recordingDuration({ samples: [] }), 0);
+    assert.deepEqual(sampleAt({ samples: [] }, 1), {});
+  });
+});
+
+describe('CSV import', () => {
+  it('reads numbers and booleans only in columns whose prop takes them', () => {
+    const { samples } = recordingFromCSV([
+      'time,pitch,waypoint,flightPathVector,navSource,tailNumber',
+      '0,2.5,0042,true,1,007',
+      '0.5,abc,KABQ,false,VOR,N123',
+    ].join('\n'));
+    assert.deepEqual(samples, [
+      { time: 0, pitch: 2.5, waypoint: '0042', flightPathVector: true, navSource: '1', tailNumber: '007' },
+      { time: 0.5, pitch: 'abc', waypoint: 'KABQ', flightPathVector: false, navSource: 'VOR', tailNumber: 'N123' },
+    ]);
+  });
+
+  it('round-trips an export, objects included', () => {
+    const exported = {
+      version: 1,
+      startedAt: null,
+      samples: [
+        { time: 0, pitch: 1, waypoint: '0042', vSpeeds: { vs: 48, vne: 163 } },
+        { time: 0.05, pitch: 1.5, waypoint: 'KABQ, RWY 26', vSpeeds: { vs: 48, vne: 163 } },
+      ],
+    };
+    assert.deepEqual(recordingFromCSV(recordingToCSV(exported)), exported);
+  });
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { renderAttitude, renderAttitudeToSVG } from '../headlessRenderer.js';
+import { createSvgContext } from '../svgContext.js';
+
+const texts = svg => [...svg.matchAll(/>([^<]*)<\/text>/g)].map(match => match[1]);
+
+// Anything a value that didn't make it through would leave behind
+function assertClean(svg) {
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" /);
+  assert.match(svg, /<\/svg>$/);
+  assert.doesNotMatch(svg, /NaN|undefined|Infinity|null|\[object/);
+}
+
+function assertTexts(svg, expected) {
+  const found = texts(svg);
+  expected.forEach(text => assert.ok(found.includes(text), `no '${text}' in ${found.join(' ')}`));
+}
+
+describe('renderAttitudeToSVG', () => {
+  it('renders the default props', () => {
+    const svg = renderAttitudeToSVG({});
+    assertClean(svg);
+    assert.match(svg, /width="800" height="800" viewBox="0 0 800 800"/);
+    assert.match(svg, /<clipPath id=/);
+    assertTexts(svg, ['N', 'E', 'S', 'W', '360°', 'IAS', 'ALT', 'BARO', '29.92', 'WPT', '----', 'AoA', 'AV-30']);
+  });
+
+  it('renders the tapes', () => {
+    const svg = renderAttitudeToSVG(
+      { airspeed: 120, altitude: 4500, verticalSpeed: -700, selectedAltitude: 4500 },
+      { layout: 'tapes', vSpeeds: { vso: 40, vs1: 48, vfe: 85, vno: 129, vne: 163 } },
+    );
+    assertClean(svg);
+    assertTexts(svg, ['100', '120', '140', '4400', '4500', '4600', '-700', '4500']);
+    assert.ok(!texts(svg).includes('IAS'), 'the tapes take the IAS and ALT slots');
+  });
+
+  it('renders the HSI', () => {
+    const svg = renderAttitudeToSVG(
+      { heading: 95, course: 110, courseDeviation: 0.4, headingBug: 120, waypoint: 'KSFO', distance: 12.4, toFrom: 'to' },
+      { compassMode: 'hsi' },
+    );
+    assertClean(svg);
+    assertTexts(svg, ['GPS KSFO', '12.4nm', '095°', 'KSFO']);
+    assert.ok(!texts(svg).includes('360°'), 'the HSI has its own heading readout');
+  });
+
+  it('renders failed inputs as flagged, not as numbers', () => {
+    const svg = renderAttitudeToSVG(
+      { pitch: NaN, roll: null, airspeed: Infinity, altitude: 'high', verticalSpeed: NaN, distance: NaN },
+      { layout: 'tapes', compassMode: 'hsi' },
+    );
+    assertClean(svg);
+    assertTexts(svg, ['ATT FAIL', 'IAS FAIL']);
+  });
+
+  it('renders in other units and the rectangular shape', () => {
+    const svg = renderAttitudeToSVG(
+      { airspeed: 200, altitude: 3000, verticalSpeed: 1500, baroSetting: 29.92 },
+      { units: 'metric', shape: 'rectangular', theme: 'night' },
+    );
+    assertClean(svg);
+    assert.match(svg, /width="\d+" height="800"/);
+    assertTexts(svg, ['1013']);
+  });
+
+  it('is the same every time for the same input', () => {
+    const props = { pitch: 3, roll: -12, heading: 200, airspeed: 95 };
+    assert.equal(renderAttitudeToSVG(props), renderAttitudeToSVG({ ...props }));
+  });
+});
+
+describe('renderAttitude', () => {
+  it('returns the alerts and failed inputs it drew', () => {
+    const ctx = createSvgContext(400, 400);
+    const { alerts, invalid } = renderAttitude(ctx, { pitch: 0, roll: 60, heading: 10 }, { staleAfter: 1, dataAge: 2 });
+    assert.ok(invalid.pitch && invalid.heading);
+    assert.ok(alerts.some(alert => alert.id === 'attitudeFail'));
+    assert.ok(!alerts.some(alert => alert.id === 'bankAngle'), 'no limit alert on failed data');
+    assertClean(ctx.toSVG());
+  });
+});
@@ -0,0 +1,25 @@
+// ============================================================================
+// MODULE HOOKS FOR THE TESTS
+// ============================================================================
+//
+// The sources are written for a bundler: ES modules in .js files, imported
+// without the extension. These hooks let Node load them as they are, so the
+// tests run on `node --test` with nothing installed. Registered by
+// register.mjs.
+
+const RELATIVE = /^\.{1,2}\//;
+const HAS_EXTENSION = /\.[cm]?jsx?$/;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (RELATIVE.test(specifier) && !HAS_EXTENSION.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && url.endsWith('.js') && !url.includes('/node_modules/')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createLayerCache, createLayerFrame, drawLayers, getDefaultLayers } from '../instrumentLayers.js';
+
+// Just enough of a 2D context for the cache: drawing is counted by the layers
+const fakeContext = () => ({ save() {}, restore() {}, drawImage() {} });
+
+class FakeOffscreenCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getContext() {
+    return fakeContext();
+  }
+}
+
+const frameFor = props => createLayerFrame({
+  width: 400, height: 400, props, state: {}, trends: {}, time: 0, alerts: [], invalid: {},
+});
+
+describe('static layer cache', () => {
+  before(() => {
+    globalThis.OffscreenCanvas = FakeOffscreenCanvas;
+  });
+
+  after(() => {
+    delete globalThis.OffscreenCanvas;
+  });
+
+  it('redraws a static layer only when its own key changes', () => {
+    let draws = 0;
+    const scale = {
+      id: 'scale',
+      static: true,
+      staticKey: ({ props }) => String(props.range),
+      draw() {
+        draws++;
+      },
+    };
+    const cache = createLayerCache();
+    const draw = props => drawLayers(fakeContext(), [scale], frameFor(props), cache);
+
+    draw({ range: 10, pitch: 1 });
+    draw({ range: 10, pitch: 2 });
+    assert.equal(draws, 1);
+    draw({ range: 20, pitch: 2 });
+    assert.equal(draws, 2);
+  });
+
+  it('keeps the VSI scale static, redrawn for its range and scale type', () => {
+    const scale = getDefaultLayers().find(layer => layer.id === 'verticalSpeedScale');
+    assert.equal(scale.static, true);
+    const key = props => scale.staticKey(frameFor(props));
+    assert.equal(key({ verticalSpeed: 500 }), key({ verticalSpeed: -1200 }));
+    assert.notEqual(key({}), key({ vsiRange: 4000 }));
+    assert.notEqual(key({}), key({ vsiScale: 'nonlinear' }));
+    assert.notEqual(key({}), key({ units: 'metric' }));
+  });
+});
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  INITIAL_KNOB_STATE,
+  KNOB_SETTINGS,
+  findSetting,
+  knobReducer,
+  settingValue,
+  stepSetting,
+  toInputUnits,
+} from '../knobControl.js';
+import { resolveUnits } from '../units.js';
+
+const IMPERIAL = resolveUnits('imperial');
+const METRIC = resolveUnits('metric');
+
+const run = (actions, state = INITIAL_KNOB_STATE) => actions.reduce(knobReducer, state);
+const rotate = steps => ({ type: 'rotate', steps });
+const PUSH = { type: 'push' };
+
+// The callback prop a turn on the main page goes to
+const callbackFor = state => findSetting(state.setting).callback;
+
+describe('knobReducer', () => {
+  it('starts on the main page adjusting the baro setting, with nothing shown', () => {
+    assert.deepEqual(INITIAL_KNOB_STATE, { page: 'main', setting: 'baroSetting', highlight: 0, active: false });
+    assert.equal(callbackFor(INITIAL_KNOB_STATE), 'onBaroSettingChange');
+  });
+
+  it('pops up the value on a turn of the main page', () => {
+    const state = run([rotate(1)]);
+    assert.deepEqual(state, { ...INITIAL_KNOB_STATE, active: true });
+  });
+
+  it('opens the menu on the current setting, and picks the highlighted one', () => {
+    const menu = run([PUSH]);
+    assert.deepEqual(menu, { page: 'menu', setting: 'baroSetting', highlight: 0, active: true });
+
+    const picked = run([rotate(2), PUSH], menu);
+    assert.deepEqual(picked, { page: 'main', setting: 'selectedAltitude', highlight: 2, active: true });
+    assert.equal(callbackFor(picked), 'onSelectedAltitudeChange');
+
+    assert.equal(run([PUSH]).highlight, 0);
+    assert.equal(run([PUSH, rotate(1), PUSH, PUSH]).highlight, 1, 'menu opens on the setting in use');
+  });
+
+  it('wraps the menu highlight both ways', () => {
+    const count = KNOB_SETTINGS.length;
+    assert.equal(run([PUSH, rotate(-1)]).highlight, count - 1);
+    assert.equal(run([PUSH, rotate(count + 1)]).highlight, 1);
+    assert.equal(run([PUSH, rotate(-3 * count - 2)]).highlight, count - 2);
+  });
+
+  it('sends each setting to its own callback', () => {
+    const callbacks = KNOB_SETTINGS.map((setting, i) => callbackFor(run([PUSH, rotate(i), PUSH])));
+    assert.deepEqual(callbacks, ['onBaroSettingChange', 'onHeadingBugChange', 'onSelectedAltitudeChange', 'onBrightnessChange']);
+  });
+
+  it('goes back to the main page on back or timeout, keeping the setting', () => {
+    const picked = run([PUSH, rotate(1), PUSH]);
+    ['back', 'timeout'].forEach(type => {
+      const state = run([PUSH, { type }], picked);
+      assert.deepEqual(state, { page: 'main', setting: 'headingBug', highlight: 1, active: false }, type);
+    });
+    assert.equal(run([PUSH, rotate(3), { type: 'back' }]).setting, 'baroSetting', 'leaving the menu picks nothing');
+  });
+
+  it('ignores anything else', () => {
+    assert.equal(knobReducer(INITIAL_KNOB_STATE, { type: 'spin' }), INITIAL_KNOB_STATE);
+  });
+});
+
+describe('stepSetting', () => {
+  const setting = id => findSetting(id);
+
+  it('steps the baro setting by its display resolution', () => {
+    assert.equal(stepSetting(setting('baroSetting'), 29.92, 1, IMPERIAL), 29.93);
+    assert.equal(stepSetting(setting('baroSetting'), 29.92, -10, IMPERIAL), 29.82);
+    assert.equal(stepSetting(setting('baroSetting'), 1013, 2, METRIC), 1015);
+  });
+
+  it('snaps a value off the step onto it', () => {
+    assert.equal(stepSetting(setting('baroSetting'), 29.923, 0, IMPERIAL), 29.92);
+    assert.equal(stepSetting(setting('headingBug'), 90.4, 1, IMPERIAL), 91);
+  });
+
+  it('wraps the heading bug through north', () => {
+    assert.equal(stepSetting(setting('headingBug'), 359, 2, IMPERIAL), 1);
+    assert.equal(stepSetting(setting('headingBug'), 0, -1, IMPERIAL), 359);
+    assert.equal(stepSetting(setting('headingBug'), 180, 360, IMPERIAL), 180);
+  });
+
+  it('steps the selected altitude by the tape\'s major step', () => {
+    const step = IMPERIAL.altitude.tape.major;
+    assert.equal(stepSetting(setting('selectedAltitude'), 5000, 1, IMPERIAL), 5000 + step);
+    assert.equal(stepSetting(setting('selectedAltitude'), 5000, -3, IMPERIAL), 5000 - 3 * step);
+  });
+
+  it('clamps the brightness to its range', () => {
+    assert.equal(stepSetting(setting('brightness'), 1, 1, IMPERIAL), 1);
+    assert.equal(stepSetting(setting('brightness'), 0.5, 2, IMPERIAL), 0.6);
+    assert.equal(stepSetting(setting('brightness'), 0.15, -5, IMPERIAL), 0.1);
+  });
+});
+
+describe('settingValue', () => {
+  it('starts from the prop, or from where the setting begins without one', () => {
+    assert.equal(settingValue(findSetting('baroSetting'), { baroSetting: 30.01 }, IMPERIAL), 30.01);
+    assert.equal(settingValue(findSetting('baroSetting'), {}, IMPERIAL), 29.92);
+    assert.ok(Math.abs(settingValue(findSetting('baroSetting'), {}, METRIC) - 1013.2) < 0.1);
+    assert.equal(settingValue(findSetting('headingBug'), { heading: 271.6 }, IMPERIAL), 272);
+    assert.equal(settingValue(findSetting('selectedAltitude'), { altitude: 5320 }, IMPERIAL), 5300);
+    assert.equal(settingValue(findSetting('headingBug'), { headingBug: NaN, heading: 10 }, IMPERIAL), 10);
+  });
+});
+
+describe('toInputUnits', () => {
+  it('hands the value back in the input units', () => {
+    const baro = findSetting('baroSetting');
+    assert.equal(toInputUnits(baro, 29.92, {}), 29.92);
+    const hPa = toInputUnits(baro, 1013, { units: 'metric' });
+    assert.ok(Math.abs(hPa - 29.91) < 0.01, `${hPa} inHg`);
+    assert.equal(toInputUnits(baro, 1013, { units: 'metric', inputUnits: 'metric' }), 1013);
+    const feet = toInputUnits(findSetting('selectedAltitude'), 1500, { units: 'metric' });
+    assert.ok(Math.abs(feet - 4921.26) < 0.01, `${feet} ft`);
+  });
+
+  it('leaves values without a unit alone', () => {
+    assert.equal(toInputUnits(findSetting('headingBug'), 90, { units: 'metric' }), 90);
+    assert.equal(toInputUnits(findSetting('brightness'), 0.5, { units: 'metric' }), 0.5);
+  });
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import {
+  createMavlinkParser,
+  crcX25,
+  encodeMavlinkFrame,
+  mavlinkDecoder,
+  mavlinkToFlightData,
+} from '../mavlink.js';
+
+const RAD = Math.PI / 180;
+
+// Assembled with encodeMavlinkFrame, not recorded off a vehicle: noise with a
+// stray start byte, ATTITUDE (v1), VFR_HUD (v2, truncated payload), an
+// ATTITUDE with a flipped payload bit, console text, GLOBAL_POSITION_INT, a
+// VFR_HUD sealed with the wrong CRC_EXTRA, a HEARTBEAT (not decoded),
+// ALTITUDE and an ATTITUDE cut off mid-frame
+const capture = new Uint8Array(readFileSync(new URL('./fixtures/mavlink-capture.bin', import.meta.url)));
+const expected = JSON.parse(readFileSync(new URL('./fixtures/mavlink-capture.expected.json', import.meta.url), 'utf8'));
+
+function payload(length, write) {
+  const bytes = new Uint8Array(length);
+  write(new DataView(bytes.buffer));
+  return bytes;
+}
+
+const attitude = (pitch, roll, yaw) => payload(28, view => {
+  view.setUint32(0, 120500, true);
+  view.setFloat32(4, roll * RAD, true);
+  view.setFloat32(8, pitch * RAD, true);
+  view.setFloat32(12, yaw * RAD, true);
+});
+
+const concat = (...parts) => Uint8Array.from(parts.flatMap(part => [...part]));
+
+function assertProps(actual, wanted) {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(wanted).sort());
+  Object.keys(wanted).forEach(name => {
+    assert.ok(Math.abs(actual[name] - wanted[name]) < 1e-3, `${name} ${actual[name]} != ${wanted[name]}`);
+  });
+}
+
+function assertCapture(messages) {
+  assert.deepEqual(messages.map(({ name, seq, version }) => ({ name, seq, version })),
+    expected.messages.map(({ name, seq, version }) => ({ name, seq, version })));
+  messages.forEach((message, i) => assertProps(mavlinkToFlightData(message), expected.messages[i].props));
+}
+
+describe('crcX25', () => {
+  it('is CRC-16/MCRF4XX', () => {
+    assert.equal(crcX25(new TextEncoder().encode('123456789')), 0x6f91);
+  });
+});
+
+describe('capture fixture', () => {
+  it('decodes to the expected props, dropping what fails its CRC', () => {
+    const parser = createMavlinkParser();
+    assertCapture(parser.push(capture));
+    assert.deepEqual(parser.stats, expected.stats);
+  });
+
+  it('decodes the same in chunks of any size', () => {
+    [1, 3, 7, 64].forEach(size => {
+      const parser = createMavlinkParser();
+      const messages = [];
+      for (let i = 0; i < capture.length; i += size) messages.push(...parser.push(capture.subarray(i, i + size)));
+      assertCapture(messages);
+      assert.deepEqual(parser.stats, expected.stats);
+    });
+  });
+
+  it('completes the frame cut off at the end when the rest arrives', () => {
+    const parser = createMavlinkParser();
+    parser.push(capture);
+    const rest = encodeMavlinkFrame(30, attitude(2, 3, 4), { seq: 7 }).subarray(15);
+    const [message] = parser.push(rest);
+    assert.equal(message.seq, 7);
+    assertProps(mavlinkToFlightData(message), { pitch: 2, roll: 3, heading: 4 });
+  });
+});
+
+describe('createMavlinkParser', () => {
+  it('rejects a frame sealed with another message\'s CRC_EXTRA', () => {
+    const parser = createMavlinkParser();
+    // GLOBAL_POSITION_INT's seed on an ATTITUDE frame
+    assert.deepEqual(parser.push(encodeMavlinkFrame(30, attitude(1, 2, 3), { crcExtra: 104 })), []);
+    assert.equal(parser.stats.crcErrors, 1);
+    assert.equal(parser.stats.frames, 0);
+  });
+
+  it('resyncs on the frames after garbage full of start bytes', () => {
+    // A stray start byte holds decoding until the length it claims has
+    // arrived, so the stream carries on for a while after the garbage
+    const garbage = [0xfe, 0xfd, 0x1c, 0xfe, 0x00, 0xfd, 0xff, 0xfe];
+    const frames = [0, 1, 2, 3, 4, 5, 6, 7]
+      .map(seq => encodeMavlinkFrame(30, attitude(-3, 45, 180), { version: 1, seq }));
+    const parser = createMavlinkParser();
+    const messages = parser.push(concat(garbage, ...frames));
+    assert.deepEqual(messages.map(message => message.seq), [0, 1, 2, 3, 4, 5, 6, 7]);
+    assertProps(mavlinkToFlightData(messages[0]), { pitch: -3, roll: 45, heading: 180 });
+    assert.equal(parser.stats.skippedBytes + parser.stats.crcErrors + parser.stats.unknown, garbage.length);
+  });
+
+  it('fills in the zeros a v2 sender truncated', () => {
+    const frame = encodeMavlinkFrame(30, attitude(0, 10, 0));
+    assert.ok(frame.length < 10 + 28 + 2);
+    const [{ fields }] = createMavlinkParser().push(frame);
+    assert.equal(fields.yaw, 0);
+    assert.equal(fields.yawspeed, 0);
+    assert.ok(Math.abs(fields.roll - 10 * RAD) < 1e-6);
+  });
+
+  it('takes ArrayBuffers', () => {
+    assert.equal(createMavlinkParser().push(encodeMavlinkFrame(30, attitude(1, 2, 3)).slice().buffer).length, 1);
+  });
+});
+
+describe('mavlinkDecoder', () => {
+  it('gives props in the units asked for and drops messages without any', () => {
+    const position = payload(28, view => {
+      view.setInt32(12, 152400, true);
+      view.setInt16(24, 100, true);
+      view.setUint16(26, 0xffff, true);
+    });
+    const decode = mavlinkDecoder({ units: 'metric' })();
+    const props = decode(concat(
+      encodeMavlinkFrame(33, position),
+      encodeMavlinkFrame(141, payload(32, view => view.setFloat32(12, NaN, true))),
+    ));
+    assert.equal(props.length, 1);
+    assertProps(props[0], { altitude: 152.4, verticalSpeed: -1 });
+  });
+});
@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DEFAULT_PROPS, createPropValidator, normalizeProps, validateProps } from '../propValidation.js';
+
+const problems = props => validateProps(props).map(({ prop, problem }) => `${prop}:${problem}`);
+
+describe('defaults', () => {
+  it('fills in the documented defaults', () => {
+    const props = normalizeProps({});
+    assert.equal(props.size, 400);
+    assert.equal(props.shape, 'round');
+    assert.equal(props.waypoint, '----');
+    assert.equal(props.baroSetting, 29.92);
+    assert.equal(DEFAULT_PROPS.baroSetting, 29.92);
+    assert.ok(!('angleOfAttack' in props), 'no default, left out');
+    assert.deepEqual(validateProps({}), []);
+  });
+
+  it('works out a default given as a function from the props', () => {
+    const baro = normalizeProps({ inputUnits: 'metric' }).baroSetting;
+    assert.ok(Math.abs(baro - 1013.2) < 0.1, `${baro} hPa`);
+  });
+
+  it('keeps what was given', () => {
+    assert.equal(normalizeProps({ baroSetting: 30.12, inputUnits: 'metric' }).baroSetting, 30.12);
+    assert.equal(normalizeProps({ custom: 'field' }).custom, 'field');
+  });
+});
+
+describe('numbers', () => {
+  it('wraps angles without a warning', () => {
+    const props = normalizeProps({ heading: 370, roll: 190, headingBug: -90 });
+    assert.equal(props.heading, 10);
+    assert.equal(props.roll, -170);
+    assert.equal(props.headingBug, 270);
+    assert.deepEqual(validateProps({ heading: 370, roll: 190 }), []);
+  });
+
+  it('clamps values at their stops, with a warning', () => {
+    const props = normalizeProps({ pitch: 120, slip: -3, brightness: 1.5 });
+    assert.equal(props.pitch, 90);
+    assert.equal(props.slip, -1);
+    assert.equal(props.brightness, 1);
+    assert.deepEqual(problems({ pitch: 120 }), ['pitch:range']);
+    assert.deepEqual(problems({ pitch: 90 }), []);
+  });
+
+  it('warns below a minimum but keeps the value', () => {
+    assert.equal(normalizeProps({ airspeed: -5 }).airspeed, -5);
+    assert.deepEqual(problems({ airspeed: -5 }), ['airspeed:range']);
+    assert.deepEqual(problems({ airspeed: 0 }), []);
+  });
+
+  it('reads a numeric string as a number, with a warning', () => {
+    assert.equal(normalizeProps({ baroSetting: '29.92' }).baroSetting, 29.92);
+    assert.equal(normalizeProps({ heading: ' 370 ' }).heading, 10);
+    const [warning] = validateProps({ baroSetting: '29.92' });
+    assert.equal(warning.problem, 'type');
+    assert.match(warning.message, /read as 29.92/);
+  });
+
+  it('reports the range rather than the type for a numeric string out of range', () => {
+    assert.equal(normalizeProps({ pitch: '100' }).pitch, 90);
+    assert.deepEqual(problems({ pitch: '100' }), ['pitch:range']);
+  });
+
+  it('turns anything else that is not a finite number into NaN, to show as failed', () => {
+    [NaN, null, Infinity, '', 'abc', true, {}].forEach(value => {
+      assert.ok(Number.isNaN(normalizeProps({ airspeed: value }).airspeed), String(value));
+      assert.deepEqual(problems({ airspeed: value }), ['airspeed:finite'], String(value));
+    });
+    assert.match(validateProps({ airspeed: null })[0].message, /shown as failed/);
+  });
+
+  it('falls back to the default for `finite` props', () => {
+    assert.equal(normalizeProps({ size: NaN }).size, 400);
+    assert.equal(normalizeProps({ brightness: 'dim' }).brightness, 1);
+    assert.ok(!('pixelRatio' in normalizeProps({ pixelRatio: Infinity })), 'no default, left out');
+    assert.deepEqual(problems({ size: NaN }), ['size:finite']);
+    assert.match(validateProps({ size: NaN })[0].message, /using 400/);
+  });
+});
+
+describe('other types', () => {
+  it('falls back to the default for the wrong type', () => {
+    assert.equal(normalizeProps({ shape: 7 }).shape, 'round');
+    assert.ok(!('onAlert' in normalizeProps({ onAlert: 'alert' })));
+    assert.deepEqual(problems({ shape: 7, onAlert: 'alert' }), ['shape:type', 'onAlert:type']);
+    assert.match(validateProps({ onAlert: 'alert' })[0].message, /should be a function, got string; it is ignored/);
+  });
+
+  it('falls back to the default for an unknown enum value', () => {
+    assert.equal(normalizeProps({ shape: 'hexagon' }).shape, 'round');
+    assert.deepEqual(problems({ shape: 'hexagon' }), ['shape:value']);
+  });
+
+  it('keeps a value that fails its check, to show as failed', () => {
+    const quaternion = [0, 0, 0, 0];
+    assert.deepEqual(normalizeProps({ quaternion }).quaternion, quaternion);
+    const [warning] = validateProps({ quaternion });
+    assert.equal(warning.problem, 'value');
+    assert.match(warning.message, /a non-zero \[w, x, y, z\]; it is shown as failed/);
+  });
+});
+
+describe('createPropValidator', () => {
+  it('reports each problem with a prop once', () => {
+    const warnings = [];
+    const validator = createPropValidator(warning => warnings.push(`${warning.prop}:${warning.problem}`));
+    validator.normalize({ pitch: 100 });
+    validator.normalize({ pitch: 120 });
+    validator.normalize({ pitch: NaN });
+    validator.normalize({ pitch: 100, roll: NaN });
+    assert.deepEqual(warnings, ['pitch:range', 'pitch:finite', 'roll:finite']);
+  });
+
+  it('keeps its own record for each instance', () => {
+    const warnings = [];
+    const onWarning = warning => warnings.push(warning.prop);
+    createPropValidator(onWarning).normalize({ pitch: 100 });
+    createPropValidator(onWarning).normalize({ pitch: 100 });
+    assert.deepEqual(warnings, ['pitch', 'pitch']);
+  });
+
+  it('still normalizes every time', () => {
+    const validator = createPropValidator(() => {});
+    assert.equal(validator.normalize({ pitch: 100 }).pitch, 90);
+    assert.equal(validator.normalize({ pitch: 100 }).pitch, 90);
+  });
+});
+
+describe('flightDirector', () => {
+  it('takes the modes by name', () => {
+    assert.equal(normalizeProps({ flightDirector: 'crossPointer' }).flightDirector, 'crossPointer');
+  });
+
+  it('reads true as the V-bar and false as off', () => {
+    assert.equal(normalizeProps({ flightDirector: true }).flightDirector, 'vbar');
+    assert.ok(!('flightDirector' in normalizeProps({ flightDirector: false })));
+    assert.deepEqual(validateProps({ flightDirector: true }), []);
+  });
+
+  it('turns off for anything else, with a warning', () => {
+    assert.ok(!('flightDirector' in normalizeProps({ flightDirector: 'hud' })));
+    assert.deepEqual(validateProps({ flightDirector: 1 }).map(({ problem }) => problem), ['type']);
+  });
+});
+
+describe('smoothing', () => {
+  it('reports a config that cannot be used', () => {
+    assert.deepEqual(validateProps({ smoothing: { pitch: { type: 'spring' }, roll: 0.05 } }), []);
+    const [problem] = validateProps({ smoothing: { pitch: { type: 'spring', frequency: 0 } } });
+    assert.equal(problem.prop, 'smoothing');
+    assert.match(problem.message, /keep their defaults/);
+  });
+});
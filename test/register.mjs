@@ -0,0 +1,7 @@
+// Loads the extensionless .js sources as ES modules (see hooks.mjs):
+//
+//   node --test --import ./test/register.mjs test/*.test.mjs
+
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { decodeFlightGearLine, decodeFlightGearPacket } from '../relay/flightgearGeneric.mjs';
+import { decodeXPlaneData, encodeXPlaneData, isXPlaneDataPacket } from '../relay/xplaneData.mjs';
+
+const fixture = name => readFileSync(new URL(`../relay/fixtures/${name}`, import.meta.url));
+const expected = name => JSON.parse(fixture(name).toString('utf8'));
+
+// FlightGear's text goes through float arithmetic (fps to fpm)
+function assertProps(actual, wanted) {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(wanted).sort());
+  Object.keys(wanted).forEach(name => {
+    assert.ok(Math.abs(actual[name] - wanted[name]) < 1e-9, `${name} ${actual[name]} != ${wanted[name]}`);
+  });
+}
+
+describe('X-Plane DATA packets', () => {
+  it('decode the fixture to its expected props', () => {
+    const packet = fixture('xplane-data.bin');
+    assert.ok(isXPlaneDataPacket(packet));
+    assert.deepEqual(decodeXPlaneData(packet), expected('xplane-data.expected.json'));
+  });
+
+  it('skip unused slots, unknown rows and a truncated last record', () => {
+    const packet = encodeXPlaneData({ 17: [1.5, -2, undefined, 90], 99: [1, 2, 3] });
+    assert.deepEqual(decodeXPlaneData(packet), { pitch: 1.5, roll: -2, heading: 90 });
+    assert.deepEqual(decodeXPlaneData(packet.subarray(0, packet.length - 1)), { pitch: 1.5, roll: -2, heading: 90 });
+    assert.deepEqual(decodeXPlaneData(encodeXPlaneData({ 3: [120] }).subarray(0, 20)), {});
+  });
+
+  it('reject anything else', () => {
+    assert.throws(() => decodeXPlaneData(Buffer.from('RREF0')), /Not an X-Plane DATA packet/);
+  });
+});
+
+describe('FlightGear generic protocol', () => {
+  it('decodes the fixture to its expected props', () => {
+    const props = decodeFlightGearPacket(fixture('flightgear-generic.txt'));
+    const wanted = expected('flightgear-generic.expected.json');
+    assert.equal(props.length, wanted.length);
+    props.forEach((data, i) => assertProps(data, wanted[i]));
+  });
+
+  it('leaves out empty and non-numeric values', () => {
+    assertProps(decodeFlightGearLine('1.5,,nan,120'), { pitch: 1.5, airspeed: 120 });
+  });
+
+  it('takes other fields and separators', () => {
+    const fields = [{ prop: 'roll' }, { prop: 'slip', scale: 0.1 }];
+    assertProps(decodeFlightGearLine('-10\t5\n', fields, '\t'), { roll: -10, slip: 0.5 });
+  });
+});
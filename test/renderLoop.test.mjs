@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { createRenderLoop } from '../renderLoop.js';
+
+const FRAME = 1000 / 60;
+
+// A canvas, clock and frame scheduler the test drives by hand. Only the
+// `probe` layer is drawn, and every frame it draws from is kept.
+function setup(initialProps) {
+  let props = { layers: [], ...initialProps };
+  let clock = 0;
+  let pending = null;
+  let nextId = 1;
+  const frames = [];
+  const alerts = [];
+  const canvas = {
+    width: 200,
+    height: 200,
+    getContext: () => ({ clearRect() {}, save() {}, restore() {} }),
+  };
+
+  const loop = createRenderLoop(canvas, {
+    getProps: () => props,
+    requestFrame: (callback) => {
+      assert.equal(pending, null, 'one frame requested at a time');
+      pending = { id: nextId++, callback };
+      return pending.id;
+    },
+    cancelFrame: (id) => {
+      if (pending?.id === id) pending = null;
+    },
+    now: () => clock,
+    onAlert: alert => alerts.push(`${alert.id}:${alert.active}`),
+    onFrame: frame => frames.push(frame),
+  });
+
+  return {
+    loop,
+    frames,
+    alerts,
+    get running() {
+      return pending !== null;
+    },
+    setProps(next) {
+      props = next;
+    },
+    get props() {
+      return props;
+    },
+    // Moves the clock on, firing any timers due
+    advance(ms) {
+      clock += ms;
+      mock.timers.tick(ms);
+    },
+    // Runs the requested frame `ms` later
+    step(ms = FRAME) {
+      this.advance(ms);
+      const { callback } = pending;
+      pending = null;
+      callback(clock);
+    },
+    // Runs frames until the loop stops, and counts them
+    runToIdle(limit = 2000) {
+      let count = 0;
+      while (pending && count < limit) {
+        this.step();
+        count++;
+      }
+      return count;
+    },
+  };
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+describe('createRenderLoop', () => {
+  it('goes idle once the needles settle', () => {
+    const harness = setup({ pitch: 0 });
+    harness.loop.wake();
+    harness.runToIdle();
+    harness.setProps({ ...harness.props, pitch: 10 });
+    harness.loop.wake();
+    const count = harness.runToIdle();
+    assert.ok(count > 1 && count < 200, `${count} frames`);
+    assert.equal(harness.running, false);
+    assert.equal(harness.frames.at(-1).state.pitch, 10);
+  });
+
+  it('starts again on `wake`, once however often it is called', () => {
+    const harness = setup({ pitch: 0 });
+    harness.loop.wake();
+    harness.runToIdle();
+    const drawn = harness.frames.length;
+    harness.advance(5000);
+    assert.equal(harness.frames.length, drawn, 'nothing drawn while idle');
+
+    harness.loop.wake();
+    harness.loop.wake();
+    assert.ok(harness.running);
+    harness.step();
+    assert.equal(harness.frames.length, drawn + 1);
+  });
+
+  it('stays asleep while hidden', () => {
+    const harness = setup({ pitch: 0 });
+    harness.loop.setVisible(false);
+    harness.loop.wake();
+    assert.equal(harness.running, false);
+    harness.loop.setVisible(true);
+    assert.ok(harness.running);
+  });
+
+  it('steps the first frame by the time since `wake`', () => {
+    const harness = setup({ pitch: 10 });
+    harness.advance(5000);
+    harness.setProps({ ...harness.props, pitch: 20 });
+    harness.loop.wake();
+    harness.step(16);
+    const expected = 20 - 10 * Math.exp(-0.016 / 0.1);
+    assert.ok(Math.abs(harness.frames[0].state.pitch - expected) < 1e-9, `${harness.frames[0].state.pitch}`);
+  });
+
+  it('fails every input once the data goes stale, by itself', () => {
+    const harness = setup({ pitch: 0, roll: 0, staleAfter: 1 });
+    harness.loop.wake();
+    harness.runToIdle();
+    assert.deepEqual(harness.alerts, []);
+
+    harness.advance(1001);
+    assert.ok(harness.alerts.includes('attitudeFail:true'), harness.alerts.join());
+    assert.ok(harness.running, 'woken to draw the failure');
+    harness.runToIdle();
+    assert.ok(harness.frames.at(-1).invalid.pitch);
+  });
+
+  it('stays stale through new props that carry the same data', () => {
+    const harness = setup({ pitch: 0, roll: 0, staleAfter: 1 });
+    harness.loop.wake();
+    harness.advance(1001);
+    harness.runToIdle();
+
+    // What the component hands over while the knob turns
+    harness.setProps({ ...harness.props, knobState: { page: 'baro', active: true } });
+    harness.loop.wake();
+    harness.runToIdle();
+    assert.deepEqual(harness.alerts.filter(alert => alert.startsWith('attitudeFail')), ['attitudeFail:true']);
+    assert.ok(harness.frames.at(-1).invalid.pitch);
+
+    harness.setProps({ ...harness.props, pitch: 1 });
+    harness.loop.wake();
+    assert.ok(harness.alerts.includes('attitudeFail:false'));
+  });
+
+  it('stops its stale timer on destroy', () => {
+    const harness = setup({ pitch: 0, staleAfter: 1 });
+    harness.loop.wake();
+    harness.loop.destroy();
+    harness.advance(2000);
+    assert.deepEqual(harness.alerts, []);
+    assert.equal(harness.running, false);
+  });
+});
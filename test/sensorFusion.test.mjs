@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  FUSION_FILTERS,
+  createAttitudeFilter,
+  createFusionSource,
+  remapAxes,
+  synthesizeImuTrace,
+} from '../sensorFusion.js';
+
+const DEG = Math.PI / 180;
+
+const angleDifference = (a, b) => ((a - b + 540) % 360) - 180;
+
+// Largest error in any angle over the samples from `from` seconds on
+function worstError(filter, samples, from = 0) {
+  let worst = 0;
+  samples.forEach(sample => {
+    const estimate = filter.update(sample);
+    if (sample.time < from) return;
+    ['pitch', 'roll', 'heading'].forEach(name => {
+      worst = Math.max(worst, Math.abs(angleDifference(estimate[name], sample.truth[name])));
+    });
+  });
+  return worst;
+}
+
+// A gentle climbing turn with the bank and pitch changing
+const manoeuvre = t => ({
+  pitch: 5 + 8 * Math.sin(t * 0.4),
+  roll: 25 * Math.sin(t * 0.25),
+  heading: (40 + 6 * t) % 360,
+});
+
+const steady = attitude => () => attitude;
+
+describe('synthesizeImuTrace', () => {
+  it('is repeatable for a seed', () => {
+    const options = { attitude: manoeuvre, duration: 1, noise: { gyro: 0.01, accel: 0.02, mag: 0.02 } };
+    assert.deepEqual(synthesizeImuTrace({ ...options, seed: 7 }), synthesizeImuTrace({ ...options, seed: 7 }));
+    assert.notDeepEqual(synthesizeImuTrace({ ...options, seed: 7 }), synthesizeImuTrace({ ...options, seed: 8 }));
+  });
+
+  it('reads level and still as -1 g down', () => {
+    const [sample] = synthesizeImuTrace({ attitude: steady({ pitch: 0, roll: 0, heading: 0 }), duration: 0 });
+    assert.deepEqual(sample.accel.map(value => Math.round(value * 1e9) / 1e9), [0, 0, -1]);
+    assert.deepEqual(sample.gyro, [0, 0, 0]);
+  });
+});
+
+FUSION_FILTERS.forEach(type => {
+  describe(`${type} filter`, () => {
+    it('tracks a manoeuvre from clean sensors', () => {
+      const samples = synthesizeImuTrace({ attitude: manoeuvre, duration: 30 });
+      assert.ok(worstError(createAttitudeFilter(type), samples) < 1);
+    });
+
+    it('tracks a manoeuvre through sensor noise', () => {
+      const samples = synthesizeImuTrace({
+        attitude: manoeuvre,
+        duration: 30,
+        noise: { gyro: 0.02, accel: 0.03, mag: 0.03 },
+        seed: 3,
+      });
+      assert.ok(worstError(createAttitudeFilter(type), samples, 5) < 2);
+    });
+
+    it('converges from a wrong attitude', () => {
+      const filter = createAttitudeFilter(type);
+      const [level] = synthesizeImuTrace({ attitude: steady({ pitch: 0, roll: 0, heading: 0 }), duration: 0 });
+      filter.update({ ...level, time: -0.01 });
+      const samples = synthesizeImuTrace({ attitude: steady({ pitch: 10, roll: 30, heading: 120 }), duration: 40 });
+      assert.ok(worstError(filter, samples, 30) < 0.5);
+    });
+
+    it('holds the attitude against gyro bias', () => {
+      const truth = { pitch: 4, roll: -15, heading: 200 };
+      const samples = synthesizeImuTrace({ attitude: steady(truth), duration: 60, gyroBias: [0.02, -0.015, 0.01] });
+
+      // Integrated alone, this bias would be tens of degrees out by now
+      assert.ok(worstError(createAttitudeFilter(type), samples) < 2);
+    });
+  });
+});
+
+describe('mahony filter', () => {
+  it('learns the gyro bias with an integral gain', () => {
+    const truth = { pitch: 4, roll: -15, heading: 200 };
+    const samples = synthesizeImuTrace({ attitude: steady(truth), duration: 60, gyroBias: [0.02, -0.015, 0.01] });
+    const proportional = worstError(createAttitudeFilter('mahony', { kp: 1 }), samples, 50);
+    const integral = worstError(createAttitudeFilter('mahony', { kp: 1, ki: 0.1 }), samples, 50);
+    assert.ok(integral < 0.05);
+    assert.ok(integral < proportional / 10);
+  });
+});
+
+describe('filter options', () => {
+  it('rejects unknown filters', () => {
+    assert.throws(() => createAttitudeFilter('kalman'), /Unknown fusion filter 'kalman'/);
+  });
+
+  it('takes rates in deg/s', () => {
+    const samples = synthesizeImuTrace({ attitude: manoeuvre, duration: 10 })
+      .map(sample => ({ ...sample, gyro: sample.gyro.map(value => value / DEG) }));
+    assert.ok(worstError(createAttitudeFilter('madgwick', { gyroUnits: 'deg/s' }), samples) < 1);
+  });
+
+  it('remaps a board mounted with y left and z up', () => {
+    const axes = ['x', '-y', '-z'];
+    assert.deepEqual(remapAxes([1, 2, 3], axes), [1, -2, -3]);
+    const samples = synthesizeImuTrace({ attitude: manoeuvre, duration: 10 }).map(sample => ({
+      ...sample,
+      gyro: remapAxes(sample.gyro, axes),
+      accel: remapAxes(sample.accel, axes),
+      mag: remapAxes(sample.mag, axes),
+    }));
+    assert.ok(worstError(createAttitudeFilter('madgwick', { axes }), samples) < 1);
+  });
+
+  it('gives no heading without a magnetometer', () => {
+    const [sample] = synthesizeImuTrace({ attitude: manoeuvre, duration: 0 });
+    const attitude = createAttitudeFilter('complementary').update({ ...sample, mag: undefined });
+    assert.equal(attitude.heading, undefined);
+  });
+
+  it('swings the ball away from a sideways force', () => {
+    const [sample] = synthesizeImuTrace({ attitude: steady({}), duration: 0, lateral: () => 0.1 });
+    assert.ok(createAttitudeFilter('madgwick').update(sample).slip < -0.5);
+  });
+});
+
+describe('createFusionSource', () => {
+  it('turns IMU messages into attitude props, passing other fields through', () => {
+    let emit;
+    const source = {
+      subscribe({ onData }) {
+        emit = onData;
+        return () => {};
+      },
+    };
+    const received = [];
+    createFusionSource(source, { filter: 'mahony' }).subscribe({ onData: data => received.push(data) });
+    synthesizeImuTrace({ attitude: manoeuvre, duration: 1 }).forEach(({ truth, ...sample }) => {
+      emit({ ...sample, airspeed: 90 });
+    });
+    const last = received[received.length - 1];
+    assert.equal(last.airspeed, 90);
+    assert.ok(Math.abs(angleDifference(last.roll, manoeuvre(1).roll)) < 1);
+  });
+});
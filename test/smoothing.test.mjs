@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  DEFAULT_SMOOTHING,
+  createChannels,
+  isValidSmoothing,
+  resolveSmoothing,
+  settleChannels,
+  stepChannel,
+  stepChannels,
+} from '../smoothing.js';
+
+const HEADING = { min: 0, period: 360 };
+
+// Steps one channel from `from` towards `to` for `seconds` at `rate` Hz
+function run(config, { from = 0, to = 10, seconds = 0.5, rate = 60, range } = {}) {
+  const channel = { value: from, velocity: 0, trend: 0 };
+  const frames = Math.round(seconds * rate);
+  for (let i = 0; i < frames; i++) stepChannel(channel, to, config, 1 / rate, range);
+  return channel;
+}
+
+describe('stepChannel', () => {
+  it('gives the same result at 60 and 120 Hz', () => {
+    [
+      { type: 'exponential', timeConstant: 0.1 },
+      { type: 'spring', frequency: 12, damping: 0.7 },
+    ].forEach(config => {
+      [0.05, 0.2, 1].forEach(seconds => {
+        const at60 = run(config, { seconds, rate: 60 });
+        const at120 = run(config, { seconds, rate: 120 });
+        assert.ok(Math.abs(at60.value - at120.value) < 1e-6, `${config.type} after ${seconds} s`);
+        if (config.type === 'spring') assert.ok(Math.abs(at60.velocity - at120.velocity) < 1e-3);
+      });
+    });
+  });
+
+  it('takes the short way round from 359° to 1°', () => {
+    const channel = { value: 359, velocity: 0, trend: 0 };
+    const seen = [];
+    for (let i = 0; i < 60; i++) seen.push(stepChannel(channel, 1, DEFAULT_SMOOTHING.heading, 1 / 60, HEADING));
+    assert.ok(seen.every(value => value >= 0 && value < 360));
+    assert.ok(seen.every(value => value > 358 || value < 2), 'stays near north');
+    assert.ok(Math.abs(channel.value - 1) < 0.01);
+    assert.ok(channel.trend > 0, 'turning right');
+  });
+
+  it('jumps to the target with `none`', () => {
+    const channel = run({ type: 'none' }, { from: 3, to: 42, seconds: 1 / 60 });
+    assert.equal(channel.value, 42);
+    assert.equal(channel.velocity, 0);
+  });
+
+  it('gives a spring without a frequency the default one', () => {
+    const channel = run({ type: 'spring' }, { seconds: 2 });
+    assert.ok(Math.abs(channel.value - 10) < 0.01);
+  });
+
+  it('starts a non-finite channel again from the target', () => {
+    const channel = { value: NaN, velocity: NaN, trend: 0 };
+    stepChannel(channel, 5, { type: 'spring', frequency: 12 }, 1 / 60);
+    assert.equal(channel.value, 5);
+    assert.equal(channel.velocity, 0);
+    assert.equal(channel.trend, 0);
+  });
+});
+
+describe('stepChannels and settleChannels', () => {
+  // Frames until everything settles, or Infinity
+  function framesToSettle(smoothing, targets) {
+    const channels = createChannels({});
+    const configs = resolveSmoothing(smoothing);
+    for (let frame = 1; frame <= 2000; frame++) {
+      stepChannels(channels, targets, configs, 1 / 60);
+      if (settleChannels(channels, targets)) return frame;
+    }
+    return Infinity;
+  }
+
+  it('settles a spring, and snaps it onto the target', () => {
+    const channels = createChannels({});
+    const targets = { pitch: 10 };
+    const configs = resolveSmoothing({ pitch: { type: 'spring', frequency: 12, damping: 0.5 } });
+    let frames = 0;
+    while (!settleChannels(channels, targets) && frames < 2000) {
+      stepChannels(channels, targets, configs, 1 / 60);
+      frames++;
+    }
+    assert.ok(frames < 200, `settled after ${frames} frames`);
+    assert.equal(channels.pitch.value, 10);
+    assert.equal(channels.pitch.velocity, 0);
+  });
+
+  it('settles a spring given without a frequency', () => {
+    assert.ok(framesToSettle({ pitch: { type: 'spring' } }, { pitch: 10 }) < 200);
+  });
+
+  it('settles at once with `none`', () => {
+    assert.equal(framesToSettle({ pitch: 'none' }, { pitch: 25 }), 1);
+  });
+
+  it('caps a long step so a stall does not jump the needles', () => {
+    const channels = createChannels({});
+    const configs = resolveSmoothing();
+    stepChannels(channels, { pitch: 10 }, configs, 5);
+    assert.ok(channels.pitch.value < 10);
+    assert.ok(Math.abs(channels.pitch.value - 10 * (1 - Math.exp(-1))) < 1e-9);
+  });
+});
+
+describe('resolveSmoothing', () => {
+  it('reads the shorthands and keeps defaults for the rest', () => {
+    const configs = resolveSmoothing({ slip: 0.2, altitude: 'none' });
+    assert.deepEqual(configs.slip, { type: 'exponential', timeConstant: 0.2 });
+    assert.deepEqual(configs.altitude, { type: 'none' });
+    assert.deepEqual(configs.pitch, DEFAULT_SMOOTHING.pitch);
+  });
+
+  it('keeps the default for a config that cannot be used', () => {
+    const configs = resolveSmoothing({
+      pitch: { type: 'spring', frequency: -1 },
+      roll: { type: 'bouncy' },
+      heading: -0.1,
+      slip: { type: 'exponential' },
+    });
+    ['pitch', 'roll', 'heading', 'slip'].forEach(channel => {
+      assert.deepEqual(configs[channel], DEFAULT_SMOOTHING[channel], channel);
+    });
+  });
+});
+
+describe('isValidSmoothing', () => {
+  it('accepts every form of config', () => {
+    assert.ok(isValidSmoothing({
+      pitch: { type: 'spring' },
+      roll: { type: 'spring', frequency: 8, damping: 0 },
+      heading: 0,
+      slip: 'none',
+      altitude: { type: 'none' },
+    }));
+  });
+
+  it('rejects unknown channels and configs that cannot be used', () => {
+    assert.equal(isValidSmoothing({ ptich: 0.1 }), false);
+    assert.equal(isValidSmoothing({ pitch: { type: 'spring', frequency: NaN } }), false);
+    assert.equal(isValidSmoothing({ pitch: { type: 'spring', damping: -1 } }), false);
+    assert.equal(isValidSmoothing({ pitch: null }), false);
+  });
+});
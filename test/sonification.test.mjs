@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  DEFAULT_SONIFICATION,
+  attitudeDeviation,
+  resolveSonification,
+  sonificationTone,
+} from '../sonification.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message ?? `${actual} is not ${expected}`);
+
+describe('sonificationTone', () => {
+  it('is silent on the reference, and inside the deadband', () => {
+    assert.deepEqual(sonificationTone({ pitch: 0, roll: 0 }), { frequency: 440, pan: 0, gain: 0 });
+    assert.equal(sonificationTone({ pitch: 2, roll: -2 }).gain, 0);
+    assert.ok(sonificationTone({ pitch: 2.1, roll: 0 }).gain > 0);
+  });
+
+  it('goes an octave up or down at pitchRange', () => {
+    close(sonificationTone({ pitch: 20 }).frequency, 880);
+    close(sonificationTone({ pitch: -20 }).frequency, 220);
+    close(sonificationTone({ pitch: 10 }).frequency, 440 * Math.SQRT2);
+    close(sonificationTone({ pitch: 90 }).frequency, 880, 'no further than an octave');
+    close(sonificationTone({ pitch: -90 }).frequency, 220);
+  });
+
+  it('pans with the bank, fully over at bankRange', () => {
+    assert.equal(sonificationTone({ roll: 45 }).pan, 1);
+    assert.equal(sonificationTone({ roll: -22.5 }).pan, -0.5);
+    assert.equal(sonificationTone({ roll: 120 }).pan, 1);
+    assert.equal(sonificationTone({ roll: -120 }).pan, -1);
+  });
+
+  it('gets louder with the deviation, up to volume', () => {
+    const gains = [3, 10, 15, 20].map(pitch => sonificationTone({ pitch }).gain);
+    gains.slice(1).forEach((gain, i) => assert.ok(gain > gains[i], gains.join()));
+    close(gains.at(-1), DEFAULT_SONIFICATION.volume);
+    close(sonificationTone({ roll: 45 }).gain, DEFAULT_SONIFICATION.volume);
+    assert.ok(sonificationTone({ pitch: 3 }).gain >= 0.25 * DEFAULT_SONIFICATION.volume);
+  });
+
+  it('stays in range for any input', () => {
+    [NaN, null, undefined, Infinity, -Infinity, 1e9].forEach((value) => {
+      const tone = sonificationTone({ pitch: value, roll: value });
+      assert.ok(tone.frequency >= 220 && tone.frequency <= 880, `${value}: ${tone.frequency} Hz`);
+      assert.ok(tone.pan >= -1 && tone.pan <= 1, `${value}: pan ${tone.pan}`);
+      assert.ok(tone.gain >= 0 && tone.gain <= DEFAULT_SONIFICATION.volume, `${value}: gain ${tone.gain}`);
+    });
+  });
+
+  it('follows the settings', () => {
+    const settings = resolveSonification({ frequency: 300, pitchRange: 10, volume: 1 });
+    close(sonificationTone({ pitch: 10 }, settings).frequency, 600);
+    close(sonificationTone({ pitch: 10 }, settings).gain, 1);
+  });
+});
+
+describe('attitudeDeviation', () => {
+  const props = { pitch: 8, roll: 25, flightDirector: true, fdPitch: 5, fdRoll: 30 };
+
+  it('measures from level flight by default', () => {
+    assert.deepEqual(attitudeDeviation(props), { pitch: 8, roll: 25 });
+    assert.deepEqual(attitudeDeviation({ pitch: NaN }), { pitch: 0, roll: 0 });
+  });
+
+  it('measures from the command bars when following the flight director', () => {
+    assert.deepEqual(attitudeDeviation(props, 'flightDirector'), { pitch: 3, roll: -5 });
+    assert.deepEqual(attitudeDeviation({ ...props, flightDirector: false }, 'flightDirector'), { pitch: 8, roll: 25 });
+    assert.deepEqual(attitudeDeviation({ ...props, fdRoll: NaN }, 'flightDirector'), { pitch: 3, roll: 0 });
+    const settings = resolveSonification({ reference: 'flightDirector' });
+    assert.equal(sonificationTone({ ...props, pitch: 5, roll: 30 }, settings).gain, 0);
+  });
+});
+
+describe('resolveSonification', () => {
+  it('turns the prop into settings, or off', () => {
+    assert.equal(resolveSonification(true), DEFAULT_SONIFICATION);
+    assert.deepEqual(resolveSonification({ volume: 0.5 }), { ...DEFAULT_SONIFICATION, volume: 0.5 });
+    [false, undefined, null, 'on'].forEach(value => assert.equal(resolveSonification(value), null));
+  });
+});
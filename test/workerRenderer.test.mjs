@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getDefaultLayers, registerLayer, removeLayer, unregisterLayer } from '../instrumentLayers.js';
+import { findWorkerProblems, toCloneable } from '../workerRenderer.js';
+
+const custom = { id: 'custom', draw() {} };
+
+describe('findWorkerProblems', () => {
+  it('passes plain data, callbacks and built-in layers in any form', () => {
+    assert.deepEqual(findWorkerProblems({ pitch: 3, fields: { altitude: { value: 'altitude' } }, onAlert() {} }), []);
+    assert.deepEqual(findWorkerProblems({ layers: ['background', 'bezel'] }), []);
+    assert.deepEqual(findWorkerProblems({ layers: stack => removeLayer(stack, 'bezel') }), []);
+    assert.deepEqual(findWorkerProblems({ layers: getDefaultLayers().slice(1) }), []);
+  });
+
+  it('names functions the worker would lose', () => {
+    const props = {
+      fields: { altitude: { format: value => `${value}` } },
+      alerts: { bankAngle: { above: () => 30 } },
+    };
+    assert.deepEqual(findWorkerProblems(props), ['`fields.altitude.format` is a function', '`alerts.bankAngle.above` is a function']);
+  });
+
+  it('names layers the worker does not have', () => {
+    assert.deepEqual(findWorkerProblems({ layers: ['background', custom] }), ["layer 'custom' is not built in"]);
+    assert.deepEqual(findWorkerProblems({ layers: stack => [...stack, custom] }), ["layer 'custom' is not built in"]);
+  });
+
+  it('names layers registered on this thread', () => {
+    registerLayer(custom);
+    try {
+      assert.deepEqual(findWorkerProblems({}), ["layer 'custom' is not built in"]);
+      assert.deepEqual(findWorkerProblems({ layers: ['background', 'custom'] }), ["layer 'custom' is not built in"]);
+      assert.deepEqual(findWorkerProblems({ layers: ['background'] }), []);
+    } finally {
+      unregisterLayer('custom');
+    }
+    assert.deepEqual(findWorkerProblems({}), []);
+  });
+});
+
+describe('toCloneable', () => {
+  it('drops functions at any depth', () => {
+    assert.deepEqual(toCloneable({ a: 1, b: () => {}, c: [1, () => {}, { d: () => {}, e: 'x' }] }), { a: 1, c: [1, { e: 'x' }] });
+  });
+});
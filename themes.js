@@ -0,0 +1,161 @@
+// ============================================================================
+// THEMES
+// ============================================================================
+//
+// Every colour the instrument paints comes from a palette. Pass a preset name
+// or a palette object as the `theme` prop; partial palettes are merged over
+// the day theme. `brightness` (0-1) dims the whole palette for cockpit use.
+
+const day = {
+  sky: '#1a6eb5',
+  skyDark: '#0d4a7a',
+  ground: '#6b4423',
+  groundDark: '#3d2615',
+  horizon: '#ffffff',
+  bezel: '#1a1a1a',
+  bezelHighlight: '#2a2a2a',
+  panel: '#1a1a1a',                  // compass, slip tube and VS tape backgrounds
+  statusBar: 'rgba(26, 26, 26, 0.9)',
+  bankArc: '#333333',
+  slipMarks: '#444444',
+  tape: 'rgba(26, 26, 26, 0.75)',    // airspeed and altitude tapes
+  warning: '#ff0000',                // red line, recovery chevrons
+  textGreen: '#00ff00',
+  textCyan: '#00ffff',
+  textMagenta: '#ff00ff',
+  textWhite: '#ffffff',
+  textYellow: '#ffff00',
+  aircraft: '#ffff00',
+  slipBall: '#ffffff',
+};
+
+// Dimmed, red-shifted symbology that preserves night vision
+const night = {
+  sky: '#0a2e4a',
+  skyDark: '#051a2e',
+  ground: '#3d2010',
+  groundDark: '#1f1008',
+  horizon: '#ff6600',
+  bezel: '#0a0a0a',
+  bezelHighlight: '#141414',
+  panel: '#0a0a0a',
+  statusBar: 'rgba(10, 10, 10, 0.9)',
+  bankArc: '#1f1f1f',
+  slipMarks: '#2a2a2a',
+  tape: 'rgba(10, 10, 10, 0.75)',
+  warning: '#ff2200',
+  textGreen: '#00aa00',
+  textCyan: '#00aaaa',
+  textMagenta: '#aa00aa',
+  textWhite: '#cc4422',
+  textYellow: '#cc8800',
+  aircraft: '#ff6600',
+  slipBall: '#cc4422',
+};
+
+// NVG-compatible: green-only symbology on a dark ball, nothing that would
+// bloom night vision goggles
+const nvg = {
+  sky: '#062a12',
+  skyDark: '#021408',
+  ground: '#0d1a05',
+  groundDark: '#050a02',
+  horizon: '#4cff4c',
+  bezel: '#000000',
+  bezelHighlight: '#0c140c',
+  panel: '#000000',
+  statusBar: 'rgba(0, 0, 0, 0.9)',
+  bankArc: '#0f1f0f',
+  slipMarks: '#1f3f1f',
+  tape: 'rgba(0, 0, 0, 0.75)',
+  warning: '#e6ffb3',
+  textGreen: '#4cff4c',
+  textCyan: '#33cc66',
+  textMagenta: '#99ff99',
+  textWhite: '#66ff66',
+  textYellow: '#b3ff66',
+  aircraft: '#b3ff66',
+  slipBall: '#66ff66',
+};
+
+// Monochrome with maximum contrast for sunlight or low vision
+const highContrast = {
+  sky: '#4d4d4d',
+  skyDark: '#4d4d4d',
+  ground: '#000000',
+  groundDark: '#000000',
+  horizon: '#ffffff',
+  bezel: '#000000',
+  bezelHighlight: '#404040',
+  panel: '#000000',
+  statusBar: 'rgba(0, 0, 0, 1)',
+  bankArc: '#000000',
+  slipMarks: '#808080',
+  tape: 'rgba(0, 0, 0, 0.85)',
+  warning: '#ffffff',
+  textGreen: '#ffffff',
+  textCyan: '#ffffff',
+  textMagenta: '#ffffff',
+  textWhite: '#ffffff',
+  textYellow: '#ffffff',
+  aircraft: '#ffffff',
+  slipBall: '#ffffff',
+};
+
+export const THEMES = { day, night, nvg, highContrast };
+
+export const DEFAULT_THEME = 'day';
+
+// ============================================================================
+// BRIGHTNESS
+// ============================================================================
+
+function parseColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+  }
+  const rgb = /^rgba?\(([^)]+)\)$/i.exec(color);
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(',').map(Number);
+    return [r, g, b, a];
+  }
+  return null;
+}
+
+function dim(color, brightness) {
+  const parsed = parseColor(color);
+  if (!parsed) return color;
+  const [r, g, b, a] = parsed;
+  const scale = channel => Math.round(channel * brightness);
+  return `rgba(${scale(r)}, ${scale(g)}, ${scale(b)}, ${a})`;
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+const resolved = new Map();
+
+// Turns the `theme` / `brightness` props into a complete palette. Results are
+// memoized, so this is cheap to call every frame.
+export function resolveTheme(theme = DEFAULT_THEME, brightness = 1) {
+  const level = Math.min(1, Math.max(0, brightness));
+  const key = `${typeof theme === 'string' ? theme : JSON.stringify(theme)}|${level}`;
+
+  let palette = resolved.get(key);
+  if (!palette) {
+    const base = typeof theme === 'string' ? THEMES[theme] ?? THEMES[DEFAULT_THEME] : { ...THEMES[DEFAULT_THEME], ...theme };
+    palette = {};
+    Object.keys(base).forEach(name => {
+      palette[name] = level === 1 ? base[name] : dim(base[name], level);
+    });
+    palette.key = key;
+
+    // Custom palettes can change every render; keep the memo small
+    if (resolved.size > 32) resolved.clear();
+    resolved.set(key, palette);
+  }
+  return palette;
+}
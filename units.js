@@ -0,0 +1,127 @@
+// ============================================================================
+// UNITS
+// ============================================================================
+//
+// Props are given in aviation units (knots, feet, fpm, inHg, nautical miles)
+// unless `inputUnits` says otherwise, and displayed in `units`. Both take a
+// preset name or an object naming the unit per quantity, merged over the
+// imperial preset:
+//
+//   units="metric"
+//   units={{ speed: 'm/s', altitude: 'm', pressure: 'hPa' }}   // mixed
+//
+// The render loop converts the props once on the way in, so every layer and
+// data field works in display units and can read the active units from
+// `frame.units`.
+
+// `factor` converts from the first unit of each quantity. `tape` and `range`
+// scale the tapes and VSI so they read sensibly in every unit.
+export const UNITS = {
+  speed: {
+    kt: { factor: 1, symbol: 'kts', tape: { range: 30, minor: 5, major: 10 } },
+    'km/h': { factor: 1.852, symbol: 'km/h', tape: { range: 60, minor: 10, major: 20 } },
+    'm/s': { factor: 0.514444, symbol: 'm/s', tape: { range: 15, minor: 2.5, major: 5 } },
+    mph: { factor: 1.150779, symbol: 'mph', tape: { range: 35, minor: 5, major: 10 } },
+  },
+  altitude: {
+    ft: { factor: 1, symbol: 'ft', tape: { range: 300, minor: 20, major: 100, drum: 20 } },
+    m: { factor: 0.3048, symbol: 'm', tape: { range: 100, minor: 10, major: 50, drum: 10 } },
+  },
+  verticalSpeed: {
+    fpm: { factor: 1, symbol: 'fpm', range: 2000 },
+    'm/s': { factor: 0.00508, symbol: 'm/s', range: 10 },
+  },
+  pressure: {
+    inHg: { factor: 1, symbol: 'inHg', decimals: 2 },
+    hPa: { factor: 33.8639, symbol: 'hPa', decimals: 0 },
+  },
+  distance: {
+    nm: { factor: 1, symbol: 'nm' },
+    km: { factor: 1.852, symbol: 'km' },
+    mi: { factor: 1.150779, symbol: 'mi' },
+  },
+};
+
+export const UNIT_SYSTEMS = {
+  imperial: { speed: 'kt', altitude: 'ft', verticalSpeed: 'fpm', pressure: 'inHg', distance: 'nm' },
+  metric: { speed: 'km/h', altitude: 'm', verticalSpeed: 'm/s', pressure: 'hPa', distance: 'km' },
+};
+
+export const DEFAULT_UNITS = 'imperial';
+
+// Props holding a single quantity. Add to this when a new prop carries a unit.
+export const UNIT_PROPS = {
+  airspeed: 'speed',
+  altitude: 'altitude',
+  selectedAltitude: 'altitude',
+  verticalSpeed: 'verticalSpeed',
+  selectedVerticalSpeed: 'verticalSpeed',
+  baroSetting: 'pressure',
+  distance: 'distance',
+};
+
+const resolved = new Map();
+
+// Turns a `units` / `inputUnits` prop into { speed: { name, factor, ... }, ... }.
+// Memoized, so this is cheap to call every frame.
+export function resolveUnits(units = DEFAULT_UNITS) {
+  const key = typeof units === 'string' ? units : JSON.stringify(units);
+
+  let system = resolved.get(key);
+  if (!system) {
+    const names = typeof units === 'string'
+      ? UNIT_SYSTEMS[units] ?? UNIT_SYSTEMS[DEFAULT_UNITS]
+      : { ...UNIT_SYSTEMS[DEFAULT_UNITS], ...units };
+    system = { key };
+    Object.keys(UNITS).forEach(quantity => {
+      const name = UNITS[quantity][names[quantity]] ? names[quantity] : UNIT_SYSTEMS[DEFAULT_UNITS][quantity];
+      system[quantity] = { name, ...UNITS[quantity][name] };
+    });
+
+    if (resolved.size > 32) resolved.clear();
+    resolved.set(key, system);
+  }
+  return system;
+}
+
+// Converts a value of `quantity` between two unit names
+export function convert(value, quantity, from, to) {
+  if (typeof value !== 'number' || from === to) return value;
+  return value * UNITS[quantity][to].factor / UNITS[quantity][from].factor;
+}
+
+const converted = new WeakMap();
+
+// Returns the props with every unit-bearing value in display units. The same
+// props object is drawn many times while the needles move, so the result is
+// cached per props object.
+export function toDisplayUnits(props) {
+  const input = resolveUnits(props.inputUnits);
+  const display = resolveUnits(props.units);
+  if (input.key === display.key) return props;
+
+  let result = converted.get(props);
+  if (!result) {
+    const toDisplay = (value, quantity) => convert(value, quantity, input[quantity].name, display[quantity].name);
+
+    result = { ...props };
+    Object.keys(UNIT_PROPS).forEach(name => {
+      if (props[name] !== undefined) result[name] = toDisplay(props[name], UNIT_PROPS[name]);
+    });
+    if (props.vSpeeds) {
+      result.vSpeeds = {};
+      Object.keys(props.vSpeeds).forEach(name => {
+        result.vSpeeds[name] = toDisplay(props.vSpeeds[name], 'speed');
+      });
+    }
+    if (props.speedBands) {
+      result.speedBands = props.speedBands.map(band => ({
+        ...band,
+        from: toDisplay(band.from, 'speed'),
+        to: toDisplay(band.to, 'speed'),
+      }));
+    }
+    converted.set(props, result);
+  }
+  return result;
+}
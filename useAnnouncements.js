@@ -0,0 +1,133 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ALERT_LEVELS } from './alerts';
+import { ANNOUNCE_KEYS, describe, describeAlert, describeAttitude } from './announcements';
+import { createSonifier, resolveSonification } from './sonification';
+import { resolveUnits, toDisplayUnits } from './units';
+
+// ============================================================================
+// USE ANNOUNCEMENTS
+// ============================================================================
+//
+// Keeps screen reader users up to date with the instrument (see
+// announcements.js):
+//
+//   - every `announceInterval` seconds, the attitude summary if it has
+//     changed (0 turns this off)
+//   - on a key from ANNOUNCE_KEYS while the instrument has focus, the value
+//     asked for, straight away
+//   - each alert as it is raised or cleared, through `handleAlert`
+//
+// and plays the `sonification` tone (see sonification.js), which starts on
+// the first key press or pointer press on the instrument if the browser held
+// it back.
+//
+// Returns the text for two live regions: `status` (polite) and `alert`
+// (assertive). The component renders them. `getDataAge` gives the render
+// loop's data age, so stale data is announced as failed, as it is shown.
+
+// A live region only speaks when its text changes, so a repeat gets a
+// trailing non-breaking space
+const freshText = text => previous => (previous === text ? `${text}\u00a0` : text);
+
+const byLevel = (a, b) => ALERT_LEVELS.indexOf(a.level) - ALERT_LEVELS.indexOf(b.level);
+
+const noDataAge = () => 0;
+
+export function useAnnouncements(targetRef, props, { key, getDataAge = noDataAge } = {}) {
+  const [status, setStatus] = useState('');
+  const [alert, setAlert] = useState('');
+  const propsRef = useRef(props);
+  const activeAlertsRef = useRef(new Map());
+  const pendingAlertsRef = useRef([]);
+  const lastSummaryRef = useRef(null);
+  const sonifierRef = useRef(null);
+  propsRef.current = props;
+
+  const { announceInterval } = props;
+  const sonification = resolveSonification(props.sonification);
+  const sonificationKey = sonification && JSON.stringify(sonification);
+
+  // Announcements read the props in the units the instrument shows
+  const read = useCallback(() => {
+    const display = toDisplayUnits(propsRef.current);
+    return { props: display, units: resolveUnits(display.units), dataAge: getDataAge() };
+  }, [getDataAge]);
+
+  const announce = useCallback((text) => setStatus(freshText(text)), []);
+
+  useEffect(() => {
+    if (!(announceInterval > 0)) return undefined;
+    const timer = setInterval(() => {
+      const { props: display, units, dataAge } = read();
+      const summary = describeAttitude(display, units, undefined, dataAge);
+      if (summary === lastSummaryRef.current) return;
+      lastSummaryRef.current = summary;
+      announce(summary);
+    }, announceInterval * 1000);
+    return () => clearInterval(timer);
+  }, [announceInterval, announce, read]);
+
+  // Alerts raised in the same frame are read out together
+  const handleAlert = useCallback((change) => {
+    const active = activeAlertsRef.current;
+    if (change.active) active.set(change.id, change);
+    else active.delete(change.id);
+
+    const pending = pendingAlertsRef.current;
+    pending.push(change);
+    if (pending.length > 1) return;
+    queueMicrotask(() => {
+      const text = pendingAlertsRef.current.map(describeAlert).join('. ');
+      pendingAlertsRef.current = [];
+      setAlert(freshText(text));
+    });
+  }, []);
+
+  useEffect(() => {
+    const element = targetRef.current;
+    if (!element) return undefined;
+
+    const handleKeyDown = (event) => {
+      sonifierRef.current?.resume();
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      const what = ANNOUNCE_KEYS[event.key.toLowerCase()];
+      if (!what) return;
+      event.preventDefault();
+      const alerts = [...activeAlertsRef.current.values()].sort(byLevel);
+      const { props: display, units, dataAge } = read();
+      announce(describe(what, display, units, alerts, dataAge));
+    };
+
+    const handlePointerDown = () => {
+      sonifierRef.current?.resume();
+    };
+
+    element.addEventListener('keydown', handleKeyDown);
+    element.addEventListener('pointerdown', handlePointerDown);
+    return () => {
+      element.removeEventListener('keydown', handleKeyDown);
+      element.removeEventListener('pointerdown', handlePointerDown);
+    };
+  }, [key, targetRef, announce, read]);
+
+  // Rebuilt only when the settings themselves change, not on every render
+  // of an inline object, so they are read back from the key
+  useEffect(() => {
+    if (!sonificationKey) return undefined;
+    const sonifier = createSonifier(JSON.parse(sonificationKey));
+    if (!sonifier) return undefined;
+    sonifierRef.current = sonifier;
+    sonifier.update(propsRef.current);
+    sonifier.resume();
+    return () => {
+      sonifier.destroy();
+      sonifierRef.current = null;
+    };
+  }, [sonificationKey]);
+
+  useEffect(() => {
+    sonifierRef.current?.update(props);
+  }, [props]);
+
+  return { status, alert, handleAlert };
+}
@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react';
+
+// ============================================================================
+// USE FLIGHT DATA
+// ============================================================================
+//
+// Subscribes to a flight data source (see flightDataSources.js) and keeps the
+// latest props, merged message by message, ready to spread into the
+// component:
+//
+//   const source = useMemo(() => createWebSocketSource('ws://localhost:8080'), []);
+//   const { flightData, status } = useFlightData(source);
+//   <AttitudeIndicatorCanvas {...flightData} size={400} />
+//
+// The source is connected while the component is mounted and whenever it
+// changes, so create it once (useMemo or module scope), not on every render.
+// Pass null to stay disconnected.
+
+export function useFlightData(source, initialData = {}) {
+  const [flightData, setFlightData] = useState(initialData);
+  const [status, setStatus] = useState(source ? 'connecting' : 'disconnected');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!source) {
+      setStatus('disconnected');
+      return undefined;
+    }
+
+    return source.subscribe({
+      onData: data => setFlightData(previous => ({ ...previous, ...data })),
+      onStatus: (next, reason = null) => {
+        setStatus(next);
+        setError(reason);
+      },
+    });
+  }, [source]);
+
+  return { flightData, status, error };
+}
@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  REPLAY_SPEEDS,
+  createFlightRecorder,
+  recordingDuration,
+  sampleAt,
+} from './flightRecording';
+
+// ============================================================================
+// USE FLIGHT RECORDER / USE FLIGHT REPLAY
+// ============================================================================
+//
+// React side of flightRecording.js. The recorder takes a snapshot every time
+// the flight data object changes; the replay hook plays a recording back as
+// the same props, so the component can't tell playback from live data:
+//
+//   const recorder = useFlightRecorder(flightData);
+//   const replay = useFlightReplay(recording);
+//   <AttitudeIndicatorCanvas {...(replay.active ? replay.flightData : flightData)} />
+
+export function useFlightRecorder(flightData) {
+  const recorderRef = useRef(null);
+  const [recording, setRecording] = useState(false);
+
+  useEffect(() => {
+    if (recording) recorderRef.current.record(flightData);
+  }, [recording, flightData]);
+
+  const start = useCallback(() => {
+    recorderRef.current = createFlightRecorder();
+    setRecording(true);
+  }, []);
+
+  // Returns the finished recording
+  const stop = useCallback(() => {
+    setRecording(false);
+    return recorderRef.current?.recording() ?? null;
+  }, []);
+
+  return {
+    recording,
+    sampleCount: recorderRef.current?.sampleCount ?? 0,
+    duration: recorderRef.current?.duration ?? 0,
+    start,
+    stop,
+  };
+}
+
+const MIN_SPEED = REPLAY_SPEEDS[0];
+const MAX_SPEED = REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1];
+
+export function useFlightReplay(recording) {
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeedState] = useState(1);
+  const timeRef = useRef(0);
+  const duration = recordingDuration(recording);
+
+  const seek = useCallback((next) => {
+    timeRef.current = Math.min(Math.max(next, 0), duration);
+    setTime(timeRef.current);
+  }, [duration]);
+
+  // A new recording starts from the top, paused
+  useEffect(() => {
+    setPlaying(false);
+    timeRef.current = 0;
+    setTime(0);
+  }, [recording]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const next = timeRef.current + ((now - last) / 1000) * speed;
+      last = now;
+      if (next >= duration) {
+        seek(duration);
+        setPlaying(false);
+        return;
+      }
+      seek(next);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, duration, seek]);
+
+  const play = useCallback(() => {
+    if (!duration) return;
+    if (timeRef.current >= duration) seek(0);
+    setPlaying(true);
+  }, [duration, seek]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const setSpeed = useCallback((next) => {
+    setSpeedState(Math.min(Math.max(next, MIN_SPEED), MAX_SPEED));
+  }, []);
+
+  const flightData = useMemo(() => (recording ? sampleAt(recording, time) : null), [recording, time]);
+
+  return {
+    active: Boolean(recording),
+    flightData,
+    time,
+    duration,
+    playing,
+    speed,
+    play,
+    pause,
+    seek,
+    setSpeed,
+  };
+}
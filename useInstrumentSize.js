@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react';
+import { instrumentSize } from './geometry';
+
+// ============================================================================
+// USE INSTRUMENT SIZE
+// ============================================================================
+//
+// How big the instrument is on screen and how many canvas pixels back it:
+//
+//   width, height     CSS pixels, from `size`, `shape` and `aspectRatio`
+//                     (see geometry.js)
+//   size              the height, which is what `size` would have been
+//   pixelRatio        canvas pixels per CSS pixel: `pixelRatio`, or the
+//                     device's, followed as it changes (browser zoom, a move
+//                     to another screen)
+//   backingWidth,
+//   backingHeight     the canvas size in its own pixels
+//   borderRadius      CSS border radius following the bezel
+//
+// With `autoSize` the instrument fills the width of its parent element,
+// followed with a ResizeObserver, and `size` is only used until the first
+// measurement. The height follows from the shape, so the parent's width
+// mustn't depend on the instrument's.
+
+// Corner radius of the rectangular bezel, in its height
+const CORNER = 0.12;
+
+const devicePixelRatio = () => (
+  typeof window !== 'undefined' && window.devicePixelRatio > 0 ? window.devicePixelRatio : 1
+);
+
+export function useDevicePixelRatio() {
+  const [ratio, setRatio] = useState(devicePixelRatio);
+
+  // A resolution query only matches one ratio, so it is replaced each time
+  // the ratio changes
+  useEffect(() => {
+    if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return undefined;
+    const update = () => setRatio(devicePixelRatio());
+    const query = window.matchMedia(`(resolution: ${ratio}dppx)`);
+    query.addEventListener?.('change', update);
+    update();
+    return () => query.removeEventListener?.('change', update);
+  }, [ratio]);
+
+  return ratio;
+}
+
+// The content width of the parent of `targetRef`'s element, or null until
+// it has been measured
+function useParentWidth(targetRef, enabled, key) {
+  const [width, setWidth] = useState(null);
+
+  useEffect(() => {
+    const parent = targetRef.current?.parentElement;
+    if (!enabled || !parent || typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(parent);
+    return () => observer.disconnect();
+  }, [enabled, key, targetRef]);
+
+  return enabled ? width : null;
+}
+
+// `props` are normalized (see propValidation.js). `key` changes when the
+// element in `targetRef` is replaced.
+export function useInstrumentSize(targetRef, props, { key } = {}) {
+  const deviceRatio = useDevicePixelRatio();
+  const parentWidth = useParentWidth(targetRef, props.autoSize, key);
+
+  const aspect = props.shape === 'rectangular' ? props.aspectRatio : 1;
+  const size = parentWidth > 0 ? Math.max(1, Math.floor(parentWidth / aspect)) : props.size;
+  const { width, height } = instrumentSize({ ...props, size });
+  const pixelRatio = props.pixelRatio > 0 ? props.pixelRatio : deviceRatio;
+
+  return {
+    width,
+    height,
+    size,
+    pixelRatio,
+    backingWidth: Math.round(width * pixelRatio),
+    backingHeight: Math.round(height * pixelRatio),
+    borderRadius: props.shape === 'rectangular' ? Math.round(height * CORNER) : '50%',
+  };
+}
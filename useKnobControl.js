@@ -0,0 +1,165 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { resolveUnits, toDisplayUnits } from './units';
+import {
+  INITIAL_KNOB_STATE,
+  KNOB_TIMEOUT,
+  findSetting,
+  knobReducer,
+  settingValue,
+  stepSetting,
+  toInputUnits,
+} from './knobControl';
+
+// ============================================================================
+// USE KNOB CONTROL
+// ============================================================================
+//
+// Turns pointer, wheel and keyboard input on the instrument into knob turns
+// and pushes (see knobControl.js):
+//
+//   wheel                       one click per notch
+//   drag round the centre       one click per DRAG_DEGREES, clockwise up
+//   click / tap                 push
+//   arrow keys                  one click (PageUp / PageDown ten)
+//   Enter / Space               push
+//   Escape                      back to the main page
+//
+// Returns the knob state, which the component passes on to the knobMenu layer.
+
+const DRAG_DEGREES = 15;
+const TAP_SLOP = 6;         // pixels a tap may move before it counts as a drag
+const WHEEL_NOTCH = 40;     // pixels of wheel delta per click
+
+const KEY_STEPS = { ArrowUp: 1, ArrowRight: 1, ArrowDown: -1, ArrowLeft: -1, PageUp: 10, PageDown: -10 };
+
+export function useKnobControl(targetRef, props, { enabled, key } = {}) {
+  const [knob, setKnob] = useState(INITIAL_KNOB_STATE);
+  const knobRef = useRef(knob);
+  const propsRef = useRef(props);
+  const pendingRef = useRef(null);
+  propsRef.current = props;
+
+  // The ref is the source of truth, so input arriving faster than React
+  // re-renders still sees the page it was meant for
+  const dispatch = useCallback((action) => {
+    knobRef.current = knobReducer(knobRef.current, action);
+    setKnob(knobRef.current);
+  }, []);
+
+  const rotate = useCallback((steps) => {
+    const state = knobRef.current;
+    if (state.page === 'main') {
+      const current = propsRef.current;
+      const setting = findSetting(state.setting);
+      const units = resolveUnits(current.units);
+
+      // Several clicks can arrive before the host re-renders with the new
+      // value, so keep counting from the last one sent
+      const pending = pendingRef.current;
+      const from = pending && pending.props === current && pending.setting === setting.id
+        ? pending.value
+        : settingValue(setting, toDisplayUnits(current), units);
+      const value = stepSetting(setting, from, steps, units);
+      pendingRef.current = { props: current, setting: setting.id, value };
+      current[setting.callback]?.(toInputUnits(setting, value, current));
+    }
+    dispatch({ type: 'rotate', steps });
+  }, [dispatch]);
+
+  const push = useCallback(() => dispatch({ type: 'push' }), [dispatch]);
+  const back = useCallback(() => dispatch({ type: 'back' }), [dispatch]);
+
+  // Back to the main page after a while without input
+  useEffect(() => {
+    if (!knob.active) return undefined;
+    const timer = setTimeout(() => dispatch({ type: 'timeout' }), KNOB_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [knob, dispatch]);
+
+  useEffect(() => {
+    const element = targetRef.current;
+    if (!enabled || !element) return undefined;
+
+    let wheelDelta = 0;
+    let drag = null;
+
+    const centre = () => {
+      const rect = element.getBoundingClientRect();
+      return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    };
+    const angleOf = (event) => {
+      const { x, y } = centre();
+      return Math.atan2(event.clientY - y, event.clientX - x) * 180 / Math.PI;
+    };
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      wheelDelta += event.deltaMode === 1 ? event.deltaY * WHEEL_NOTCH : event.deltaY;
+      const steps = Math.trunc(wheelDelta / WHEEL_NOTCH);
+      if (steps === 0) return;
+      wheelDelta -= steps * WHEEL_NOTCH;
+      rotate(-steps);
+    };
+
+    const handlePointerDown = (event) => {
+      element.setPointerCapture?.(event.pointerId);
+      drag = { id: event.pointerId, x: event.clientX, y: event.clientY, angle: angleOf(event), turned: 0, moved: false };
+    };
+
+    const handlePointerMove = (event) => {
+      if (!drag || event.pointerId !== drag.id) return;
+      if (!drag.moved && Math.hypot(event.clientX - drag.x, event.clientY - drag.y) < TAP_SLOP) return;
+      drag.moved = true;
+
+      const angle = angleOf(event);
+      drag.turned += ((angle - drag.angle + 540) % 360) - 180;
+      drag.angle = angle;
+      const steps = Math.trunc(drag.turned / DRAG_DEGREES);
+      if (steps !== 0) {
+        drag.turned -= steps * DRAG_DEGREES;
+        rotate(steps);
+      }
+    };
+
+    const handlePointerUp = (event) => {
+      if (!drag || event.pointerId !== drag.id) return;
+      if (!drag.moved) push();
+      drag = null;
+    };
+
+    const handlePointerCancel = () => {
+      drag = null;
+    };
+
+    const handleKeyDown = (event) => {
+      if (KEY_STEPS[event.key] !== undefined) {
+        rotate(KEY_STEPS[event.key]);
+      } else if (event.key === 'Enter' || event.key === ' ') {
+        push();
+      } else if (event.key === 'Escape') {
+        back();
+      } else {
+        return;
+      }
+      event.preventDefault();
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    element.addEventListener('pointerdown', handlePointerDown);
+    element.addEventListener('pointermove', handlePointerMove);
+    element.addEventListener('pointerup', handlePointerUp);
+    element.addEventListener('pointercancel', handlePointerCancel);
+    element.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      element.removeEventListener('wheel', handleWheel);
+      element.removeEventListener('pointerdown', handlePointerDown);
+      element.removeEventListener('pointermove', handlePointerMove);
+      element.removeEventListener('pointerup', handlePointerUp);
+      element.removeEventListener('pointercancel', handlePointerCancel);
+      element.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [enabled, key, targetRef, rotate, push, back]);
+
+  return { ...knob, rotate, push, back };
+}
@@ -0,0 +1,164 @@
+// ============================================================================
+// VERTICAL SPEED INDICATOR
+// ============================================================================
+//
+// The VSI strip on the right edge of the dial. Its scale is set by props, in
+// display units:
+//
+//   vsiRange                full-scale deflection (default 2000 fpm or 10 m/s)
+//   vsiScale                'linear' or 'nonlinear' (compressed towards the
+//                           ends, like a mechanical VSI)
+//   vsiReadoutThreshold     show the numeric value above this rate
+//                           (default 5% of the range)
+//   selectedVerticalSpeed   cyan bug on the scale
+
+import { alertColor, drawFailureX, isFlashedOff } from './alertLayers';
+import { alertForField } from './alerts';
+import { TAPE_LAYOUT } from './tapeLayers';
+
+// How hard the non-linear scale compresses: half the range sits at 68% of the
+// deflection
+const NONLINEAR_FACTOR = 4;
+
+const VSI = {
+  x: 0.79,          // left edge of the strip, inside the bezel ring
+  width: 0.08,
+  halfHeight: 0.18, // strip extends this far above and below the centre
+  deflection: 0.15, // full-scale pointer travel from the centre
+};
+
+function resolveVsi(props, units) {
+  const range = props.vsiRange > 0 ? props.vsiRange : units.verticalSpeed.range;
+  return {
+    range,
+    scale: props.vsiScale ?? 'linear',
+    threshold: props.vsiReadoutThreshold ?? range / 20,
+  };
+}
+
+// Maps a vertical speed to -1...1 of the pointer travel
+export function vsiPosition(value, { range, scale }) {
+  const fraction = Math.min(1, Math.abs(value) / range);
+  const position = scale === 'nonlinear'
+    ? Math.log1p(NONLINEAR_FACTOR * fraction) / Math.log1p(NONLINEAR_FACTOR)
+    : fraction;
+  return Math.sign(value) * position;
+}
+
+// Graduation labels are unsigned and in thousands for fpm-sized ranges
+function formatGraduation(value, range) {
+  const shown = range >= 1000 ? value / 1000 : value;
+  return Number(shown.toFixed(1)).toString();
+}
+
+function formatReadout(value, range) {
+  if (range >= 100) return (Math.round(value / 10) * 10).toString();
+  return value.toFixed(1);
+}
+
+// The strip and graduations only change with the scale settings; the
+// pointer, bug and readout are in verticalSpeedTape
+export const verticalSpeedScale = {
+  id: 'verticalSpeedScale',
+  static: true,
+  staticKey: ({ props, units }) => {
+    const { range, scale } = resolveVsi(props, units);
+    return `${range}|${scale}`;
+  },
+  draw(ctx, { cx, cy, radius, sideOffset, props, theme, units }) {
+    const vsi = resolveVsi(props, units);
+    const left = cx + radius * VSI.x + sideOffset;
+    const width = radius * VSI.width;
+    const yFor = value => cy - vsiPosition(value, vsi) * radius * VSI.deflection;
+
+    ctx.fillStyle = theme.panel;
+    ctx.fillRect(left, cy - radius * VSI.halfHeight, width, radius * VSI.halfHeight * 2);
+
+    // Minor graduations every quarter of the range, labelled majors every half
+    ctx.strokeStyle = theme.textWhite;
+    ctx.fillStyle = theme.textWhite;
+    ctx.lineWidth = radius * 0.0026;
+    ctx.font = `${radius * 0.04}px monospace`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let i = -4; i <= 4; i++) {
+      const value = (i / 4) * vsi.range;
+      const y = yFor(value);
+      const major = i % 2 === 0;
+      ctx.beginPath();
+      ctx.moveTo(left, y);
+      ctx.lineTo(left + radius * (major ? 0.02 : 0.01), y);
+      ctx.stroke();
+      if (major && i !== 0) {
+        ctx.fillText(formatGraduation(Math.abs(value), vsi.range), left + width - radius * 0.005, y);
+      }
+    }
+  },
+};
+
+export const verticalSpeedTape = {
+  id: 'verticalSpeedTape',
+  draw(ctx, { cx, cy, radius, sideOffset, state, props, alerts, invalid, time, theme, units }) {
+    const vsi = resolveVsi(props, units);
+    const left = cx + radius * VSI.x + sideOffset;
+    if (invalid.verticalSpeed) {
+      const halfHeight = radius * VSI.halfHeight;
+      drawFailureX(ctx, left, cy - halfHeight, radius * VSI.width, halfHeight * 2, theme, radius);
+      return;
+    }
+
+    const alert = alertForField(alerts, 'verticalSpeed');
+    const color = alert ? alertColor(alert, theme) : theme.textGreen;
+    const yFor = value => cy - vsiPosition(value, vsi) * radius * VSI.deflection;
+
+    // Selected vertical speed bug
+    if (Number.isFinite(props.selectedVerticalSpeed)) {
+      const y = yFor(props.selectedVerticalSpeed);
+      const bug = radius * 0.025;
+      ctx.fillStyle = theme.textCyan;
+      ctx.beginPath();
+      ctx.moveTo(left, y - bug);
+      ctx.lineTo(left + bug, y - bug);
+      ctx.lineTo(left + bug * 0.5, y);
+      ctx.lineTo(left + bug, y + bug);
+      ctx.lineTo(left, y + bug);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    if (isFlashedOff(alert, time)) return;
+
+    // VS pointer
+    const vsX = left + radius * VSI.width / 2;
+    const vsPointerY = yFor(state.verticalSpeed);
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    const pointer = radius * 0.01;
+    ctx.moveTo(vsX - pointer * 3, vsPointerY);
+    ctx.lineTo(vsX + pointer, vsPointerY - pointer);
+    ctx.lineTo(vsX + pointer, vsPointerY + pointer);
+    ctx.closePath();
+    ctx.fill();
+
+    // Numeric readout once the rate is worth reading: beside the pointer, or
+    // at the end of the strip when the altitude tape is in the way
+    if (Math.abs(state.verticalSpeed) >= vsi.threshold) {
+      const text = formatReadout(state.verticalSpeed, vsi.range);
+      const height = radius * 0.06;
+      ctx.font = `bold ${radius * 0.045}px monospace`;
+      const width = ctx.measureText(text).width + radius * 0.02;
+      let right = vsX - radius * 0.036;
+      let y = vsPointerY;
+      if (props.layout === TAPE_LAYOUT) {
+        right = left + radius * VSI.width;
+        y = cy + Math.sign(state.verticalSpeed) * -(radius * VSI.halfHeight + height / 2);
+      }
+      ctx.fillStyle = theme.panel;
+      ctx.fillRect(right - width, y - height / 2, width, height);
+      ctx.fillStyle = color;
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, right - radius * 0.01, y);
+    }
+  },
+};
@@ -0,0 +1,132 @@
+// ============================================================================
+// WORKER RENDERER (MAIN THREAD SIDE)
+// ============================================================================
+//
+// Hands a canvas over to attitudeRenderer.worker.js and forwards props to it.
+// Exposes the same `wake` / `resize` / `setVisible` / `dataAge` / `destroy`
+// interface as the main-thread render loop, so the component can use either.
+// The data age is kept on this side too, from the same props the worker gets.
+//
+// The worker imports its own copy of the layer registry, which only holds the
+// built-in layers, and props reach it without their functions.
+// `findWorkerProblems` names what would be lost that way, so the component
+// can paint on the main thread instead.
+
+import { createDataClock } from './alerts';
+import { DEFAULT_LAYERS, getDefaultLayers, resolveLayers } from './instrumentLayers';
+import { PROP_SPECS } from './propValidation';
+
+const BUILT_IN_LAYERS = new Map(DEFAULT_LAYERS.map(layer => [layer.id, layer]));
+
+export function supportsWorkerRendering() {
+  return typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && typeof HTMLCanvasElement !== 'undefined'
+    && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+}
+
+// Props cross the thread boundary by structured clone, which can't carry
+// functions, so they are dropped
+export function toCloneable(value) {
+  if (typeof value === 'function') return undefined;
+  if (Array.isArray(value)) {
+    return value.map(toCloneable).filter(item => item !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    const cloneable = {};
+    Object.keys(value).forEach(key => {
+      const item = toCloneable(value[key]);
+      if (item !== undefined) cloneable[key] = item;
+    });
+    return cloneable;
+  }
+  return value;
+}
+
+// This thread's layer stack as ids the worker knows, or null when it holds a
+// layer that isn't built in
+function workerLayerIds(props, defaultLayers = getDefaultLayers()) {
+  const stack = resolveLayers(props.layers ?? defaultLayers);
+  return stack.every(layer => BUILT_IN_LAYERS.get(layer.id) === layer) ? stack.map(layer => layer.id) : null;
+}
+
+function findFunctions(value, path, problems) {
+  if (typeof value === 'function') {
+    problems.push(`\`${path}\` is a function`);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => findFunctions(item, `${path}[${i}]`, problems));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => findFunctions(value[key], `${path}.${key}`, problems));
+  }
+}
+
+// What the worker couldn't draw from these props, one message each: function
+// values other than the callbacks (which stay on this thread), and layers
+// that aren't built in, whether passed in `layers` or registered here (the
+// stack `defaultLayers`). Empty when the worker can take them.
+export function findWorkerProblems(props, defaultLayers = getDefaultLayers()) {
+  const problems = [];
+  Object.keys(props).forEach(name => {
+    if (name === 'layers' || PROP_SPECS[name]?.type === 'function') return;
+    findFunctions(props[name], name, problems);
+  });
+  if (!workerLayerIds(props, defaultLayers)) {
+    const custom = resolveLayers(props.layers ?? defaultLayers)
+      .filter(layer => BUILT_IN_LAYERS.get(layer.id) !== layer)
+      .map(layer => `'${layer.id}'`);
+    problems.push(custom.length === 1 ? `layer ${custom[0]} is not built in` : `layers ${custom.join(', ')} are not built in`);
+  }
+  return problems;
+}
+
+// The stack goes over as built-in ids, so layers removed or reordered on this
+// thread stay that way in the worker
+function toWorkerProps(props) {
+  const workerProps = toCloneable(props);
+  const layers = workerLayerIds(props);
+  if (layers) workerProps.layers = layers;
+  else delete workerProps.layers;
+  return workerProps;
+}
+
+export function createWorkerRenderer(canvas, {
+  getProps,
+  onAlert = alert => getProps().onAlert?.(alert),
+  now = () => performance.now(),
+}) {
+  const dataClock = createDataClock();
+  const worker = new Worker(new URL('./attitudeRenderer.worker.js', import.meta.url), { type: 'module' });
+  const offscreen = canvas.transferControlToOffscreen();
+  dataClock.update(getProps(), now());
+  worker.postMessage({ type: 'init', canvas: offscreen, props: toWorkerProps(getProps()) }, [offscreen]);
+
+  // Functions stay on this side, so alerts come back to be reported here
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'alert') onAlert(data.alert);
+  };
+
+  return {
+    wake() {
+      dataClock.update(getProps(), now());
+      worker.postMessage({ type: 'props', props: toWorkerProps(getProps()) });
+    },
+
+    dataAge() {
+      const time = now();
+      return (time - dataClock.update(getProps(), time)) / 1000;
+    },
+
+    // The canvas belongs to the worker now, so only it can change the size
+    resize(width, height) {
+      worker.postMessage({ type: 'resize', width, height });
+    },
+
+    setVisible(visible) {
+      worker.postMessage({ type: 'visibility', visible });
+    },
+
+    destroy() {
+      worker.terminate();
+    },
+  };
+}